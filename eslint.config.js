@@ -0,0 +1,29 @@
+/**
+ * ESLint Configuration for Sobha Portal Scraper
+ * =============================================
+ * Recommended rules for the ES module sources. Functions passed to
+ * `page.evaluate` run in the portal page, so browser globals are allowed
+ * next to the Node ones.
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+import js from '@eslint/js';
+import globals from 'globals';
+
+export default [
+    js.configs.recommended,
+    {
+        files: ['src/**/*.js', 'test/**/*.js'],
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'module',
+            globals: {
+                ...globals.node,
+                ...globals.browser
+            }
+        }
+    }
+];
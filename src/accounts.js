@@ -0,0 +1,159 @@
+/**
+ * Enterprise Multi-Account Support for Sobha Portal Scraper
+ * =========================================================
+ * Resolves the partner accounts a run logs in with (inline credentials or
+ * credentials held in secret environment variables) and merges the
+ * inventory seen by each account into a visibility view: which accounts
+ * see a unit, which do not, and whether the prices shown differ.
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+import { Actor } from 'apify';
+import { getRowKey } from './pagination.js';
+
+export const DEFAULT_ACCOUNT_LABEL = 'primary';
+export const VISIBILITY_DATASET_NAME = 'sobha-account-visibility';
+const MAX_ACCOUNTS = 10;
+
+/**
+ * Labels become part of key-value store keys (change snapshots, replay
+ * plans), so they are limited to the characters a key may contain
+ */
+export const ACCOUNT_LABEL_PATTERN = /^[a-zA-Z0-9!\-_.'()]{1,64}$/;
+
+const isNonEmptyString = value => typeof value === 'string' && value.length > 0;
+
+/**
+ * Validate the `accounts` input. Returns a list of problems.
+ */
+export function validateAccounts(accounts) {
+    if (!Array.isArray(accounts) || accounts.length === 0) {
+        return ['accounts must be a non-empty array of { label, email, password | passwordEnv }'];
+    }
+    if (accounts.length > MAX_ACCOUNTS) {
+        return [`accounts supports at most ${MAX_ACCOUNTS} accounts per run`];
+    }
+
+    const problems = [];
+    const labels = new Set();
+
+    accounts.forEach((account, index) => {
+        const name = `accounts[${index}]`;
+        if (!account || typeof account !== 'object') {
+            problems.push(`${name} must be an object`);
+            return;
+        }
+
+        const label = account.label === undefined ? `account-${index + 1}` : account.label;
+        if (typeof label !== 'string' || !ACCOUNT_LABEL_PATTERN.test(label)) {
+            problems.push(`${name}.label must be 1-64 characters of letters, digits and !-_.'()`);
+        } else if (labels.has(label)) {
+            problems.push(`${name}.label "${label}" is used more than once`);
+        }
+        labels.add(label);
+
+        if (typeof account.email !== 'string' || !account.email.includes('@') || !account.email.includes('.')) {
+            problems.push(`${name}.email must be a valid email address`);
+        }
+
+        if (account.password && account.passwordEnv) {
+            problems.push(`${name} must set either password or passwordEnv, not both`);
+        } else if (account.passwordEnv) {
+            if (!process.env[account.passwordEnv]) {
+                problems.push(`${name}.passwordEnv refers to environment variable ${account.passwordEnv}, which is not set`);
+            }
+        } else if (!isNonEmptyString(account.password)) {
+            problems.push(`${name} requires a password or a passwordEnv secret reference`);
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Normalise the account list. Without `accounts`, the top-level
+ * email/password form the single "primary" account.
+ */
+export function resolveAccounts(input) {
+    if (!input.accounts) {
+        return [{ label: DEFAULT_ACCOUNT_LABEL, email: input.email, password: input.password }];
+    }
+
+    return input.accounts.map((account, index) => ({
+        label: account.label || `account-${index + 1}`,
+        email: account.email.toLowerCase().trim(),
+        password: account.passwordEnv ? process.env[account.passwordEnv] : account.password
+    }));
+}
+
+/**
+ * One entry per unit across all accounts. Units missing from an account
+ * are only reported as not visible when that account's extraction was
+ * exhaustive.
+ */
+export function buildAccountVisibility(accountRuns) {
+    const labels = accountRuns.map(run => run.account);
+    const exhaustiveLabels = accountRuns.filter(run => run.exhaustive !== false).map(run => run.account);
+    const units = new Map();
+
+    for (const run of accountRuns) {
+        for (const property of run.properties) {
+            if (property.found === false) continue;
+
+            const key = getRowKey(property);
+            if (!units.has(key)) {
+                units.set(key, {
+                    unitNo: property.unitNo,
+                    project: property.project || null,
+                    subProject: property.subProject || null,
+                    unitType: property.unitType || null,
+                    visibleTo: [],
+                    pricesByAccount: {}
+                });
+            }
+
+            const unit = units.get(key);
+            if (!unit.visibleTo.includes(run.account)) unit.visibleTo.push(run.account);
+            unit.pricesByAccount[run.account] = typeof property.price === 'number' ? property.price : null;
+        }
+    }
+
+    const rows = [...units.values()].map(unit => {
+        const prices = Object.values(unit.pricesByAccount).filter(price => price !== null);
+        const notVisibleTo = exhaustiveLabels.filter(label => !unit.visibleTo.includes(label));
+        return {
+            ...unit,
+            notVisibleTo,
+            visibility: unit.visibleTo.length === labels.length ? 'all' : 'partial',
+            priceDiffers: new Set(prices).size > 1,
+            minPrice: prices.length > 0 ? Math.min(...prices) : null,
+            maxPrice: prices.length > 0 ? Math.max(...prices) : null
+        };
+    });
+
+    return {
+        rows,
+        summary: {
+            accounts: labels,
+            totalUnits: rows.length,
+            visibleToAll: rows.filter(row => row.visibility === 'all').length,
+            visibleToSome: rows.filter(row => row.visibility === 'partial').length,
+            priceDifferences: rows.filter(row => row.priceDiffers).length,
+            nonExhaustiveAccounts: labels.filter(label => !exhaustiveLabels.includes(label))
+        }
+    };
+}
+
+/**
+ * Push the merged visibility view for this run
+ */
+export async function storeAccountVisibility(rows, { sessionId, datasetName = VISIBILITY_DATASET_NAME }) {
+    if (rows.length === 0) return;
+
+    const comparedAt = new Date().toISOString();
+    const dataset = await Actor.openDataset(datasetName);
+    await dataset.pushData(rows.map(row => ({ sessionId, comparedAt, ...row })));
+}
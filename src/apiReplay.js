@@ -0,0 +1,220 @@
+/**
+ * Aura API Replay for Sobha Portal Scraper
+ * ========================================
+ * Replays the unit list Aura actions over plain HTTP once an account is
+ * logged in, so a refresh needs the browser for the login only. The action
+ * of every unit list is learnt from the Aura responses of a browser run
+ * (see auraCapture.js) and kept per account and scrape scope in a named
+ * key-value store; the session cookies and the Aura context and token come
+ * from the login. Any auth, schema or network error raises an
+ * AuraReplayError so the caller can fall back to the browser.
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+import { Actor } from 'apify';
+import { createHash } from 'crypto';
+import { buildColumnAliases } from './extraction.js';
+import { parseAuraResponse, findUnitRecords } from './auraCapture.js';
+import { isAuraRequest } from './waits.js';
+
+export const REPLAY_STORE_NAME = 'sobha-aura-replay';
+const REPLAY_TIMEOUT = 30000;
+
+/**
+ * Learnt actions only cover the projects the portal listed when they were
+ * learnt, so they are re-learnt in the browser at least once a day
+ */
+export const REPLAY_PLAN_MAX_AGE = 24 * 60 * 60 * 1000;
+
+export const REPLAY_ERROR_KINDS = {
+    AUTH: 'auth',
+    SCHEMA: 'schema',
+    NETWORK: 'network'
+};
+
+/**
+ * Aura answers an expired session or a redeployed portal with one of
+ * these events instead of the action results
+ */
+const AURA_AUTH_EVENTS = /aura:(invalidSession|clientOutOfSync|noAccess)/;
+
+/**
+ * Raised when a replayed action cannot stand in for the browser
+ */
+export class AuraReplayError extends Error {
+    constructor(kind, message) {
+        super(message);
+        this.name = 'AuraReplayError';
+        this.kind = kind;
+    }
+}
+
+/**
+ * Key of the learnt unit list actions of one account and scrape scope.
+ * Account labels are key-safe (see validateAccounts).
+ */
+export function getReplayPlanKey(account, { scrapeMode, filters, fanOut }) {
+    const scope = createHash('md5').update(JSON.stringify({ scrapeMode, filters, fanOut })).digest('hex');
+    return `PLAN-${account}-${scope.substring(0, 12)}`;
+}
+
+/**
+ * Cookie header with the storage state cookies that apply to a URL
+ */
+export function buildCookieHeader(storageState, url) {
+    const { hostname, pathname, protocol } = new URL(url);
+    const now = Date.now() / 1000;
+
+    return ((storageState && storageState.cookies) || [])
+        .filter((cookie) => {
+            const domain = cookie.domain.replace(/^\./, '');
+            const domainMatches = hostname === domain || hostname.endsWith(`.${domain}`);
+            const notExpired = !(cookie.expires > 0) || cookie.expires > now;
+            return domainMatches && notExpired && pathname.startsWith(cookie.path || '/') && (!cookie.secure || protocol === 'https:');
+        })
+        .map(cookie => `${cookie.name}=${cookie.value}`)
+        .join('; ');
+}
+
+/**
+ * The error a replayed response stands for, or null when it can be parsed
+ */
+export function getReplayError(status, text) {
+    if (status === 401 || status === 403 || (status >= 300 && status < 400)) {
+        return new AuraReplayError(REPLAY_ERROR_KINDS.AUTH, `Aura replay was refused with HTTP ${status}`);
+    }
+    if (AURA_AUTH_EVENTS.test(text)) {
+        return new AuraReplayError(REPLAY_ERROR_KINDS.AUTH, `Aura replay was refused: ${text.match(AURA_AUTH_EVENTS)[0]}`);
+    }
+    if (status >= 400) {
+        return new AuraReplayError(REPLAY_ERROR_KINDS.NETWORK, `Aura replay failed with HTTP ${status}`);
+    }
+    return null;
+}
+
+/**
+ * Enterprise Aura Replay Client
+ */
+export class AuraReplayClient {
+    constructor(logger, { aliases = buildColumnAliases(), timeout = REPLAY_TIMEOUT } = {}) {
+        this.logger = logger;
+        this.aliases = aliases;
+        this.timeout = timeout;
+        this.pages = new WeakMap();
+    }
+
+    /**
+     * Record the Aura context and token the page sends with its own Aura
+     * calls. Attached to the login page; the latest call wins.
+     */
+    attach(page) {
+        if (this.pages.has(page)) return;
+
+        const state = { context: null, token: null };
+        this.pages.set(page, state);
+
+        page.on('request', (request) => {
+            if (request.method() !== 'POST' || !isAuraRequest(request.url())) return;
+
+            const form = new URLSearchParams(request.postData() || '');
+            if (form.get('aura.context') && form.get('aura.token')) {
+                state.context = form.get('aura.context');
+                state.token = form.get('aura.token');
+            }
+        });
+    }
+
+    /**
+     * Credentials for replaying actions on behalf of a logged-in page
+     */
+    getSession(page, storageState) {
+        const state = this.pages.get(page);
+        if (!state || !state.token) {
+            throw new AuraReplayError(REPLAY_ERROR_KINDS.AUTH, 'No Aura context and token were seen after login');
+        }
+        return { context: state.context, token: state.token, storageState };
+    }
+
+    /**
+     * Replay a learnt unit list action and return its unit records
+     */
+    async fetchUnits(session, action) {
+        const body = new URLSearchParams({
+            message: action.message,
+            'aura.context': session.context,
+            'aura.pageURI': action.pageURI || '',
+            'aura.token': session.token
+        });
+
+        let response;
+        let text;
+        try {
+            response = await fetch(action.url, {
+                method: 'POST',
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(this.timeout),
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
+                    Cookie: buildCookieHeader(session.storageState, action.url)
+                }
+            });
+            text = await response.text();
+        } catch (error) {
+            throw new AuraReplayError(REPLAY_ERROR_KINDS.NETWORK, `Aura replay request failed: ${error.message}`);
+        }
+
+        const error = getReplayError(response.status, text);
+        if (error) throw error;
+
+        const units = parseAuraResponse(text)
+            .map(value => findUnitRecords(value, this.aliases))
+            .reduce((best, found) => (found.length > best.length ? found : best), []);
+
+        if (units.length === 0) {
+            throw new AuraReplayError(REPLAY_ERROR_KINDS.SCHEMA, 'Aura replay returned no recognisable unit records');
+        }
+
+        this.logger.debug(`Replayed Aura action returned ${units.length} units`);
+        return units.map(unit => ({ ...unit, extractionSource: 'replay' }));
+    }
+}
+
+/**
+ * Enterprise Replay Plan Store
+ */
+export class ReplayPlanStore {
+    constructor(logger, storeName = REPLAY_STORE_NAME) {
+        this.logger = logger;
+        this.storeName = storeName;
+    }
+
+    /**
+     * The learnt actions of a key, or null when there are none or they
+     * are older than REPLAY_PLAN_MAX_AGE
+     */
+    async load(key, now = Date.now()) {
+        const store = await Actor.openKeyValueStore(this.storeName);
+        const plan = await store.getValue(key);
+        if (!plan) return null;
+
+        if (now - Date.parse(plan.savedAt) > REPLAY_PLAN_MAX_AGE) {
+            this.logger.info('Learnt unit list actions are out of date', { key, savedAt: plan.savedAt });
+            return null;
+        }
+        return plan;
+    }
+
+    /**
+     * Keep the unit list actions of a complete browser run:
+     * `lists: [{ scope, scopeIndex, filtersApplied, action: { url, message, pageURI } }]`
+     */
+    async save(key, lists) {
+        const store = await Actor.openKeyValueStore(this.storeName);
+        await store.setValue(key, { savedAt: new Date().toISOString(), lists });
+        this.logger.info(`Stored ${lists.length} replayable unit list action(s)`, { key });
+    }
+}
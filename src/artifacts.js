@@ -0,0 +1,215 @@
+/**
+ * Failure Artifacts for Sobha Portal Scraper
+ * ==========================================
+ * When a crawl step fails, stores what the browser showed at that moment in
+ * the default key-value store: a screenshot, the full page HTML (shadow
+ * roots included as declarative shadow DOM), the page's console log and,
+ * with `captureTraces`, a Playwright trace. Credentials are masked in every
+ * artifact.
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+import { Actor } from 'apify';
+import { randomBytes } from 'crypto';
+import { readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+
+const MASK = '***';
+const MAX_CONSOLE_LINES = 500;
+const CAPTURE_TIMEOUT = 15000;
+
+/**
+ * Inputs whose content is a credential. Masked in screenshots and HTML.
+ */
+const CREDENTIAL_FIELD_SELECTOR = [
+    'input[type="password"]',
+    'input[type="email"]',
+    'input[autocomplete="username"]',
+    'input[name*="user" i]',
+    'input[name*="email" i]',
+    'input[name*="token" i]'
+].join(', ');
+
+/**
+ * Session tokens Salesforce embeds in inline scripts and URLs
+ */
+const TOKEN_PATTERNS = [
+    /("(?:token|csrfToken|access_token|sid)"\s*:\s*")[^"]+(")/gi,
+    /([?&](?:sid|token|access_token)=)[^&#\s"']+()/gi
+];
+
+/**
+ * Replace every secret and session token in a text with ***
+ */
+export function maskSecrets(text, secrets = []) {
+    if (typeof text !== 'string') return text;
+
+    let masked = text;
+    for (const secret of secrets) {
+        if (typeof secret === 'string' && secret.length >= 3) {
+            masked = masked.split(secret).join(MASK);
+        }
+    }
+    for (const pattern of TOKEN_PATTERNS) {
+        masked = masked.replace(pattern, `$1${MASK}$2`);
+    }
+    return masked;
+}
+
+/**
+ * Key-value store keys only allow a limited character set
+ */
+function slugifyKeyPart(value) {
+    return String(value || 'request').replace(/[^a-zA-Z0-9-]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 120);
+}
+
+/**
+ * Key prefix of the artifacts of one failed attempt of one step
+ */
+export function getArtifactKeyPrefix(request, step) {
+    return `FAILURE-${slugifyKeyPart(request.uniqueKey)}-${slugifyKeyPart(step)}-attempt-${(request.retryCount || 0) + 1}`;
+}
+
+/**
+ * Serialise the page including open shadow roots (as
+ * `<template shadowrootmode="open">`), with the value of credential inputs
+ * masked. Runs inside the browser, so it must stay self-contained.
+ */
+export function serialiseDocument({ maskSelector, mask }) {
+    const voidElements = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+    const rawTextElements = new Set(['script', 'style']);
+    const escapeText = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const escapeAttribute = text => text.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+    const serialiseChildren = parent => Array.from(parent.childNodes).map(serialise).join('');
+
+    function serialise(node) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            const parentName = node.parentNode && node.parentNode.localName;
+            return rawTextElements.has(parentName) ? node.textContent : escapeText(node.textContent);
+        }
+        if (node.nodeType === Node.COMMENT_NODE) return `<!--${node.textContent}-->`;
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+        const tag = node.localName;
+        const masked = node.matches(maskSelector);
+        const attributes = Array.from(node.attributes)
+            .map(({ name, value }) => ` ${name}="${escapeAttribute(masked && name === 'value' ? mask : value)}"`)
+            .join('');
+        if (voidElements.has(tag)) return `<${tag}${attributes}>`;
+
+        const shadow = node.shadowRoot ? `<template shadowrootmode="open">${serialiseChildren(node.shadowRoot)}</template>` : '';
+        const content = serialiseChildren(tag === 'template' ? node.content : node);
+        return `<${tag}${attributes}>${shadow}${content}</${tag}>`;
+    }
+
+    return `<!DOCTYPE html>\n${serialise(document.documentElement)}`;
+}
+
+/**
+ * Enterprise Failure Artifact Recorder
+ */
+export class FailureArtifactRecorder {
+    constructor(logger, { secrets = [], captureTraces = false } = {}) {
+        this.logger = logger;
+        this.secrets = secrets.filter(Boolean);
+        this.captureTraces = captureTraces;
+        this.pages = new WeakMap();
+    }
+
+    mask(text) {
+        return maskSecrets(text, this.secrets);
+    }
+
+    /**
+     * Start recording the console of a page (and, when enabled, a trace of
+     * its context). Called before every navigation.
+     */
+    async attach(page, { trace = false } = {}) {
+        if (this.pages.has(page)) return;
+
+        const state = { step: null, consoleLines: [], tracing: false };
+        this.pages.set(page, state);
+
+        const record = (line) => {
+            state.consoleLines.push(`${new Date().toISOString()} ${line}`);
+            if (state.consoleLines.length > MAX_CONSOLE_LINES) state.consoleLines.shift();
+        };
+        page.on('console', message => record(`[${message.type()}] ${message.text()}`));
+        page.on('pageerror', error => record(`[pageerror] ${error.message}`));
+        page.on('requestfailed', request => record(`[requestfailed] ${request.method()} ${request.url()} ${request.failure()?.errorText || ''}`));
+
+        if (trace && this.captureTraces) {
+            try {
+                await page.context().tracing.start({ screenshots: true, snapshots: true });
+                state.tracing = true;
+            } catch (error) {
+                this.logger.warn('Failed to start Playwright trace', { error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Name the step a page is in, so a failure is stored under it
+     */
+    setStep(page, step) {
+        const state = this.pages.get(page);
+        if (state) state.step = step;
+    }
+
+    /**
+     * Store the artifacts of a failed step. Never throws: every artifact
+     * that cannot be captured is left out.
+     */
+    async capture(page, request) {
+        const state = this.pages.get(page) || { step: null, consoleLines: [], tracing: false };
+        const step = state.step || request.userData.label || 'unknown';
+        const prefix = getArtifactKeyPrefix(request, step);
+        const artifacts = { step, attempt: (request.retryCount || 0) + 1 };
+
+        const store = async (name, extension, contentType, produce) => {
+            const key = `${prefix}.${extension}`;
+            try {
+                await Actor.setValue(key, await produce(), { contentType });
+                artifacts[name] = key;
+            } catch (error) {
+                this.logger.warn(`Failed to capture ${name} artifact`, { key, error: error.message });
+                artifacts[name] = null;
+            }
+        };
+
+        await store('screenshot', 'png', 'image/png', () => page.screenshot({
+            fullPage: true,
+            timeout: CAPTURE_TIMEOUT,
+            mask: [page.locator(CREDENTIAL_FIELD_SELECTOR)]
+        }));
+
+        await store('html', 'html', 'text/html; charset=utf-8', async () => this.mask(
+            await page.evaluate(serialiseDocument, { maskSelector: CREDENTIAL_FIELD_SELECTOR, mask: MASK })
+        ));
+
+        await store('console', 'log', 'text/plain; charset=utf-8', async () => this.mask(
+            [page.url(), ...state.consoleLines].join('\n')
+        ));
+
+        if (state.tracing) {
+            state.tracing = false;
+            await store('trace', 'zip', 'application/zip', async () => {
+                const tracePath = path.join(tmpdir(), `trace-${randomBytes(8).toString('hex')}.zip`);
+                try {
+                    await page.context().tracing.stop({ path: tracePath });
+                    return await readFile(tracePath);
+                } finally {
+                    await rm(tracePath, { force: true });
+                }
+            });
+        }
+
+        this.logger.info('Failure artifacts stored', { prefix, ...artifacts });
+        return artifacts;
+    }
+}
@@ -0,0 +1,233 @@
+/**
+ * Aura Response Capture for Sobha Portal Scraper
+ * ==============================================
+ * Listens to the Salesforce Aura (`/s/sfsites/aura`) responses of a page
+ * and turns the Apex action payloads that carry unit inventory into unit
+ * records, keeping the Salesforce record ID as `unitId`. The payloads are
+ * typed and complete where the rendered table only shows display text, so
+ * the `network` extraction mode prefers them and falls back to the DOM
+ * table when no recognised payload was seen.
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+import { buildColumnAliases, isSalesforceId, REQUIRED_UNIT_COLUMNS } from './extraction.js';
+import { normaliseDetailLabel } from './unitDetails.js';
+import { isAuraRequest } from './waits.js';
+
+export const EXTRACTION_MODES = {
+    NETWORK: 'network',
+    DOM: 'dom'
+};
+
+const MAX_PAYLOAD_DEPTH = 8;
+
+export function validateExtractionMode(mode) {
+    const modes = Object.values(EXTRACTION_MODES);
+    return modes.includes(mode) ? [] : [`extractionMode must be one of: ${modes.join(', ')}`];
+}
+
+/**
+ * Return values of the successful actions of an Aura response body.
+ * Apex methods returning serialised JSON strings are parsed as well.
+ */
+export function parseAuraResponse(text) {
+    let body;
+    try {
+        body = JSON.parse(String(text).replace(/^\s*while\s*\(1\);?/, ''));
+    } catch (error) {
+        return [];
+    }
+
+    return (Array.isArray(body && body.actions) ? body.actions : [])
+        .filter(action => action && action.state === 'SUCCESS')
+        .map((action) => {
+            const value = action.returnValue;
+            if (typeof value !== 'string') return value;
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return value;
+            }
+        });
+}
+
+/**
+ * "sobha__Unit_No__c" -> "unit no", "Project__r" -> "project",
+ * "startingPrice" -> "starting price"
+ */
+export function normaliseFieldName(key) {
+    const name = String(key)
+        .replace(/__(c|r)$/i, '')
+        .replace(/^[a-zA-Z0-9]+__/, '')
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .replace(/_/g, ' ');
+    return normaliseDetailLabel(name);
+}
+
+/**
+ * Lookup fields arrive as related records; their Name is the display value
+ */
+function getDisplayValue(value) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return 'Name' in value ? value.Name : undefined;
+    }
+    return value;
+}
+
+/**
+ * Map one Apex record onto the unit fields. Values are kept as strings like
+ * the table cells, so normalisation.js types both sources the same way;
+ * the record itself is kept as `rawData`.
+ */
+export function mapAuraRecord(record, aliases = buildColumnAliases()) {
+    const fields = {};
+    const extraFields = {};
+
+    for (const [key, raw] of Object.entries(record)) {
+        if (key === 'attributes' || key === 'Id') continue;
+
+        const value = getDisplayValue(raw);
+        if (value === undefined || value === null || value === '' || typeof value === 'object') continue;
+
+        const label = normaliseFieldName(key);
+        const field = Object.keys(aliases).find(name => !(name in fields) && aliases[name].includes(label));
+        if (field) {
+            fields[field] = String(value);
+        } else {
+            extraFields[key] = value;
+        }
+    }
+
+    // Unit objects usually carry the unit number as their record Name
+    if (!fields.unitNo && typeof record.Name === 'string') {
+        fields.unitNo = record.Name;
+        delete extraFields.Name;
+    }
+
+    return {
+        unitId: isSalesforceId(record.Id) ? record.Id : null,
+        project: fields.project || '',
+        subProject: fields.subProject || '',
+        unitType: fields.unitType || '',
+        floor: fields.floor || '',
+        unitNo: fields.unitNo || '',
+        totalUnitArea: fields.totalUnitArea || '',
+        startingPrice: fields.startingPrice || '',
+        detailUrl: null,
+        extraFields,
+        extractionSource: EXTRACTION_MODES.NETWORK,
+        rawData: record
+    };
+}
+
+/**
+ * The largest list of unit records anywhere in an action return value.
+ * A list counts when one of its records carries every required unit field;
+ * incomplete records with a unit number are kept for the validation stage.
+ */
+export function findUnitRecords(value, aliases = buildColumnAliases(), depth = 0) {
+    if (!value || typeof value !== 'object' || depth > MAX_PAYLOAD_DEPTH) return [];
+
+    let best = [];
+    if (Array.isArray(value)) {
+        const units = value
+            .filter(item => item && typeof item === 'object' && !Array.isArray(item))
+            .map(item => mapAuraRecord(item, aliases));
+        if (units.some(unit => REQUIRED_UNIT_COLUMNS.every(field => unit[field]))) {
+            best = units.filter(unit => unit.unitNo);
+        }
+    }
+
+    for (const child of Object.values(value)) {
+        const found = findUnitRecords(child, aliases, depth + 1);
+        if (found.length > best.length) best = found;
+    }
+
+    return best.map((unit, index) => ({ ...unit, rowIndex: index + 1 }));
+}
+
+/**
+ * The Aura action message of a request, for replaying it without a browser
+ * (see apiReplay.js). The context and token are session bound and left out.
+ */
+function getActionRequest(request, units) {
+    const form = new URLSearchParams((request && request.postData()) || '');
+    if (!form.get('message')) return null;
+
+    return { url: request.url(), message: form.get('message'), pageURI: form.get('aura.pageURI') || '', units };
+}
+
+/**
+ * Enterprise Aura Unit Capture
+ */
+export class AuraUnitCapture {
+    constructor(logger, { aliases = buildColumnAliases() } = {}) {
+        this.logger = logger;
+        this.aliases = aliases;
+        this.pages = new WeakMap();
+    }
+
+    /**
+     * Start listening to a page's Aura responses. The most recent payload
+     * with unit records replaces the previous one, so after a filter or
+     * page change it describes what the table shows. Attaching a page again
+     * (the modal is reopened on a reused page) forgets its earlier payloads.
+     */
+    attach(page) {
+        const attached = this.pages.get(page);
+        if (attached) {
+            attached.units = null;
+            attached.action = null;
+            return;
+        }
+
+        const state = { units: null, action: null, payloads: 0, pending: new Set() };
+        this.pages.set(page, state);
+
+        page.on('response', (response) => {
+            if (!isAuraRequest(response.url())) return;
+
+            const parsing = response.text().then((text) => {
+                const units = parseAuraResponse(text)
+                    .map(value => findUnitRecords(value, this.aliases))
+                    .reduce((best, found) => (found.length > best.length ? found : best), []);
+
+                if (units.length > 0) {
+                    state.units = units;
+                    state.action = getActionRequest(response.request(), units.length);
+                    state.payloads++;
+                    this.logger.debug(`Captured ${units.length} units from an Aura response`);
+                }
+            }).catch((error) => {
+                this.logger.debug('Unreadable Aura response', { error: error.message });
+            }).finally(() => state.pending.delete(parsing));
+
+            state.pending.add(parsing);
+        });
+    }
+
+    /**
+     * Units of the latest recognised payload, or null when none was seen
+     */
+    async getUnits(page) {
+        const state = this.pages.get(page);
+        if (!state) return null;
+
+        await Promise.all(state.pending);
+        return state.units ? state.units.map(unit => ({ ...unit })) : null;
+    }
+
+    /**
+     * The request behind the latest recognised payload, or null
+     */
+    async getAction(page) {
+        const state = this.pages.get(page);
+        if (!state) return null;
+
+        await Promise.all(state.pending);
+        return state.action;
+    }
+}
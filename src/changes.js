@@ -0,0 +1,190 @@
+/**
+ * Enterprise Inventory Change Tracker for Sobha Portal Scraper
+ * ============================================================
+ * Persists the previous inventory snapshot in a named key-value store,
+ * diffs each new extraction against it by unit number and records newly
+ * released units, disappeared units (likely sold/held) and price changes.
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+import { Actor } from 'apify';
+import { createHash } from 'crypto';
+import { getRowKey } from './pagination.js';
+
+export const SNAPSHOT_STORE_NAME = 'sobha-inventory-snapshots';
+export const CHANGES_DATASET_NAME = 'sobha-inventory-changes';
+
+export const CHANGE_TYPES = {
+    NEW: 'new',
+    REMOVED: 'removed',
+    PRICE_CHANGE: 'price_change'
+};
+
+/**
+ * Fields kept per unit in the snapshot
+ */
+function toSnapshotUnit(property) {
+    return {
+        unitNo: property.unitNo,
+        project: property.project || null,
+        subProject: property.subProject || null,
+        unitType: property.unitType || null,
+        floor: property.floor || null,
+        startingPrice: property.startingPrice || null,
+        price: typeof property.price === 'number' ? property.price : null,
+        area: typeof property.areaSqft === 'number' ? property.areaSqft : null
+    };
+}
+
+/**
+ * Snapshots are scoped by filters so a filtered run never reports the rest
+ * of the inventory as removed
+ */
+export function getSnapshotKey(filters = {}) {
+    const keys = Object.keys(filters).sort();
+    if (keys.length === 0) return 'SNAPSHOT-ALL';
+
+    const scope = JSON.stringify(keys.map(key => [key, String(filters[key]).trim().toLowerCase()]));
+    return `SNAPSHOT-${createHash('md5').update(scope).digest('hex').substring(0, 12)}`;
+}
+
+/**
+ * Build a snapshot units map keyed by normalised unit number
+ */
+export function buildSnapshotUnits(properties) {
+    const units = {};
+    for (const property of properties) {
+        if (!property.unitNo) continue;
+        units[getRowKey(property)] = toSnapshotUnit(property);
+    }
+    return units;
+}
+
+/**
+ * Diff two snapshot unit maps. Removals are only reported when the current
+ * extraction covered the whole scope.
+ */
+export function diffInventory(previousUnits, currentUnits, { includeRemovals = true } = {}) {
+    const events = [];
+
+    for (const [key, unit] of Object.entries(currentUnits)) {
+        const previous = previousUnits[key];
+
+        if (!previous) {
+            events.push({ type: CHANGE_TYPES.NEW, ...unit });
+            continue;
+        }
+
+        if (previous.price !== null && unit.price !== null && previous.price !== unit.price) {
+            const priceDelta = unit.price - previous.price;
+            events.push({
+                type: CHANGE_TYPES.PRICE_CHANGE,
+                ...unit,
+                oldPrice: previous.price,
+                newPrice: unit.price,
+                priceDelta,
+                priceDeltaPercent: Math.round((priceDelta / previous.price) * 10000) / 100
+            });
+        }
+    }
+
+    if (includeRemovals) {
+        for (const [key, unit] of Object.entries(previousUnits)) {
+            if (!currentUnits[key]) {
+                events.push({ type: CHANGE_TYPES.REMOVED, ...unit });
+            }
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Count events by type for the run summary
+ */
+export function summariseChanges(events) {
+    const priceChanges = events.filter(event => event.type === CHANGE_TYPES.PRICE_CHANGE);
+    return {
+        newUnits: events.filter(event => event.type === CHANGE_TYPES.NEW).length,
+        removedUnits: events.filter(event => event.type === CHANGE_TYPES.REMOVED).length,
+        priceChanges: priceChanges.length,
+        priceIncreases: priceChanges.filter(event => event.priceDelta > 0).length,
+        priceDecreases: priceChanges.filter(event => event.priceDelta < 0).length
+    };
+}
+
+/**
+ * Enterprise Inventory Change Tracker
+ */
+export class ChangeTracker {
+    constructor(logger, storeName = SNAPSHOT_STORE_NAME, datasetName = CHANGES_DATASET_NAME) {
+        this.logger = logger;
+        this.storeName = storeName;
+        this.datasetName = datasetName;
+    }
+
+    /**
+     * Diff against the stored snapshot, push change events and store the
+     * new snapshot. Returns `{ summary, events }`. With `account`, the
+     * snapshot and events are scoped to that partner account.
+     */
+    async trackChanges(properties, { sessionId, filters, exhaustive, account = null }) {
+        const store = await Actor.openKeyValueStore(this.storeName);
+        const snapshotKey = account ? `${getSnapshotKey(filters)}-${account}` : getSnapshotKey(filters);
+        const previousSnapshot = await store.getValue(snapshotKey);
+        const currentUnits = buildSnapshotUnits(properties);
+        const detectedAt = new Date().toISOString();
+
+        let events = [];
+        if (previousSnapshot) {
+            events = diffInventory(previousSnapshot.units, currentUnits, {
+                includeRemovals: exhaustive && previousSnapshot.exhaustive !== false
+            }).map(event => ({
+                ...event,
+                ...(account && { account }),
+                sessionId,
+                detectedAt,
+                previousSessionId: previousSnapshot.sessionId,
+                previousSnapshotAt: previousSnapshot.takenAt
+            }));
+        } else {
+            this.logger.info('No previous inventory snapshot - this run becomes the baseline', { snapshotKey });
+        }
+
+        if (events.length > 0) {
+            const dataset = await Actor.openDataset(this.datasetName);
+            await dataset.pushData(events);
+        }
+
+        // Keep the previous units when this run was truncated, so units that
+        // were simply not reached are not reported as new on the next run
+        const units = exhaustive || !previousSnapshot
+            ? currentUnits
+            : { ...previousSnapshot.units, ...currentUnits };
+
+        await store.setValue(snapshotKey, {
+            sessionId,
+            takenAt: detectedAt,
+            filters,
+            account,
+            exhaustive,
+            unitCount: Object.keys(units).length,
+            units
+        });
+
+        const summary = {
+            snapshotKey,
+            baseline: !previousSnapshot,
+            previousSnapshotAt: previousSnapshot ? previousSnapshot.takenAt : null,
+            removalsChecked: Boolean(previousSnapshot) && exhaustive && previousSnapshot.exhaustive !== false,
+            changesDataset: this.datasetName,
+            ...summariseChanges(events)
+        };
+
+        this.logger.info('Inventory change detection completed', summary);
+        return { summary, events };
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * Enterprise Run Checkpoints for Sobha Portal Scraper
+ * ===================================================
+ * Persists the progress of a run (finished unit lists, unit details,
+ * failures and the encrypted account sessions) to the default key-value
+ * store after every finished unit list, periodically and when the platform
+ * announces a migration or abort, so a restarted run continues where it
+ * stopped instead of logging in and starting over.
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+import { Actor } from 'apify';
+import { createHash } from 'crypto';
+
+export const CHECKPOINT_KEY = 'CHECKPOINT';
+const CHECKPOINT_FORMAT_VERSION = 1;
+const CHECKPOINT_EVENTS = ['persistState', 'migrating', 'aborting'];
+
+/**
+ * A checkpoint is only resumed by a run with the same scope
+ */
+export function getCheckpointFingerprint(input) {
+    const scope = {
+        scrapeMode: input.scrapeMode,
+        filters: input.filters,
+        specificUnits: input.specificUnits,
+        maxResults: input.maxResults,
+        fanOut: input.fanOut,
+        enrichDetails: input.enrichDetails,
+        // Rows read under other extraction settings must not be mixed in
+        extractionMode: input.extractionMode,
+        apiReplay: input.apiReplay,
+        columnAliases: Object.entries(input.columnAliases || {}).sort(([a], [b]) => a.localeCompare(b)),
+        accounts: input.accounts.map(account => [account.label, account.email])
+    };
+    return createHash('md5').update(JSON.stringify(scope)).digest('hex');
+}
+
+/**
+ * Enterprise Checkpoint Manager
+ */
+export class CheckpointManager {
+    constructor(logger, { fingerprint, key = CHECKPOINT_KEY }) {
+        this.logger = logger;
+        this.fingerprint = fingerprint;
+        this.key = key;
+        this.getState = null;
+        this.listeners = [];
+        this.pendingSave = Promise.resolve();
+    }
+
+    /**
+     * Returns the stored checkpoint, or null when there is none or it was
+     * written for a different input
+     */
+    async load() {
+        const checkpoint = await Actor.getValue(this.key);
+        if (!checkpoint) return null;
+
+        if (checkpoint.version !== CHECKPOINT_FORMAT_VERSION || checkpoint.fingerprint !== this.fingerprint) {
+            this.logger.warn('Ignoring checkpoint written for a different input', { savedAt: checkpoint.savedAt });
+            await this.clear();
+            return null;
+        }
+
+        return checkpoint;
+    }
+
+    /**
+     * Saves are queued so a periodic save never overwrites a newer one
+     */
+    save(reason) {
+        if (!this.getState) return this.pendingSave;
+
+        this.pendingSave = this.pendingSave.then(async () => {
+            const state = this.getState();
+            await Actor.setValue(this.key, {
+                version: CHECKPOINT_FORMAT_VERSION,
+                fingerprint: this.fingerprint,
+                savedAt: new Date().toISOString(),
+                reason,
+                ...state
+            });
+            this.logger.debug('Checkpoint saved', { reason, unitLists: state.unitLists.length });
+        }).catch((error) => {
+            this.logger.warn('Failed to save checkpoint', { reason, error: error.message });
+        });
+
+        return this.pendingSave;
+    }
+
+    /**
+     * Save `getState()` on every platform persistState, migrating and
+     * aborting event until stop() is called
+     */
+    start(getState) {
+        this.getState = getState;
+        for (const event of CHECKPOINT_EVENTS) {
+            const listener = () => this.save(event);
+            Actor.on(event, listener);
+            this.listeners.push([event, listener]);
+        }
+    }
+
+    stop() {
+        for (const [event, listener] of this.listeners) {
+            Actor.off(event, listener);
+        }
+        this.listeners = [];
+    }
+
+    async clear() {
+        await this.pendingSave;
+        this.getState = null;
+        await Actor.setValue(this.key, null);
+    }
+}
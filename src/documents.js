@@ -0,0 +1,255 @@
+/**
+ * Enterprise Document Archiver for Sobha Portal Scraper
+ * =====================================================
+ * Implements `downloadDocuments`: downloads brochures, floor plans, price
+ * lists and payment-plan sheets linked from projects and units into a named
+ * Apify key-value store, skipping files that have not changed since the
+ * previous run, and attaches the stored keys/URLs to property records.
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+import { Actor } from 'apify';
+import { request as playwrightRequest } from 'playwright';
+import { createHash } from 'crypto';
+
+export const DOCUMENT_STORE_NAME = 'sobha-documents';
+const DOCUMENT_INDEX_KEY = 'DOCUMENT_INDEX';
+const DOWNLOAD_TIMEOUT = 120000;
+
+/**
+ * Document types in match priority order
+ */
+const DOCUMENT_TYPES = [
+    { type: 'floor-plan', pattern: /floor\s*-?\s*plan/i },
+    { type: 'price-list', pattern: /price\s*-?\s*list|pricelist/i },
+    { type: 'payment-plan', pattern: /payment\s*-?\s*plan/i },
+    { type: 'brochure', pattern: /brochure/i }
+];
+
+const DOCUMENT_URL_PATTERN = /\.(pdf|xlsx?|docx?|pptx?|zip)(\?|#|$)|servlet\.shepherd|FileDownload|\/download\//i;
+
+/**
+ * True when a link points at a downloadable document rather than a page
+ */
+export function isDocumentLink(link) {
+    if (!link || !link.url || /^(javascript|mailto|tel):/i.test(link.url)) return false;
+    if (DOCUMENT_URL_PATTERN.test(link.url)) return true;
+    return DOCUMENT_TYPES.some(({ pattern }) => pattern.test(link.label || '')) || /download/i.test(link.label || '');
+}
+
+export function classifyDocument(link) {
+    const haystack = `${link.label || ''} ${link.url || ''}`;
+    const match = DOCUMENT_TYPES.find(({ pattern }) => pattern.test(haystack));
+    return match ? match.type : 'document';
+}
+
+function slugifyKeyPart(value, fallback) {
+    const slug = String(value || '')
+        .replace(/[^a-zA-Z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, 60);
+    return slug || fallback;
+}
+
+/**
+ * Deterministic key-value store key: project/unit/doc type + content hash
+ */
+export function buildDocumentKey({ project, unitNo, docType, contentHash }) {
+    return [
+        'DOC',
+        slugifyKeyPart(project, 'unknown-project'),
+        slugifyKeyPart(unitNo, 'project'),
+        docType,
+        contentHash.substring(0, 16)
+    ].join('-');
+}
+
+/**
+ * Enterprise Document Archiver
+ */
+export class DocumentArchiver {
+    constructor(logger, storeName = DOCUMENT_STORE_NAME) {
+        this.logger = logger;
+        this.storeName = storeName;
+    }
+
+    /**
+     * Collect document links from the sobha-project page, attributed to the
+     * project card they appear in
+     */
+    async collectProjectDocumentLinks(page) {
+        const links = await page.evaluate(() => {
+            const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+            const deepQueryAll = (root, selector) => {
+                const results = Array.from(root.querySelectorAll(selector));
+                for (const element of root.querySelectorAll('*')) {
+                    if (element.shadowRoot) results.push(...deepQueryAll(element.shadowRoot, selector));
+                }
+                return results;
+            };
+
+            return deepQueryAll(document, 'a[href]').map(anchor => {
+                const card = anchor.closest('article, .slds-card, [class*="project" i], li');
+                const heading = card ? card.querySelector('h1, h2, h3, h4, .slds-card__header-title, [class*="title" i]') : null;
+                return {
+                    label: clean(anchor.textContent) || clean(anchor.getAttribute('title')),
+                    url: anchor.href,
+                    project: heading ? clean(heading.textContent) : null
+                };
+            });
+        });
+
+        const documentLinks = links.filter(isDocumentLink);
+        this.logger.info(`Found ${documentLinks.length} project document links`);
+        return documentLinks;
+    }
+
+    /**
+     * Archive project and unit documents and attach them to the records.
+     * Returns archive statistics for the run summary.
+     */
+    async archiveForProperties(properties, projectLinks, storageState) {
+        const links = [];
+
+        for (const link of projectLinks) {
+            links.push({ ...link, unitNo: null });
+        }
+
+        for (const property of properties) {
+            for (const link of [...(property.floorPlanLinks || []), ...(property.documentLinks || [])]) {
+                links.push({ ...link, project: property.project, unitNo: property.unitNo });
+            }
+        }
+
+        const archived = await this.archive(links, storageState);
+
+        const normalise = value => String(value || '').toLowerCase().trim();
+        for (const property of properties) {
+            const projectNames = [normalise(property.project), normalise(property.subProject)].filter(Boolean);
+            property.documents = links
+                .filter(link => link.unitNo
+                    ? link.unitNo === property.unitNo && link.project === property.project
+                    : projectNames.includes(normalise(link.project)))
+                .map(link => archived.get(link.url))
+                .filter(Boolean)
+                .filter((document, index, all) => all.findIndex(other => other.sourceUrl === document.sourceUrl) === index);
+        }
+
+        const results = Array.from(archived.values());
+        return {
+            storeName: this.storeName,
+            totalDocuments: results.length,
+            downloaded: results.filter(document => document.status === 'downloaded').length,
+            unchanged: results.filter(document => document.status === 'unchanged').length,
+            failed: results.filter(document => document.status === 'failed').length
+        };
+    }
+
+    /**
+     * Download every unique link into the document store.
+     * Returns a Map of source URL -> stored document reference.
+     */
+    async archive(links, storageState) {
+        const archived = new Map();
+        const uniqueLinks = links.filter((link, index) => links.findIndex(other => other.url === link.url) === index);
+
+        if (uniqueLinks.length === 0) {
+            this.logger.info('No documents to archive');
+            return archived;
+        }
+
+        const store = await Actor.openKeyValueStore(this.storeName);
+        const index = (await store.getValue(DOCUMENT_INDEX_KEY)) || {};
+        const requestContext = await playwrightRequest.newContext({ storageState: storageState || undefined });
+
+        this.logger.info(`Archiving ${uniqueLinks.length} documents`, { storeName: this.storeName });
+
+        try {
+            for (const link of uniqueLinks) {
+                const docType = classifyDocument(link);
+                try {
+                    const document = await this.archiveDocument(store, requestContext, index, link, docType);
+                    archived.set(link.url, document);
+                } catch (error) {
+                    this.logger.warn(`Failed to archive document ${link.url}`, { error: error.message });
+                    archived.set(link.url, {
+                        docType,
+                        label: link.label,
+                        sourceUrl: link.url,
+                        status: 'failed',
+                        error: error.message
+                    });
+                }
+            }
+        } finally {
+            await store.setValue(DOCUMENT_INDEX_KEY, index);
+            await requestContext.dispose();
+        }
+
+        return archived;
+    }
+
+    async archiveDocument(store, requestContext, index, link, docType) {
+        const previous = index[link.url];
+        const headers = {};
+        if (previous && previous.etag) headers['If-None-Match'] = previous.etag;
+        if (previous && previous.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+
+        const response = await requestContext.get(link.url, { headers, timeout: DOWNLOAD_TIMEOUT });
+
+        if (response.status() === 304 && previous) {
+            this.logger.debug(`Document unchanged (304): ${previous.key}`);
+            return this.toDocumentReference(store, link, docType, previous, 'unchanged');
+        }
+
+        if (!response.ok()) {
+            throw new Error(`Download failed with HTTP ${response.status()}`);
+        }
+
+        const body = await response.body();
+        const contentHash = createHash('sha256').update(body).digest('hex');
+        const responseHeaders = response.headers();
+
+        if (previous && previous.contentHash === contentHash) {
+            this.logger.debug(`Document unchanged (same hash): ${previous.key}`);
+            index[link.url] = { ...previous, etag: responseHeaders.etag || previous.etag, lastModified: responseHeaders['last-modified'] || previous.lastModified };
+            return this.toDocumentReference(store, link, docType, previous, 'unchanged');
+        }
+
+        const key = buildDocumentKey({ project: link.project, unitNo: link.unitNo, docType, contentHash });
+        const contentType = (responseHeaders['content-type'] || 'application/octet-stream').split(';')[0];
+
+        await store.setValue(key, body, { contentType });
+
+        index[link.url] = {
+            key,
+            contentHash,
+            contentType,
+            size: body.length,
+            etag: responseHeaders.etag || null,
+            lastModified: responseHeaders['last-modified'] || null,
+            storedAt: new Date().toISOString()
+        };
+
+        this.logger.info(`✅ Document archived: ${key}`, { size: body.length, contentType });
+        return this.toDocumentReference(store, link, docType, index[link.url], 'downloaded');
+    }
+
+    toDocumentReference(store, link, docType, entry, status) {
+        return {
+            docType,
+            label: link.label,
+            sourceUrl: link.url,
+            key: entry.key,
+            storeUrl: store.getPublicUrl(entry.key),
+            contentHash: entry.contentHash,
+            contentType: entry.contentType,
+            size: entry.size,
+            storedAt: entry.storedAt,
+            status
+        };
+    }
+}
@@ -0,0 +1,188 @@
+/**
+ * File Exports for Sobha Portal Scraper
+ * =====================================
+ * Writes the dataset rows of a run as CSV, XLSX (one sheet per project plus
+ * a summary sheet) and Parquet snapshots to the default key-value store,
+ * under keys that stay the same from run to run (`UNITS.csv`,
+ * `UNITS.xlsx`, `UNITS.parquet`; `PROJECTS.*` in projects mode).
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+import { Actor } from 'apify';
+import ExcelJS from 'exceljs';
+import { parquetWriteBuffer } from 'hyparquet-writer';
+
+export const EXPORT_FORMATS = {
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    parquet: { extension: 'parquet', contentType: 'application/vnd.apache.parquet' }
+};
+
+const SUMMARY_SHEET_NAME = 'Summary';
+const MAX_SHEET_NAME_LENGTH = 31;
+
+export function validateOutputFormats(formats) {
+    if (!Array.isArray(formats)) {
+        return ['outputFormats must be an array'];
+    }
+
+    const unknown = formats.filter(format => !(format in EXPORT_FORMATS));
+    return unknown.length > 0
+        ? [`Unknown output format(s): ${unknown.join(', ')} (supported: ${Object.keys(EXPORT_FORMATS).join(', ')})`]
+        : [];
+}
+
+/**
+ * Key-value store key of an export, e.g. getExportKey('UNITS', 'csv') -> "UNITS.csv"
+ */
+export function getExportKey(name, format) {
+    return `${name}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * Cell value of a flat export: arrays and objects become JSON text
+ */
+function toCell(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+function escapeCsv(value) {
+    const cell = toCell(value);
+    if (cell === null) return '';
+
+    const text = String(cell);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function buildCsv(rows, fields) {
+    const lines = [fields.map(escapeCsv).join(',')];
+    for (const row of rows) {
+        lines.push(fields.map(field => escapeCsv(row[field])).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Excel sheet names are at most 31 characters, must not contain []:*?/\
+ * and must be unique within the workbook (case insensitive)
+ */
+function getSheetName(name, usedNames) {
+    const base = (String(name || '').replace(/[[\]:*?/\\]/g, ' ').replace(/\s+/g, ' ').trim() || 'Unknown')
+        .substring(0, MAX_SHEET_NAME_LENGTH);
+
+    let sheetName = base;
+    for (let i = 2; usedNames.has(sheetName.toLowerCase()); i++) {
+        const suffix = ` (${i})`;
+        sheetName = `${base.substring(0, MAX_SHEET_NAME_LENGTH - suffix.length)}${suffix}`;
+    }
+    usedNames.add(sheetName.toLowerCase());
+    return sheetName;
+}
+
+/**
+ * Rows grouped by project, in order of first appearance
+ */
+function groupByProject(rows) {
+    const groups = new Map();
+    for (const row of rows) {
+        const project = row.project || 'Unknown';
+        if (!groups.has(project)) groups.set(project, []);
+        groups.get(project).push(row);
+    }
+    return groups;
+}
+
+export async function buildXlsx(rows, fields, { sessionId, scrapedAt, scrapeMode }) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date(scrapedAt);
+    const usedNames = new Set([SUMMARY_SHEET_NAME.toLowerCase()]);
+    const groups = groupByProject(rows);
+
+    const summary = workbook.addWorksheet(SUMMARY_SHEET_NAME);
+    summary.addRows([
+        ['Session ID', sessionId],
+        ['Scraped At', scrapedAt],
+        ['Scrape Mode', scrapeMode],
+        ['Rows', rows.length],
+        [],
+        ['Project', 'Sheet', 'Rows', 'Lowest Price', 'Highest Price']
+    ]);
+    summary.getRow(6).font = { bold: true };
+
+    for (const [project, projectRows] of groups) {
+        const sheetName = getSheetName(project, usedNames);
+        const prices = projectRows.map(row => row.price).filter(price => typeof price === 'number');
+        summary.addRow([
+            project,
+            sheetName,
+            projectRows.length,
+            prices.length > 0 ? Math.min(...prices) : null,
+            prices.length > 0 ? Math.max(...prices) : null
+        ]);
+
+        const sheet = workbook.addWorksheet(sheetName);
+        sheet.columns = fields.map(field => ({ header: field, key: field }));
+        sheet.getRow(1).font = { bold: true };
+        sheet.views = [{ state: 'frozen', ySplit: 1 }];
+        for (const row of projectRows) {
+            sheet.addRow(fields.map(field => toCell(row[field])));
+        }
+    }
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Parquet column type from the values of a field: numbers and booleans
+ * keep their type, everything else is written as text
+ */
+function getParquetColumn(rows, field) {
+    const values = rows.map(row => toCell(row[field]));
+    const present = values.filter(value => value !== null);
+
+    if (present.length > 0 && present.every(value => typeof value === 'number')) {
+        return { name: field, data: values, type: 'DOUBLE' };
+    }
+    if (present.length > 0 && present.every(value => typeof value === 'boolean')) {
+        return { name: field, data: values, type: 'BOOLEAN' };
+    }
+    return { name: field, data: values.map(value => (value === null ? null : String(value))), type: 'STRING' };
+}
+
+export function buildParquet(rows, fields) {
+    const arrayBuffer = parquetWriteBuffer({
+        columnData: fields.map(field => getParquetColumn(rows, field))
+    });
+    return Buffer.from(arrayBuffer);
+}
+
+/**
+ * Write the requested exports and return `{ format: key }` for the run
+ * summary. A format that fails is logged and left out; the dataset output
+ * does not depend on it.
+ */
+export async function writeExports(rows, { name, fields, formats, context, logger }) {
+    const builders = {
+        csv: () => buildCsv(rows, fields),
+        xlsx: () => buildXlsx(rows, fields, context),
+        parquet: () => buildParquet(rows, fields)
+    };
+    const written = {};
+
+    for (const format of formats) {
+        const key = getExportKey(name, format);
+        try {
+            await Actor.setValue(key, await builders[format](), { contentType: EXPORT_FORMATS[format].contentType });
+            written[format] = key;
+        } catch (error) {
+            logger.warn(`Failed to write ${format} export`, { key, error: error.message });
+        }
+    }
+
+    return written;
+}
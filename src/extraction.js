@@ -0,0 +1,299 @@
+/**
+ * Lightning Unit Table Extraction for Sobha Portal Scraper
+ * ========================================================
+ * Reads the Filter Properties unit table by its header labels instead of
+ * fixed cell positions. Headers come from `th` cells, per-cell `data-label`
+ * attributes or `lightning-datatable` column definitions, and are mapped to
+ * canonical fields through an alias table. Unknown columns are kept under
+ * `extraFields`; missing required columns raise a SchemaDriftError.
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+import { normaliseDetailLabel } from './unitDetails.js';
+
+/**
+ * Canonical unit table fields and the header labels that feed them
+ */
+export const UNIT_COLUMN_ALIASES = {
+    project: ['project', 'project name'],
+    subProject: ['sub project', 'subproject', 'sub project name', 'tower', 'building'],
+    unitType: ['unit type', 'type', 'unit category'],
+    floor: ['floor', 'floor no', 'floor number', 'level'],
+    unitNo: ['unit no', 'unit number', 'unit', 'unit name'],
+    totalUnitArea: ['total unit area', 'total area', 'unit area', 'saleable area', 'area'],
+    startingPrice: ['starting price', 'price', 'selling price', 'total price']
+};
+
+/**
+ * Columns without which a row cannot be identified or priced
+ */
+export const REQUIRED_UNIT_COLUMNS = ['project', 'unitNo', 'startingPrice'];
+
+const SALESFORCE_ID_PATTERN = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+
+/**
+ * 15/18 character Salesforce record IDs always contain a digit (the key
+ * prefix), which tells them apart from 15 letter words
+ */
+export function isSalesforceId(value) {
+    return typeof value === 'string' && SALESFORCE_ID_PATTERN.test(value) && /\d/.test(value);
+}
+
+/**
+ * Salesforce record ID of a detail link, e.g.
+ * ".../s/unit/a0X5g00000AbCdEEAZ/a-1813" -> "a0X5g00000AbCdEEAZ"
+ */
+export function getUnitIdFromUrl(url) {
+    if (!url) return null;
+
+    let parsed;
+    try {
+        parsed = new URL(url, 'https://portal.invalid');
+    } catch (error) {
+        return null;
+    }
+
+    const recordId = parsed.searchParams.get('recordId') || parsed.searchParams.get('id');
+    if (isSalesforceId(recordId)) return recordId;
+    return parsed.pathname.split('/').find(isSalesforceId) || null;
+}
+
+/**
+ * Raised when the unit table no longer carries the columns we rely on
+ */
+export class SchemaDriftError extends Error {
+    constructor(missingColumns, headers) {
+        super(`Unit table schema drift: missing required column(s) ${missingColumns.join(', ')} ` +
+            `(found headers: ${headers.filter(Boolean).join(', ') || 'none'}). ` +
+            'Update columnAliases or the extractor before scraping again.');
+        this.name = 'SchemaDriftError';
+        this.missingColumns = missingColumns;
+        this.headers = headers;
+    }
+}
+
+/**
+ * Merge user supplied aliases (`{ field: [labels] }`) into the defaults
+ */
+export function buildColumnAliases(overrides = {}) {
+    const aliases = {};
+    for (const [field, labels] of Object.entries(UNIT_COLUMN_ALIASES)) {
+        aliases[field] = [...(overrides[field] || []).map(normaliseDetailLabel), ...labels];
+    }
+    return aliases;
+}
+
+/**
+ * Validate the `columnAliases` input. Returns a list of problems.
+ */
+export function validateColumnAliases(columnAliases) {
+    if (!columnAliases || typeof columnAliases !== 'object' || Array.isArray(columnAliases)) {
+        return ['columnAliases must be an object mapping field names to header labels'];
+    }
+
+    const problems = [];
+    for (const [field, labels] of Object.entries(columnAliases)) {
+        if (!(field in UNIT_COLUMN_ALIASES)) {
+            problems.push(`columnAliases.${field} is not a unit table field (supported: ${Object.keys(UNIT_COLUMN_ALIASES).join(', ')})`);
+        } else if (!Array.isArray(labels) || labels.some(label => typeof label !== 'string' || !label.trim())) {
+            problems.push(`columnAliases.${field} must be an array of header labels`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Map header labels to canonical fields. The first header matching a field
+ * wins; headers matching nothing are reported as unmapped.
+ */
+export function mapColumns(headers, aliases = buildColumnAliases()) {
+    const columns = {};
+    const unmapped = [];
+
+    headers.forEach((header, index) => {
+        const normalised = normaliseDetailLabel(header);
+        const field = normalised && Object.keys(aliases)
+            .find(key => !(key in columns) && aliases[key].includes(normalised));
+
+        if (field) {
+            columns[field] = index;
+        } else if (normalised) {
+            unmapped.push(index);
+        }
+    });
+
+    return {
+        columns,
+        unmapped,
+        missing: REQUIRED_UNIT_COLUMNS.filter(field => !(field in columns))
+    };
+}
+
+/**
+ * Turn one raw table row into a unit record using a column mapping. Values
+ * stay as displayed; typing and validation happen in normalisation.js.
+ */
+export function mapUnitRow(row, headers, { columns, unmapped }, rowIndex) {
+    const cell = field => (field in columns ? row.cells[columns[field]] || '' : '');
+
+    const extraFields = {};
+    for (const index of unmapped) {
+        const value = row.cells[index];
+        if (value) extraFields[headers[index].replace(/[:\s]+$/, '').trim()] = value;
+    }
+
+    return {
+        rowIndex,
+        unitId: getUnitIdFromUrl(row.detailUrl),
+        project: cell('project'),             // e.g., "Sobha Hartland"
+        subProject: cell('subProject'),       // e.g., "Creek Vista"
+        unitType: cell('unitType'),           // e.g., "Type A"
+        floor: cell('floor'),                 // e.g., "18"
+        unitNo: cell('unitNo'),               // e.g., "A-1813"
+        totalUnitArea: cell('totalUnitArea'), // e.g., "788.46"
+        startingPrice: cell('startingPrice'), // e.g., "1,360,434"
+
+        // Link to the unit detail page, when the row exposes one
+        detailUrl: row.detailUrl,
+
+        // Columns the alias table does not know about
+        extraFields,
+
+        extractionSource: 'dom',
+
+        // Raw cell text for auditing
+        rawData: row.cells
+    };
+}
+
+/**
+ * Read every table with body rows (light DOM and LWC shadow roots) as
+ * `{ headers, rows: [{ cells, detailUrl }] }`. Runs inside the browser, so
+ * it must stay self-contained.
+ */
+export function readUnitTables() {
+    const deepQueryAll = (root, selector) => {
+        const results = Array.from(root.querySelectorAll(selector));
+        for (const element of root.querySelectorAll('*')) {
+            if (element.shadowRoot) {
+                results.push(...deepQueryAll(element.shadowRoot, selector));
+            }
+        }
+        return results;
+    };
+
+    // Lightning cells wrap their value in a slds-truncate div whose title holds the full text
+    const getCellText = (cell) => {
+        const truncateDiv = cell.querySelector('.slds-truncate');
+        if (truncateDiv) {
+            return (truncateDiv.getAttribute('title') || truncateDiv.textContent || '').trim();
+        }
+        return (cell.textContent || '').trim();
+    };
+
+    const getHeaderText = (th) => {
+        const labelled = th.querySelector('[title]');
+        return (th.getAttribute('aria-label') || (labelled && labelled.getAttribute('title')) ||
+            th.getAttribute('title') || th.textContent || '').replace(/\s+/g, ' ').trim();
+    };
+
+    const getRowCells = row => Array.from(row.children).filter(cell => cell.matches('td, th'));
+
+    // Walk up through shadow roots to the hosting lightning-datatable, if any
+    const findDatatableHost = (element) => {
+        let node = element;
+        while (node) {
+            if (node.localName === 'lightning-datatable') return node;
+            node = node.parentNode || node.host;
+        }
+        return null;
+    };
+
+    const tables = [];
+
+    for (const table of deepQueryAll(document, 'table')) {
+        const tbody = table.querySelector('tbody');
+        if (!tbody) continue;
+
+        const rows = Array.from(tbody.querySelectorAll('tr')).filter(row => row.querySelector('td'));
+        if (rows.length === 0) continue;
+
+        // 1. Header row cells
+        const headerRow = table.querySelector('thead tr');
+        let headers = headerRow ? getRowCells(headerRow).map(getHeaderText) : [];
+
+        // 2. Per-cell data-label attributes
+        if (!headers.some(Boolean)) {
+            headers = getRowCells(rows[0]).map(cell => (cell.getAttribute('data-label') || '').trim());
+        }
+
+        // 3. lightning-datatable column definitions
+        const host = findDatatableHost(table);
+        if (!headers.some(Boolean) && host && Array.isArray(host.columns)) {
+            headers = host.columns.map(column => column.label || column.fieldName || '');
+        }
+
+        tables.push({
+            headers,
+            rows: rows.map(row => {
+                const detailLink = row.querySelector('a[href]:not([href^="javascript"])');
+                return {
+                    cells: getRowCells(row).map(getCellText),
+                    detailUrl: detailLink ? detailLink.href : null
+                };
+            })
+        });
+    }
+
+    return tables;
+}
+
+/**
+ * Extract unit rows from the first table whose headers carry every
+ * required column. Tables that map no known column (summaries, layout
+ * tables) are ignored; a table that looks like the unit table but lacks
+ * required columns raises a SchemaDriftError.
+ */
+export async function extractUnitTableRows(page, { aliases = buildColumnAliases() } = {}) {
+    const tables = await page.evaluate(readUnitTables);
+    let drift = null;
+
+    for (const table of tables) {
+        const mapping = mapColumns(table.headers, aliases);
+        const mappedCount = Object.keys(mapping.columns).length;
+
+        if (mappedCount === 0) {
+            // A wide table without any header labels can no longer be mapped safely
+            const headerless = !table.headers.some(Boolean) && table.rows[0].cells.length >= Object.keys(aliases).length;
+            if (headerless && !drift) {
+                drift = { mappedCount, missing: REQUIRED_UNIT_COLUMNS, headers: table.headers };
+            }
+            continue;
+        }
+
+        if (mapping.missing.length > 0) {
+            if (!drift || mappedCount > drift.mappedCount) {
+                drift = { mappedCount, missing: mapping.missing, headers: table.headers };
+            }
+            continue;
+        }
+
+        // Message rows ("No records found") span the table in a single cell;
+        // incomplete unit rows are kept for the validation stage to reject
+        const properties = table.rows
+            .map((row, index) => mapUnitRow(row, table.headers, mapping, index + 1))
+            .filter(property => property.rawData.length >= table.headers.length &&
+                Object.keys(mapping.columns).some(field => property[field]));
+
+        // If we found properties, stop looking
+        if (properties.length > 0) return properties;
+    }
+
+    if (drift) {
+        throw new SchemaDriftError(drift.missing, drift.headers);
+    }
+    return [];
+}
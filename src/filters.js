@@ -0,0 +1,297 @@
+/**
+ * Enterprise Filter Manager for Sobha Portal Scraper
+ * ==================================================
+ * Drives the Lightning comboboxes inside the Filter Properties modal
+ * (c-broker-portal-unit-filter-component) so that the unit table only
+ * contains the inventory requested through the `filters` input.
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+import { readUnitTables } from './extraction.js';
+
+/**
+ * Supported filter keys mapped to the portal controls that implement them.
+ * Order matters: project narrows the sub-project list, which narrows beds.
+ */
+export const FILTER_DEFINITIONS = {
+    project: {
+        label: 'Select Project',
+        keywords: ['project']
+    },
+    subProject: {
+        label: 'Select Sub Project',
+        keywords: ['sub project', 'subproject', 'sub-project']
+    },
+    bedrooms: {
+        label: 'Select Bed',
+        keywords: ['bed']
+    }
+};
+
+export const SUPPORTED_FILTER_KEYS = Object.keys(FILTER_DEFINITIONS);
+
+const FILTER_SELECTORS = {
+    filterComponent: 'c-broker-portal-unit-filter-component',
+    combobox: 'lightning-combobox, lightning-picklist',
+    comboboxTrigger: 'button[role="combobox"], input[role="combobox"], [role="combobox"]',
+    comboboxOption: 'lightning-base-combobox-item, [role="option"]',
+    nativeSelect: 'select',
+    tableRows: 'table tbody tr'
+};
+
+const FILTER_TIMEOUTS = {
+    control: 10000,
+    options: 10000
+};
+
+/**
+ * Normalise option text for comparison (whitespace and case insensitive)
+ */
+function normaliseOptionText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Enterprise Filter Manager
+ */
+export class FilterManager {
+    constructor(logger, waits) {
+        this.logger = logger;
+        this.waits = waits;
+    }
+
+    /**
+     * Validate filter keys and values without touching the page.
+     * Returns a list of human readable problems (empty when valid).
+     */
+    static validateFilters(filters) {
+        const problems = [];
+        if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+            return ['filters must be an object'];
+        }
+
+        const unknownKeys = Object.keys(filters).filter(key => !SUPPORTED_FILTER_KEYS.includes(key));
+        if (unknownKeys.length > 0) {
+            problems.push(`Unknown filter key(s): ${unknownKeys.join(', ')} (supported: ${SUPPORTED_FILTER_KEYS.join(', ')})`);
+        }
+
+        for (const [key, value] of Object.entries(filters)) {
+            if (typeof value !== 'string' || value.trim().length === 0) {
+                problems.push(`Filter "${key}" must be a non-empty string`);
+            }
+        }
+
+        return problems;
+    }
+
+    /**
+     * Apply every configured filter in dependency order.
+     * Throws when a key is unknown or the portal does not offer the value.
+     */
+    async applyFilters(page, filters = {}) {
+        const problems = FilterManager.validateFilters(filters);
+        if (problems.length > 0) {
+            throw new Error(`Invalid filters: ${problems.join(', ')}`);
+        }
+
+        const applied = [];
+        for (const key of SUPPORTED_FILTER_KEYS) {
+            if (!(key in filters)) continue;
+
+            const value = filters[key].trim();
+            this.logger.info(`Applying filter ${key}`, { value });
+
+            const previousSignature = await this.getTableSignature(page);
+            const { selected: selectedOption, since } = await this.selectFilterValue(page, key, value);
+            const refreshed = await this.waitForTableRefresh(page, previousSignature, since);
+
+            applied.push({ key, requested: value, selected: selectedOption, tableRefreshed: refreshed });
+            this.logger.info(`✅ Filter ${key} applied`, { selected: selectedOption, tableRefreshed: refreshed });
+        }
+
+        return applied;
+    }
+
+    /**
+     * List the values the portal offers for a filter key, without the
+     * placeholder ("Select Project") and "All" entries. Returns an empty
+     * list when the control is not found.
+     */
+    async listFilterOptions(page, key) {
+        const definition = FILTER_DEFINITIONS[key];
+        const scope = await this.getFilterScope(page);
+        let optionTexts = [];
+
+        const combobox = await this.findCombobox(scope, definition);
+        if (combobox) {
+            await combobox.locator(FILTER_SELECTORS.comboboxTrigger).first().click({ timeout: FILTER_TIMEOUTS.control });
+            const options = combobox.locator(FILTER_SELECTORS.comboboxOption);
+            await options.first().waitFor({ state: 'visible', timeout: FILTER_TIMEOUTS.options });
+            optionTexts = await options.allTextContents();
+            await page.keyboard.press('Escape').catch(() => {});
+        } else {
+            const nativeSelect = await this.findNativeSelect(scope, definition);
+            if (nativeSelect) {
+                optionTexts = await nativeSelect.locator('option').allTextContents();
+            }
+        }
+
+        const placeholders = [normaliseOptionText(definition.label), 'all', '--none--', ''];
+        const values = optionTexts
+            .map(text => text.replace(/\s+/g, ' ').trim())
+            .filter(text => !placeholders.includes(normaliseOptionText(text)));
+
+        return [...new Set(values)];
+    }
+
+    /**
+     * Locate the control for a filter key and select the requested option.
+     * Returns `{ selected, since }`, `since` being when the option was
+     * picked, so opening the dropdown does not count as the table refresh.
+     */
+    async selectFilterValue(page, key, value) {
+        const definition = FILTER_DEFINITIONS[key];
+        const scope = await this.getFilterScope(page);
+
+        const combobox = await this.findCombobox(scope, definition);
+        if (combobox) {
+            return this.selectComboboxOption(page, combobox, key, value);
+        }
+
+        const nativeSelect = await this.findNativeSelect(scope, definition);
+        if (nativeSelect) {
+            return this.selectNativeOption(nativeSelect, key, value);
+        }
+
+        throw new Error(`Filter control for "${key}" (${definition.label}) not found in Filter Properties modal`);
+    }
+
+    async getFilterScope(page) {
+        const component = page.locator(FILTER_SELECTORS.filterComponent).first();
+        if (await component.count() > 0) {
+            return component;
+        }
+
+        this.logger.warn('Unit filter component not found, searching whole page for filter controls');
+        return page.locator('body');
+    }
+
+    async findCombobox(scope, definition) {
+        const comboboxes = scope.locator(FILTER_SELECTORS.combobox);
+        const count = await comboboxes.count();
+
+        for (let i = 0; i < count; i++) {
+            const candidate = comboboxes.nth(i);
+            const descriptor = normaliseOptionText(await candidate.evaluate(element => [
+                element.getAttribute('label'),
+                element.getAttribute('placeholder'),
+                element.getAttribute('name'),
+                element.textContent
+            ].filter(Boolean).join(' ')).catch(() => ''));
+
+            if (this.matchesDefinition(descriptor, definition)) {
+                return candidate;
+            }
+        }
+
+        return null;
+    }
+
+    async findNativeSelect(scope, definition) {
+        const selects = scope.locator(FILTER_SELECTORS.nativeSelect);
+        const count = await selects.count();
+
+        for (let i = 0; i < count; i++) {
+            const candidate = selects.nth(i);
+            const descriptor = normaliseOptionText(await candidate.evaluate(element => {
+                const label = element.labels && element.labels[0] ? element.labels[0].textContent : '';
+                const placeholder = element.options && element.options[0] ? element.options[0].textContent : '';
+                return [label, placeholder, element.getAttribute('name'), element.getAttribute('aria-label')]
+                    .filter(Boolean).join(' ');
+            }).catch(() => ''));
+
+            if (this.matchesDefinition(descriptor, definition)) {
+                return candidate;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * "Select Project" must not match the "Select Sub Project" control
+     */
+    matchesDefinition(descriptor, definition) {
+        if (!descriptor) return false;
+        if (descriptor.includes(normaliseOptionText(definition.label))) return true;
+
+        const isSubProjectControl = FILTER_DEFINITIONS.subProject.keywords.some(keyword => descriptor.includes(keyword));
+        if (definition === FILTER_DEFINITIONS.project && isSubProjectControl) return false;
+
+        return definition.keywords.some(keyword => descriptor.includes(keyword));
+    }
+
+    async selectComboboxOption(page, combobox, key, value) {
+        const trigger = combobox.locator(FILTER_SELECTORS.comboboxTrigger).first();
+        await trigger.click({ timeout: FILTER_TIMEOUTS.control });
+
+        const options = combobox.locator(FILTER_SELECTORS.comboboxOption);
+        await options.first().waitFor({ state: 'visible', timeout: FILTER_TIMEOUTS.options });
+
+        const optionTexts = (await options.allTextContents()).map(text => text.replace(/\s+/g, ' ').trim());
+        const index = optionTexts.findIndex(text => normaliseOptionText(text) === normaliseOptionText(value));
+
+        if (index === -1) {
+            await page.keyboard.press('Escape').catch(() => {});
+            throw new Error(`Filter "${key}" value "${value}" is not offered by the portal. Available: ${optionTexts.filter(Boolean).join(', ') || 'none'}`);
+        }
+
+        const since = Date.now();
+        await options.nth(index).click({ timeout: FILTER_TIMEOUTS.control });
+        return { selected: optionTexts[index], since };
+    }
+
+    async selectNativeOption(select, key, value) {
+        const optionTexts = (await select.locator('option').allTextContents()).map(text => text.replace(/\s+/g, ' ').trim());
+        const match = optionTexts.find(text => normaliseOptionText(text) === normaliseOptionText(value));
+
+        if (!match) {
+            throw new Error(`Filter "${key}" value "${value}" is not offered by the portal. Available: ${optionTexts.filter(Boolean).join(', ') || 'none'}`);
+        }
+
+        const since = Date.now();
+        await select.selectOption({ label: match }, { timeout: FILTER_TIMEOUTS.control });
+        return { selected: match, since };
+    }
+
+    /**
+     * Cheap fingerprint of the unit tables (light DOM and LWC shadow roots)
+     * used to detect a refresh
+     */
+    async getTableSignature(page) {
+        const tables = await page.evaluate(readUnitTables).catch(() => []);
+        return tables
+            .map(table => `${table.rows.length}|${table.rows.slice(0, 5).map(row => row.cells.join(' ')).join('||')}`)
+            .join('##');
+    }
+
+    /**
+     * Wait until the portal answered the interaction made at `since` (a
+     * filter selection, page click or search) and the table settled. `step`
+     * names the wait in the metrics. Returns false (with a warning) when the
+     * table kept the same content, which is legitimate when a filter does
+     * not narrow the result set or a search shows the row already listed.
+     */
+    async waitForTableRefresh(page, previousSignature, since, step = 'filterRefresh') {
+        const changed = async () => await this.getTableSignature(page) !== previousSignature;
+
+        await this.waits.waitForTableRefresh(page, step, { since, changed, rowSelector: FILTER_SELECTORS.tableRows });
+
+        if (await changed()) return true;
+        this.logger.warn('Unit table did not change', { step });
+        return false;
+    }
+}
@@ -0,0 +1,154 @@
+/**
+ * Enterprise Price History Store for Sobha Portal Scraper
+ * =======================================================
+ * Maintains a per-unit price time series across runs in a named key-value
+ * store (one record per project) and exports the history of a project or
+ * of individual units.
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+import { Actor } from 'apify';
+import { getRowKey } from './pagination.js';
+import { normaliseUnitNumber } from './unitLookup.js';
+import { computePricePerSqft } from './normalisation.js';
+
+export const PRICE_HISTORY_STORE_NAME = 'sobha-price-history';
+const HISTORY_INDEX_KEY = 'HISTORY_INDEX';
+
+export function getProjectHistoryKey(project) {
+    const slug = String(project || '')
+        .replace(/[^a-zA-Z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, 200);
+    return `HISTORY-${slug || 'unknown-project'}`;
+}
+
+/**
+ * Add one observation to a unit's series. The series only grows when the
+ * price or area changes, and observations from the same day replace each
+ * other, so repeated runs do not inflate it. Returns `points` itself when
+ * nothing changed.
+ */
+export function appendPricePoint(points, point) {
+    const last = points[points.length - 1];
+    if (last && last.price === point.price && last.area === point.area) {
+        return points;
+    }
+    if (last && last.date === point.date) {
+        return [...points.slice(0, -1), point];
+    }
+    return [...points, point];
+}
+
+/**
+ * Enterprise Price History Store
+ */
+export class PriceHistoryStore {
+    constructor(logger, storeName = PRICE_HISTORY_STORE_NAME) {
+        this.logger = logger;
+        this.storeName = storeName;
+    }
+
+    /**
+     * Record the price of every priced unit observed in this run
+     */
+    async recordObservations(properties, observedAt = new Date().toISOString()) {
+        const store = await Actor.openKeyValueStore(this.storeName);
+        const index = (await store.getValue(HISTORY_INDEX_KEY)) || {};
+        const date = observedAt.substring(0, 10);
+
+        const byProject = new Map();
+        for (const property of properties) {
+            if (!property.unitNo || typeof property.price !== 'number') continue;
+            const key = getProjectHistoryKey(property.project);
+            if (!byProject.has(key)) byProject.set(key, []);
+            byProject.get(key).push(property);
+        }
+
+        let pointsRecorded = 0;
+        for (const [key, projectProperties] of byProject) {
+            const history = (await store.getValue(key)) || { project: projectProperties[0].project || null, units: {} };
+
+            for (const property of projectProperties) {
+                const unitKey = getRowKey(property);
+                const unitHistory = history.units[unitKey] || {
+                    unitNo: property.unitNo,
+                    project: property.project || null,
+                    subProject: property.subProject || null,
+                    unitType: property.unitType || null,
+                    points: []
+                };
+
+                const points = appendPricePoint(unitHistory.points, {
+                    date,
+                    observedAt,
+                    price: property.price,
+                    area: typeof property.areaSqft === 'number' ? property.areaSqft : null,
+                    pricePerSqft: computePricePerSqft(property.price, property.areaSqft)
+                });
+                if (points !== unitHistory.points) pointsRecorded++;
+
+                unitHistory.points = points;
+                history.units[unitKey] = unitHistory;
+            }
+
+            history.updatedAt = observedAt;
+            await store.setValue(key, history);
+            index[key] = { project: history.project, unitCount: Object.keys(history.units).length, updatedAt: observedAt };
+        }
+
+        await store.setValue(HISTORY_INDEX_KEY, index);
+
+        const summary = { storeName: this.storeName, projects: byProject.size, pointsRecorded };
+        this.logger.info('Price history updated', summary);
+        return summary;
+    }
+
+    /**
+     * Export history rows (one per unit per date) for a project and/or a
+     * list of unit numbers. With neither, the full history is exported.
+     */
+    async exportHistory({ project = null, units = [] } = {}) {
+        const store = await Actor.openKeyValueStore(this.storeName);
+        const index = (await store.getValue(HISTORY_INDEX_KEY)) || {};
+        const wantedUnits = new Set(units.map(normaliseUnitNumber));
+        const wantedProject = project ? project.trim().toLowerCase() : null;
+
+        const rows = [];
+        for (const key of Object.keys(index)) {
+            const history = await store.getValue(key);
+            if (!history) continue;
+
+            for (const [unitKey, unitHistory] of Object.entries(history.units)) {
+                if (wantedUnits.size > 0 && !wantedUnits.has(unitKey)) continue;
+                if (wantedProject && ![unitHistory.project, unitHistory.subProject]
+                    .some(name => String(name || '').trim().toLowerCase() === wantedProject)) continue;
+
+                const first = unitHistory.points[0];
+                for (const point of unitHistory.points) {
+                    rows.push({
+                        unitNo: unitHistory.unitNo,
+                        project: unitHistory.project,
+                        subProject: unitHistory.subProject,
+                        unitType: unitHistory.unitType,
+                        date: point.date,
+                        price: point.price,
+                        area: point.area,
+                        pricePerSqft: point.pricePerSqft,
+                        changeSinceFirstPercent: first && first.price
+                            ? Math.round(((point.price - first.price) / first.price) * 10000) / 100
+                            : null
+                    });
+                }
+            }
+        }
+
+        rows.sort((a, b) => a.unitNo.localeCompare(b.unitNo) || a.date.localeCompare(b.date));
+
+        this.logger.info(`Exported ${rows.length} price history points`, { project, units });
+        return rows;
+    }
+}
@@ -10,9 +10,34 @@
  */
 
 import { Actor } from 'apify';
-import { PlaywrightCrawler, Dataset } from 'crawlee';
+import { PlaywrightCrawler, Dataset, RequestQueue, launchPlaywright } from 'crawlee';
 import { randomBytes, createHash } from 'crypto';
 import { performance } from 'perf_hooks';
+import { pathToFileURL } from 'url';
+import { FilterManager } from './filters.js';
+import { UnitLookup, parseUnitNumbers } from './unitLookup.js';
+import { PaginationDriver, getRowKey } from './pagination.js';
+import { extractUnitTableRows, buildColumnAliases, validateColumnAliases, SchemaDriftError } from './extraction.js';
+import { extractUnitDetails } from './unitDetails.js';
+import { DocumentArchiver } from './documents.js';
+import { RUN_SUMMARY_KEY, writeRunOutput } from './output.js';
+import { validateOutputFormats } from './exports.js';
+import { ChangeTracker, summariseChanges } from './changes.js';
+import { PriceHistoryStore } from './history.js';
+import { NotificationDispatcher } from './notifications.js';
+import { SessionStore, applyStorageState, encryptState, decryptState } from './session.js';
+import { SelectorHealthMonitor, splitSelectorList } from './selectorHealth.js';
+import { validateUnitRecords, storeRejectedRecords, REJECTED_DATASET_NAME } from './normalisation.js';
+import { validateAccounts, resolveAccounts, buildAccountVisibility, storeAccountVisibility, VISIBILITY_DATASET_NAME } from './accounts.js';
+import { FAN_OUT_MODES, validateFanOut, getUnitListKey, mergeUnitLists } from './unitLists.js';
+import { CheckpointManager, getCheckpointFingerprint } from './checkpoint.js';
+import { extractProjectCatalogue } from './projects.js';
+import { FailureArtifactRecorder } from './artifacts.js';
+import { LightningWaits, WAIT_TIMEOUTS } from './waits.js';
+import { AuraUnitCapture, EXTRACTION_MODES, validateExtractionMode } from './auraCapture.js';
+import { AuraReplayClient, AuraReplayError, ReplayPlanStore, getReplayPlanKey } from './apiReplay.js';
+import { WatchScheduler, validateWatchOptions, resolveWatchOptions } from './watch.js';
+import { router, bindScraper } from './routes.js';
 
 /**
  * Enterprise Configuration Constants - OPTIMIZED FOR LIGHTNING TABLE EXTRACTION
@@ -22,8 +47,8 @@ const CONFIG = {
     MAX_CONCURRENT_REQUESTS: 2,
     REQUEST_TIMEOUT: 1800000, // 30 minutes for large datasets
     NAVIGATION_TIMEOUT: 60000, // 1 minute
-    CONTENT_WAIT: 10000, // 10 seconds for content to render
-    MODAL_WAIT: 15000, // 15 seconds for modal to load
+    DETAIL_REQUEST_TIMEOUT: 120000, // 2 minutes per unit detail page
+    WAIT_TIMEOUTS, // upper bounds of the event-driven Lightning waits (see waits.js)
     
     // Security settings
     MAX_RETRY_ATTEMPTS: 3,
@@ -34,8 +59,16 @@ const CONFIG = {
     MIN_SUCCESS_RATE: 95.0,
     MAX_MEMORY_MB: 4096,
     
+    // Supported scrape modes
+    SCRAPE_MODES: ['bulk', 'specific', 'history', 'projects', 'watch'],
+
+    // Watch mode: failed cycles in a row that end the run, cycles kept in the run summary
+    WATCH_MAX_FAILED_CYCLES: 3,
+    WATCH_SUMMARY_CYCLES: 100,
+    
     // Portal endpoints
     LOGIN_URL: 'https://www.sobhapartnerportal.com/partnerportal/s/',
+    PROJECTS_URL: 'https://www.sobhapartnerportal.com/partnerportal/s/sobha-project',
     
     // Selectors - UPDATED FOR LIGHTNING TABLE EXTRACTION
     SELECTORS: {
@@ -44,7 +77,7 @@ const CONFIG = {
         loginButton: 'input[type="submit"]',
         
         // Lightning table selectors
-        filterPropertiesButton: 'button:has-text("Filter Properties")',
+        filterPropertiesButton: 'a[data-element="general-enquiry"], a:has-text("Filter Properties"), button:has-text("Filter Properties")',
         propertyModal: '[role="dialog"], .slds-modal',
         lightningTable: 'tbody[lwc-774enseH4rp], tbody',
         lightningTableRows: 'tr.slds-hint-parent, tr[lwc-774enseH4rp], tr',
@@ -117,7 +150,7 @@ class SecurityManager {
 
     static sanitizeInput(input) {
         if (typeof input !== 'string') return String(input);
-        return input.replace(/[<>&"';\-\/\*]/g, '').trim();
+        return input.replace(/[<>&"';\-/*]/g, '').trim();
     }
 }
 
@@ -158,6 +191,38 @@ class RateLimiter {
     }
 }
 
+/**
+ * Limit on steps running at once. Callers over the limit wait on a promise
+ * until a slot is released, in the order they asked.
+ */
+class ConcurrencyLimiter {
+    constructor(limit) {
+        this.limit = limit;
+        this.active = 0;
+        this.waiting = [];
+    }
+
+    acquire() {
+        if (this.active < this.limit) {
+            this.active++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    /**
+     * Hand the slot to the next waiting caller, or free it
+     */
+    release() {
+        const next = this.waiting.shift();
+        if (next) {
+            next();
+        } else {
+            this.active--;
+        }
+    }
+}
+
 /**
  * Enterprise Metrics Collector
  */
@@ -174,10 +239,22 @@ class MetricsCollector {
             performanceData: {
                 memoryUsage: [],
                 requestTimes: []
-            }
+            },
+            waits: {}
         };
     }
 
+    /**
+     * Duration of one event-driven wait, aggregated per step
+     */
+    recordWait(step, duration, timedOut) {
+        const wait = this.metrics.waits[step] || (this.metrics.waits[step] = { count: 0, totalMs: 0, maxMs: 0, timeouts: 0 });
+        wait.count++;
+        wait.totalMs += duration;
+        wait.maxMs = Math.max(wait.maxMs, duration);
+        if (timedOut) wait.timeouts++;
+    }
+
     recordRequest(success, duration, error = null) {
         this.metrics.totalRequests++;
         this.metrics.performanceData.requestTimes.push(duration);
@@ -231,7 +308,8 @@ class MetricsCollector {
             errorCount: this.metrics.errors.length,
             averageRequestTime: this.metrics.performanceData.requestTimes.length > 0 
                 ? this.metrics.performanceData.requestTimes.reduce((a, b) => a + b, 0) / this.metrics.performanceData.requestTimes.length 
-                : 0
+                : 0,
+            waits: this.metrics.waits
         };
     }
 }
@@ -243,15 +321,19 @@ class InputValidator {
     static validate(input) {
         const errors = [];
 
-        // Required fields
-        if (!input.email || typeof input.email !== 'string') {
-            errors.push('Email is required and must be a string');
-        } else if (!input.email.includes('@') || !input.email.includes('.')) {
-            errors.push('Email must be a valid email address');
-        }
+        // Required fields: one account (email/password) or an accounts list
+        if (input.accounts) {
+            errors.push(...validateAccounts(input.accounts));
+        } else {
+            if (!input.email || typeof input.email !== 'string') {
+                errors.push('Email is required and must be a string');
+            } else if (!input.email.includes('@') || !input.email.includes('.')) {
+                errors.push('Email must be a valid email address');
+            }
 
-        if (!input.password || typeof input.password !== 'string') {
-            errors.push('Password is required and must be a string');
+            if (!input.password || typeof input.password !== 'string') {
+                errors.push('Password is required and must be a string');
+            }
         }
 
         // Optional fields validation
@@ -267,26 +349,100 @@ class InputValidator {
             errors.push('retryAttempts must be a number between 1 and 5');
         }
 
-        if (input.filters && typeof input.filters !== 'object') {
-            errors.push('filters must be an object');
+        if (input.detailConcurrency && (typeof input.detailConcurrency !== 'number' || input.detailConcurrency < 1 || input.detailConcurrency > 5)) {
+            errors.push('detailConcurrency must be a number between 1 and 5');
+        }
+
+        if (input.detailRequestDelay && (typeof input.detailRequestDelay !== 'number' || input.detailRequestDelay < 0.5 || input.detailRequestDelay > 10)) {
+            errors.push('detailRequestDelay must be a number between 0.5 and 10');
+        }
+
+        if (input.filters) {
+            errors.push(...FilterManager.validateFilters(input.filters));
+        }
+
+        if (input.notifications) {
+            errors.push(...NotificationDispatcher.validateChannels(input.notifications));
+        }
+
+        if (input.columnAliases) {
+            errors.push(...validateColumnAliases(input.columnAliases));
+        }
+
+        if (input.fanOut) {
+            errors.push(...validateFanOut(input.fanOut));
+        }
+
+        if (input.outputFormats) {
+            errors.push(...validateOutputFormats(input.outputFormats));
+        }
+
+        if (input.extractionMode) {
+            errors.push(...validateExtractionMode(input.extractionMode));
+        }
+
+        if (input.apiReplay && (input.scrapeMode || 'bulk') !== 'bulk') {
+            errors.push('apiReplay is only supported in bulk mode');
+        } else if (input.apiReplay && input.extractionMode === EXTRACTION_MODES.DOM) {
+            errors.push('apiReplay needs extractionMode "network" to learn the unit list actions');
+        }
+
+        if (input.scrapeMode && !CONFIG.SCRAPE_MODES.includes(input.scrapeMode)) {
+            errors.push(`scrapeMode must be one of: ${CONFIG.SCRAPE_MODES.join(', ')}`);
+        }
+
+        if (input.watch) {
+            errors.push(...validateWatchOptions(input.watch));
+        }
+
+        if (input.scrapeMode === 'watch' && input.trackChanges === false) {
+            errors.push('watch mode reports inventory changes and needs trackChanges');
+        }
+
+        if (input.specificUnit && typeof input.specificUnit !== 'string' && !Array.isArray(input.specificUnit)) {
+            errors.push('specificUnit must be a string or an array of unit numbers');
+        } else if (input.scrapeMode === 'specific' && parseUnitNumbers(input.specificUnit).length === 0) {
+            errors.push('specificUnit is required when scrapeMode is "specific"');
         }
 
         if (errors.length > 0) {
             throw new Error(`Input validation failed: ${errors.join(', ')}`);
         }
 
+        const accounts = resolveAccounts(input).map(account => ({
+            ...account,
+            email: SecurityManager.sanitizeInput(account.email.toLowerCase().trim())
+        }));
+
         return {
-            email: SecurityManager.sanitizeInput(input.email.toLowerCase().trim()),
-            password: input.password,
+            email: accounts[0].email,
+            password: accounts[0].password,
+            accounts,
             scrapeMode: input.scrapeMode || 'bulk',
             filters: input.filters || {},
-            specificUnit: input.specificUnit || null,
+            columnAliases: input.columnAliases || {},
+            extractionMode: input.extractionMode || EXTRACTION_MODES.NETWORK,
+            apiReplay: input.apiReplay || false,
+            watch: resolveWatchOptions(input.watch),
+            outputFormats: [...new Set(input.outputFormats || [])],
+            captureTraces: input.captureTraces || false,
+            specificUnits: parseUnitNumbers(input.specificUnit),
             maxResults: input.maxResults || 1000,
             requestDelay: input.requestDelay || 2.0,
             retryAttempts: input.retryAttempts || 3,
             enableStealth: input.enableStealth !== false,
             downloadDocuments: input.downloadDocuments || false,
-            parallelRequests: input.parallelRequests || 2
+            trackChanges: input.trackChanges !== false,
+            trackPriceHistory: input.trackPriceHistory !== false,
+            notifications: input.notifications || [],
+            notificationDryRun: input.notificationDryRun || false,
+            reuseSession: input.reuseSession !== false,
+            sessionEncryptionKey: input.sessionEncryptionKey || null,
+            parallelRequests: input.parallelRequests || 2,
+            fanOut: input.fanOut || FAN_OUT_MODES.PROJECT,
+            enrichDetails: input.enrichDetails || false,
+            detailConcurrency: input.detailConcurrency || 2,
+            detailRequestDelay: input.detailRequestDelay || input.requestDelay || 2.0
         };
     }
 }
@@ -301,12 +457,66 @@ class EnterpriseSobhaPortalScraper {
         this.logger = new EnterpriseLogger(this.sessionId);
         this.rateLimiter = new RateLimiter(this.input.requestDelay * 1000);
         this.metrics = new MetricsCollector(this.sessionId);
+        this.waits = new LightningWaits(this.logger, this.metrics);
+        this.filterManager = new FilterManager(this.logger, this.waits);
+        this.columnAliases = buildColumnAliases(this.input.columnAliases);
+        this.auraCapture = new AuraUnitCapture(this.logger, { aliases: this.columnAliases });
+        this.replayClient = new AuraReplayClient(this.logger, { aliases: this.columnAliases });
+        this.replayPlans = new ReplayPlanStore(this.logger);
+        this.replayRuns = [];
+        this.selectorHealth = new SelectorHealthMonitor(this.logger);
+        this.unitLookup = new UnitLookup(this.logger, this.filterManager);
+        this.paginationDriver = new PaginationDriver(this.logger, this.filterManager);
+        this.detailRateLimiter = new RateLimiter(this.input.detailRequestDelay * 1000);
+        this.unitDetails = new Map();
+        this.detailSlots = new ConcurrencyLimiter(this.input.detailConcurrency);
+        this.detailSlotHolders = new Set();
+        this.documentArchiver = new DocumentArchiver(this.logger);
+        this.projectDocumentLinks = [];
+        this.changeTracker = new ChangeTracker(this.logger);
+        this.priceHistory = new PriceHistoryStore(this.logger);
+        this.notifier = new NotificationDispatcher(this.logger, this.input.notifications, {
+            dryRun: this.input.notificationDryRun
+        });
+        this.failureNotified = false;
+        this.failureArtifacts = new FailureArtifactRecorder(this.logger, {
+            secrets: [
+                ...this.input.accounts.flatMap(account => [account.email, account.password]),
+                this.input.sessionEncryptionKey
+            ],
+            captureTraces: this.input.captureTraces
+        });
+        // Every account gets its own stored session and, while scraping, its own browser context
+        this.accounts = this.input.accounts.map(account => ({
+            ...account,
+            sessionStore: new SessionStore(this.logger, {
+                email: account.email,
+                secret: this.input.sessionEncryptionKey || `${account.email}:${account.password}`
+            }),
+            sessionReused: false,
+            storageState: null
+        }));
+        this.accountRuns = [];
+        this.accountFailures = [];
+        this.unitLists = [];
+        this.unitListFailures = [];
+        this.projectCatalogue = [];
+        this.storageState = null;
+        this.browserInfo = null;
+        this.scrapeStartedAt = null;
+        this.checkpoints = new CheckpointManager(this.logger, { fingerprint: getCheckpointFingerprint(this.input) });
+        this.resumedFrom = null;
+        this.pendingResults = null;
         
         this.logger.info('Lightning table-aware enterprise scraper initialized', {
             sessionId: this.sessionId,
             scrapeMode: this.input.scrapeMode,
+            specificUnits: this.input.specificUnits,
             maxResults: this.input.maxResults,
-            email: SecurityManager.maskSensitiveData(this.input.email)
+            accounts: this.accounts.map(account => ({
+                label: account.label,
+                email: SecurityManager.maskSensitiveData(account.email)
+            }))
         });
     }
 
@@ -375,7 +585,13 @@ class EnterpriseSobhaPortalScraper {
     /**
      * Authentication (unchanged - working perfectly)
      */
-    async authenticate(page) {
+    async authenticate(page, account = this.accounts[0]) {
+        this.failureArtifacts.setStep(page, 'authenticate');
+
+        if (this.input.reuseSession && await this.restoreSession(page, account)) {
+            return true;
+        }
+
         const maxAttempts = this.input.retryAttempts;
         
         for (let attempt = 1; attempt <= maxAttempts; attempt++) {
@@ -383,7 +599,8 @@ class EnterpriseSobhaPortalScraper {
             
             try {
                 this.logger.info(`Authentication attempt ${attempt}/${maxAttempts}`, {
-                    email: SecurityManager.maskSensitiveData(this.input.email)
+                    account: account.label,
+                    email: SecurityManager.maskSensitiveData(account.email)
                 });
 
                 // Navigate to login page
@@ -402,14 +619,16 @@ class EnterpriseSobhaPortalScraper {
                 await page.waitForSelector(CONFIG.SELECTORS.password, { timeout: 30000 });
 
                 this.logger.info('Sobha portal form elements found, filling credentials');
+                await this.selectorHealth.probe(page, 'loginEmail', splitSelectorList(CONFIG.SELECTORS.email));
+                await this.selectorHealth.probe(page, 'loginPassword', splitSelectorList(CONFIG.SELECTORS.password));
 
                 // Clear and fill email field with human-like typing
                 await page.fill(CONFIG.SELECTORS.email, '');
-                await page.type(CONFIG.SELECTORS.email, this.input.email, { delay: 100 + Math.random() * 50 });
+                await page.type(CONFIG.SELECTORS.email, account.email, { delay: 100 + Math.random() * 50 });
 
                 // Clear and fill password field
                 await page.fill(CONFIG.SELECTORS.password, '');
-                await page.type(CONFIG.SELECTORS.password, this.input.password, { delay: 100 + Math.random() * 50 });
+                await page.type(CONFIG.SELECTORS.password, account.password, { delay: 100 + Math.random() * 50 });
 
                 // Add realistic human delay
                 await page.waitForTimeout(1000 + Math.random() * 2000);
@@ -417,6 +636,7 @@ class EnterpriseSobhaPortalScraper {
                 // Click login button
                 this.logger.info('Clicking login button');
                 await page.waitForSelector(CONFIG.SELECTORS.loginButton, { timeout: 10000 });
+                await this.selectorHealth.probe(page, 'loginButton', splitSelectorList(CONFIG.SELECTORS.loginButton));
                 await page.click(CONFIG.SELECTORS.loginButton);
 
                 // Wait for URL change
@@ -438,15 +658,11 @@ class EnterpriseSobhaPortalScraper {
                         pageTitle 
                     });
 
-                    // Simple wait for content
-                    this.logger.info(`Waiting ${CONFIG.CONTENT_WAIT}ms for page content to render`);
-                    await page.waitForTimeout(CONFIG.CONTENT_WAIT);
+                    // Wait until the home page has loaded its Lightning data
+                    await this.waits.waitForLightningReady(page, 'postLogin');
 
                     // Try to dismiss any modal (enhanced for promotional modal)
                     await this.dismissPostLoginModal(page);
-                    
-                    // Extended wait for modal dismissal to complete
-                    await page.waitForTimeout(5000);
 
                     // Validate authentication success
                     if (currentUrl !== CONFIG.LOGIN_URL) {
@@ -459,6 +675,12 @@ class EnterpriseSobhaPortalScraper {
                             duration: Math.round(requestDuration),
                             currentUrl: currentUrl.substring(0, 100)
                         });
+
+                        if (this.input.reuseSession) {
+                            await account.sessionStore.save(await page.context().storageState()).catch(error => {
+                                this.logger.warn('Failed to store authenticated session', { error: error.message });
+                            });
+                        }
                         
                         return true;
                     } else {
@@ -503,6 +725,57 @@ class EnterpriseSobhaPortalScraper {
         return false;
     }
 
+    /**
+     * Reuse the session stored by a previous run: restore cookies and
+     * localStorage, then probe the sobha-project page. Returns false (and
+     * discards the stored session) when the portal asks for a login again.
+     */
+    async restoreSession(page, account) {
+        const requestStart = performance.now();
+
+        try {
+            const storageState = await account.sessionStore.load();
+            if (!storageState) {
+                this.logger.info('No reusable session stored, performing full login');
+                return false;
+            }
+
+            this.logger.info('Probing stored session on projects page');
+            await this.applyStealthTechniques(page);
+            await applyStorageState(page, storageState);
+            await page.goto(CONFIG.PROJECTS_URL, {
+                waitUntil: 'domcontentloaded',
+                timeout: CONFIG.NAVIGATION_TIMEOUT
+            });
+
+            await page.waitForFunction(() => {
+                const loginForm = document.querySelector('input[type="password"]');
+                const projectsComponent = document.querySelector('c-brokerportalsohbaprojects, [class*="brokerportalsohbaprojects"]');
+                return Boolean(loginForm || projectsComponent);
+            }, {}, { timeout: 30000 }).catch(() => {});
+
+            const onLoginPage = /\/login/i.test(page.url()) || await page.locator('input[type="password"]').count() > 0;
+            if (onLoginPage || !page.url().includes('/sobha-project')) {
+                this.logger.info('Stored session has expired, performing full login', { url: page.url().substring(0, 100) });
+                await account.sessionStore.clear();
+                await page.context().clearCookies();
+                return false;
+            }
+
+            const requestDuration = performance.now() - requestStart;
+            this.metrics.recordRequest(true, requestDuration);
+            account.sessionReused = true;
+
+            this.logger.info('✅ Stored session reused, login skipped', { duration: Math.round(requestDuration) });
+            return true;
+
+        } catch (error) {
+            this.logger.warn('Session reuse failed, performing full login', { error: error.message });
+            await page.context().clearCookies().catch(() => {});
+            return false;
+        }
+    }
+
     /**
      * ENHANCED: Modal dismissal targeting promotional modal specifically
      */
@@ -510,9 +783,6 @@ class EnterpriseSobhaPortalScraper {
         try {
             this.logger.info('Attempting to dismiss post-login promotional modal');
 
-            // Wait for promotional modal to appear
-            await page.waitForTimeout(3000);
-
             // STEP 1: Target the specific promotional modal (6% commission modal)
             this.logger.info('Looking for promotional modal (6% commission)');
             
@@ -543,6 +813,14 @@ class EnterpriseSobhaPortalScraper {
                 '.slds-modal__close'
             ];
 
+            // Wait for promotional modal to appear
+            const { ready: modalShown } = await this.waits.waitForModal(page, 'promoModal');
+            if (!modalShown) {
+                this.logger.info('No promotional modal shown');
+                this.selectorHealth.record('promoModalClose', promotionalModalSelectors, null, { optional: true });
+                return;
+            }
+
             let modalClosed = false;
             
             for (const selector of promotionalModalSelectors) {
@@ -553,12 +831,13 @@ class EnterpriseSobhaPortalScraper {
                     this.logger.info(`Found promotional modal close button: ${selector}`);
                     
                     await page.click(selector);
-                    await page.waitForTimeout(2000);
+                    await page.waitForSelector(selector, { state: 'hidden', timeout: CONFIG.WAIT_TIMEOUTS.modalClose }).catch(() => {});
                     
                     // Verify modal is closed by checking if button is still visible
                     const stillVisible = await page.isVisible(selector).catch(() => false);
                     if (!stillVisible) {
                         this.logger.info('✅ Promotional modal closed successfully');
+                        this.selectorHealth.record('promoModalClose', promotionalModalSelectors, selector, { optional: true });
                         modalClosed = true;
                         break;
                     }
@@ -652,8 +931,9 @@ class EnterpriseSobhaPortalScraper {
                     
                     if (modalClosedByJS) {
                         this.logger.info('✅ Promotional modal closed via JavaScript');
+                        this.selectorHealth.record('promoModalClose', promotionalModalSelectors, null, { optional: true, via: 'javascript' });
                         modalClosed = true;
-                        await page.waitForTimeout(2000);
+                        await this.waits.waitForModalsClosed(page, 'modalClose');
                     }
                 } catch (jsError) {
                     this.logger.debug('JavaScript modal close failed', { error: jsError.message });
@@ -662,6 +942,8 @@ class EnterpriseSobhaPortalScraper {
 
             // STEP 3: Force close with escape key and click outside
             if (!modalClosed) {
+                this.selectorHealth.record('promoModalClose', promotionalModalSelectors, null, { optional: true });
+
                 this.logger.info('Trying escape key and backdrop click to close modal');
                 
                 try {
@@ -673,7 +955,6 @@ class EnterpriseSobhaPortalScraper {
                     
                     // Click on backdrop/outside area
                     await page.click('body', { position: { x: 10, y: 10 } });
-                    await page.waitForTimeout(1000);
                     
                     this.logger.info('Escape key and backdrop click completed');
                 } catch (escapeError) {
@@ -682,8 +963,8 @@ class EnterpriseSobhaPortalScraper {
             }
 
             // STEP 4: Verify modal dismissal worked
-            await page.waitForTimeout(2000);
-            
+            await this.waits.waitForModalsClosed(page, 'modalClose');
+
             const finalModalCount = await page.evaluate(() => {
                 // Check for both general modals and the specific Lightning component modal
                 const generalModals = Array.from(document.querySelectorAll('[role="dialog"], .slds-modal'))
@@ -699,6 +980,9 @@ class EnterpriseSobhaPortalScraper {
                 this.logger.info('✅ All modals successfully dismissed');
             } else {
                 this.logger.warn(`${finalModalCount} modal(s) still visible after dismissal attempts`);
+                if (!modalClosed) {
+                    this.selectorHealth.record('promoModalClose', promotionalModalSelectors, null);
+                }
             }
 
             this.logger.info('Enhanced modal dismissal completed');
@@ -712,11 +996,17 @@ class EnterpriseSobhaPortalScraper {
      * Navigate to projects page and wait for Lightning components to render
      */
     async navigateToProjects(page) {
+        this.failureArtifacts.setStep(page, 'navigateToProjects');
+
         try {
             this.logger.info('Navigating to Sobha Projects page');
 
-            // Wait for page to stabilize
-            await page.waitForTimeout(2000);
+            // A reused session already landed on the projects page
+            if (page.url().includes('/sobha-project')) {
+                this.logger.info('Already on projects page, waiting for Lightning components');
+                await this.waitForLightningComponentsToRender(page);
+                return true;
+            }
 
             // Navigate directly to projects page
             this.logger.info('Attempting direct navigation to projects page');
@@ -793,9 +1083,9 @@ class EnterpriseSobhaPortalScraper {
                 return totalInteractive >= 5 && hasFilterContent;
             }, {}, { timeout: 45000 });
 
-            // Step 3: Additional wait for any final rendering
-            this.logger.debug('Allowing extra time for final component rendering');
-            await page.waitForTimeout(5000);
+            // Step 3: Wait for the component's Aura calls and spinners to finish
+            this.logger.debug('Waiting for Lightning data to load');
+            await this.waits.waitForLightningReady(page, 'projectsPage');
 
             // Step 4: Verify components are ready
             const componentStatus = await page.evaluate(() => {
@@ -825,7 +1115,7 @@ class EnterpriseSobhaPortalScraper {
             
             // Don't fail completely - log the issue but continue
             this.logger.warn('Continuing despite Lightning rendering issues');
-            await page.waitForTimeout(10000); // Extra wait as fallback
+            await this.waits.waitForLightningReady(page, 'projectsPage');
             return false;
         }
     }
@@ -834,28 +1124,27 @@ class EnterpriseSobhaPortalScraper {
  * DIRECT INVESTIGATION - Let's see exactly what's happening
  */
 async openPropertyModal(page) {
+    this.failureArtifacts.setStep(page, 'openPropertyModal');
+
     try {
         this.logger.info('INVESTIGATION: Opening property modal');
 
-        await page.waitForTimeout(3000);
-
-        // Take screenshot before clicking
-        await page.screenshot({ path: './before_click.png', fullPage: false });
-        this.logger.info('Screenshot saved: before_click.png');
-
         // Click Filter Properties
         this.logger.info('Clicking Filter Properties');
-        await page.click('a:has-text("Filter Properties")');
+        const filterButtonSelector = await this.selectorHealth.probe(
+            page, 'filterPropertiesButton', splitSelectorList(CONFIG.SELECTORS.filterPropertiesButton)
+        );
+
+        // The modal loads its units through Aura calls; listen before it opens
+        if (this.input.extractionMode === EXTRACTION_MODES.NETWORK) {
+            this.auraCapture.attach(page);
+        }
+        await page.click(filterButtonSelector || 'a:has-text("Filter Properties")');
         
-        // Take screenshot immediately after click
-        await page.waitForTimeout(2000);
-        await page.screenshot({ path: './after_click_2s.png', fullPage: false });
-        this.logger.info('Screenshot saved: after_click_2s.png');
+        // Wait for the modal's Aura calls and the unit table rows to settle
+        await this.waits.waitForTableData(page, 'propertyModal', { rowSelector: CONFIG.SELECTORS.lightningTableRows });
 
-        // Wait and take another screenshot
-        await page.waitForTimeout(10000);
-        await page.screenshot({ path: './after_click_12s.png', fullPage: false });
-        this.logger.info('Screenshot saved: after_click_12s.png');
+        await this.probeUnitTableSelectors(page);
 
         // Check what's visible using Playwright methods (not evaluate)
         const modalVisible = await page.isVisible('.slds-modal');
@@ -906,17 +1195,6 @@ async openPropertyModal(page) {
         }
         this.logger.info('First 5 button texts:', buttonTexts);
 
-        // Final screenshot
-        await page.waitForTimeout(10000);
-        await page.screenshot({ path: './final_state.png', fullPage: false });
-        this.logger.info('Screenshot saved: final_state.png');
-
-        // Store screenshots in dataset for download
-        await Dataset.pushData({
-            type: 'screenshots',
-            message: 'Screenshots saved to: before_click.png, after_click_2s.png, after_click_12s.png, final_state.png'
-        });
-
         return true;
 
     } catch (error) {
@@ -925,764 +1203,1496 @@ async openPropertyModal(page) {
     }
 }
 
-/**
- * Simple extraction that doesn't validate cell count
- */
-async extractPropertyData(page) {
-    try {
-        this.logger.info('Extracting property data - flexible approach');
+    /**
+     * Extract the unit rows currently rendered in the Filter Properties table
+     * (see extraction.js for the column mapping). Schema drift is fatal.
+     */
+    async extractPropertyData(page) {
+        try {
+            this.logger.info('Extracting property data from modal');
 
-        await page.waitForTimeout(2000);
+            // Let the table finish rendering its rows
+            await this.waits.waitForTableData(page, 'tableRows', {
+                rowSelector: CONFIG.SELECTORS.lightningTableRows,
+                allowEmpty: true
+            });
 
-        const properties = await page.evaluate(() => {
-            const extractedProperties = [];
-            
-            // Get ALL tables and try to extract from any with rows
-            const tables = document.querySelectorAll('table');
-            
-            for (const table of tables) {
-                const tbody = table.querySelector('tbody');
-                if (!tbody) continue;
-                
-                const rows = tbody.querySelectorAll('tr');
-                if (rows.length === 0) continue;
-                
-                console.log(`Found table with ${rows.length} rows, attempting extraction...`);
-                
-                rows.forEach((row, index) => {
-                    try {
-                        const cells = row.querySelectorAll('td');
-                        
-                        // Don't validate cell count - just extract what's there
-                        if (cells.length > 0) {
-                            const cellTexts = Array.from(cells).map(cell => 
-                                cell.textContent?.trim() || ''
-                            );
-                            
-                            // Only process if row has actual content
-                            const hasContent = cellTexts.some(text => text.length > 0);
-                            
-                            if (hasContent) {
-                                const property = {
-                                    rowIndex: index + 1,
-                                    cellCount: cells.length,
-                                    // Try to map to expected fields (adjust indices if needed)
-                                    project: cellTexts[0] || '',
-                                    subProject: cellTexts[1] || '',
-                                    unitType: cellTexts[2] || '',
-                                    floor: cellTexts[3] || '',
-                                    unitNo: cellTexts[4] || '',
-                                    totalUnitArea: cellTexts[5] || '',
-                                    startingPrice: cellTexts[6] || '',
-                                    
-                                    // Store all raw data for debugging
-                                    rawData: cellTexts
-                                };
-                                
-                                extractedProperties.push(property);
-                                
-                                // Log first few for debugging
-                                if (index < 3) {
-                                    console.log(`Row ${index + 1} (${cells.length} cells):`, cellTexts.join(' | '));
-                                }
-                            }
-                        }
-                    } catch (rowError) {
-                        console.error(`Error in row ${index}:`, rowError.message);
-                    }
-                });
-                
-                // If we got data from this table, stop
-                if (extractedProperties.length > 0) {
-                    console.log(`Extracted ${extractedProperties.length} properties from table`);
-                    break;
+            const captured = this.input.extractionMode === EXTRACTION_MODES.NETWORK
+                ? await this.auraCapture.getUnits(page)
+                : null;
+
+            let properties;
+            if (captured) {
+                properties = await this.addDomDetailLinks(page, captured);
+            } else {
+                if (this.input.extractionMode === EXTRACTION_MODES.NETWORK) {
+                    this.logger.warn('No unit payload recognised in the Aura responses, falling back to the DOM table');
                 }
+                properties = await extractUnitTableRows(page, { aliases: this.columnAliases });
             }
-            
-            return extractedProperties;
-        });
 
-        this.logger.info(`✅ Extracted ${properties.length} properties`);
-        
-        if (properties.length > 0) {
-            // Log detailed info about what we extracted
-            this.logger.info('Extraction summary:', {
-                total: properties.length,
-                firstProperty: properties[0],
-                cellCounts: properties.slice(0, 5).map(p => p.cellCount)
+            this.logger.info(`✅ Extracted ${properties.length} properties`, {
+                source: captured ? EXTRACTION_MODES.NETWORK : EXTRACTION_MODES.DOM
             });
-        }
-
-        this.metrics.recordPropertiesScraped(properties.length);
-        return properties;
-
-    } catch (error) {
-        this.logger.error('Failed to extract property data', { error: error.message });
-        return [];
-    }
-}
 
-/**
- * Simple extraction that doesn't validate cell count
- */
-async extractPropertyData(page) {
-    try {
-        this.logger.info('Extracting property data - flexible approach');
+            if (properties.length > 0) {
+                this.logger.info('Sample extracted properties:', {
+                    total: properties.length,
+                    first: properties[0],
+                    second: properties[1] || null
+                });
+            }
 
-        await page.waitForTimeout(2000);
+            this.metrics.recordPropertiesScraped(properties.length);
+            return properties;
 
-        const properties = await page.evaluate(() => {
-            const extractedProperties = [];
-            
-            // Get ALL tables and try to extract from any with rows
-            const tables = document.querySelectorAll('table');
-            
-            for (const table of tables) {
-                const tbody = table.querySelector('tbody');
-                if (!tbody) continue;
-                
-                const rows = tbody.querySelectorAll('tr');
-                if (rows.length === 0) continue;
-                
-                console.log(`Found table with ${rows.length} rows, attempting extraction...`);
-                
-                rows.forEach((row, index) => {
-                    try {
-                        const cells = row.querySelectorAll('td');
-                        
-                        // Don't validate cell count - just extract what's there
-                        if (cells.length > 0) {
-                            const cellTexts = Array.from(cells).map(cell => 
-                                cell.textContent?.trim() || ''
-                            );
-                            
-                            // Only process if row has actual content
-                            const hasContent = cellTexts.some(text => text.length > 0);
-                            
-                            if (hasContent) {
-                                const property = {
-                                    rowIndex: index + 1,
-                                    cellCount: cells.length,
-                                    // Try to map to expected fields (adjust indices if needed)
-                                    project: cellTexts[0] || '',
-                                    subProject: cellTexts[1] || '',
-                                    unitType: cellTexts[2] || '',
-                                    floor: cellTexts[3] || '',
-                                    unitNo: cellTexts[4] || '',
-                                    totalUnitArea: cellTexts[5] || '',
-                                    startingPrice: cellTexts[6] || '',
-                                    
-                                    // Store all raw data for debugging
-                                    rawData: cellTexts
-                                };
-                                
-                                extractedProperties.push(property);
-                                
-                                // Log first few for debugging
-                                if (index < 3) {
-                                    console.log(`Row ${index + 1} (${cells.length} cells):`, cellTexts.join(' | '));
-                                }
-                            }
-                        }
-                    } catch (rowError) {
-                        console.error(`Error in row ${index}:`, rowError.message);
-                    }
+        } catch (error) {
+            if (error instanceof SchemaDriftError) {
+                this.selectorHealth.recordSchemaDrift(error);
+                this.logger.error('Unit table schema drift detected', {
+                    missingColumns: error.missingColumns,
+                    headers: error.headers
                 });
-                
-                // If we got data from this table, stop
-                if (extractedProperties.length > 0) {
-                    console.log(`Extracted ${extractedProperties.length} properties from table`);
-                    break;
-                }
+                throw error;
             }
-            
-            return extractedProperties;
-        });
+            this.logger.error('Failed to extract property data', { error: error.message });
+            return [];
+        }
+    }
 
-        this.logger.info(`✅ Extracted ${properties.length} properties`);
-        
-        if (properties.length > 0) {
-            // Log detailed info about what we extracted
-            this.logger.info('Extraction summary:', {
-                total: properties.length,
-                firstProperty: properties[0],
-                cellCounts: properties.slice(0, 5).map(p => p.cellCount)
-            });
+    /**
+     * Aura payloads carry no links, so take each unit's detail link (and,
+     * where the payload lacked it, its record ID) from the matching table
+     * row. The table is only a supplement here: if it cannot be read the
+     * captured units are used as they are.
+     */
+    async addDomDetailLinks(page, units) {
+        let rows = [];
+        try {
+            rows = await extractUnitTableRows(page, { aliases: this.columnAliases });
+        } catch (error) {
+            this.logger.debug('Unit table not readable for detail links', { error: error.message });
         }
 
-        this.metrics.recordPropertiesScraped(properties.length);
-        return properties;
+        const rowsByKey = new Map(rows.map(row => [getRowKey(row), row]));
+        return units.map((unit) => {
+            const row = rowsByKey.get(getRowKey(unit));
+            if (!row) return unit;
+            return { ...unit, unitId: unit.unitId || row.unitId, detailUrl: row.detailUrl };
+        });
+    }
 
-    } catch (error) {
-        this.logger.error('Failed to extract property data', { error: error.message });
-        return [];
+    /**
+     * Record which modal, table and row selectors match once the Filter
+     * Properties modal is open
+     */
+    async probeUnitTableSelectors(page) {
+        await this.selectorHealth.probe(page, 'propertyModal', splitSelectorList(CONFIG.SELECTORS.propertyModal));
+        await this.selectorHealth.probe(page, 'unitTable', splitSelectorList(CONFIG.SELECTORS.lightningTable));
+        await this.selectorHealth.probe(page, 'unitTableRows', splitSelectorList(CONFIG.SELECTORS.lightningTableRows));
     }
-}
-/**
- * Extract property data - matching the structure from screenshot
- * Columns: Project, Sub Project, Unit Type, Floor, Unit No., Total Unit Area, Starting Price
- */
-async extractPropertyData(page) {
-    try {
-        this.logger.info('Extracting property data from modal');
 
-        // Give table a moment to stabilize
-        await page.waitForTimeout(2000);
+    /**
+     * Extract units across every table page until maxResults or end of data
+     */
+    async collectProperties(page, maxResults = this.input.maxResults) {
+        const { rows, pagination } = await this.paginationDriver.collectAllRows(
+            page,
+            p => this.extractPropertyData(p),
+            { maxResults }
+        );
 
-        const properties = await page.evaluate(() => {
-            const extractedProperties = [];
-            
-            // Find all tables and process the one with property data
-            const tables = document.querySelectorAll('table');
-            
-            for (const table of tables) {
-                const tbody = table.querySelector('tbody');
-                if (!tbody) continue;
-                
-                const rows = tbody.querySelectorAll('tr');
-                if (rows.length === 0) continue;
-                
-                // Check if this is the property table (has 7+ columns)
-                const firstRow = rows[0];
-                const testCells = firstRow.querySelectorAll('td');
-                if (testCells.length < 7) continue;
-                
-                console.log(`Processing property table with ${rows.length} rows`);
-                
-                rows.forEach((row, index) => {
-                    try {
-                        const cells = row.querySelectorAll('td');
-                        
-                        if (cells.length >= 7) {
-                            const getCellText = (cell) => {
-                                // Remove any extra whitespace and return clean text
-                                return cell.textContent?.trim() || '';
-                            };
-                            
-                            const property = {
-                                rowIndex: index + 1,
-                                // Based on the screenshot columns:
-                                project: getCellText(cells[0]),        // e.g., "Sobha Hartland"
-                                subProject: getCellText(cells[1]),     // e.g., "Creek Vista"
-                                unitType: getCellText(cells[2]),       // e.g., "Type A"
-                                floor: getCellText(cells[3]),          // e.g., "18"
-                                unitNo: getCellText(cells[4]),         // e.g., "A-1813"
-                                totalUnitArea: getCellText(cells[5]),  // e.g., "788.46"
-                                startingPrice: getCellText(cells[6]),  // e.g., "1,360,434"
-                                
-                                // Parse numeric values
-                                floorNumber: parseInt(getCellText(cells[3])) || null,
-                                area: parseFloat(getCellText(cells[5])?.replace(/,/g, '')) || null,
-                                price: parseFloat(getCellText(cells[6])?.replace(/,/g, '')) || null
-                            };
-                            
-                            // Validate we have meaningful data
-                            if (property.unitNo && property.project) {
-                                extractedProperties.push(property);
-                                
-                                // Log first few for verification
-                                if (index < 3) {
-                                    console.log(`Property ${index + 1}: ${property.project} - ${property.unitNo} - ${property.startingPrice}`);
-                                }
-                            }
-                        }
-                    } catch (rowError) {
-                        console.error(`Error extracting row ${index}:`, rowError.message);
-                    }
-                });
-                
-                // If we found properties, stop looking
-                if (extractedProperties.length > 0) break;
-            }
-            
-            return extractedProperties;
-        });
+        this.metrics.recordPropertiesScraped(rows.length);
+        return { properties: rows, pagination };
+    }
 
-        this.logger.info(`✅ Extracted ${properties.length} properties`);
-        
-        if (properties.length > 0) {
-            // Log sample data
-            this.logger.info('Sample extracted properties:', {
-                total: properties.length,
-                first: properties[0],
-                second: properties[1] || null
-            });
-        }
+    /**
+     * Send a single run_failed notification per run
+     */
+    async notifyRunFailure(error, step) {
+        if (this.failureNotified || this.input.notifications.length === 0) return;
+        this.failureNotified = true;
 
-        this.metrics.recordPropertiesScraped(properties.length);
-        return properties;
+        const stats = await this.notifier.notifyRunFailure(error, { sessionId: this.sessionId, step });
+        this.logger.info('Run failure notification dispatched', { step, sent: stats.sent, failed: stats.failed });
+    }
 
-    } catch (error) {
-        this.logger.error('Failed to extract property data', { error: error.message });
-        return [];
+    /**
+     * Hardened Chromium launch settings shared by every crawler
+     */
+    getLaunchContext() {
+        return {
+            launchOptions: {
+                headless: true,
+                args: [
+                    '--disable-gpu',
+                    '--no-sandbox',
+                    '--disable-dev-shm-usage',
+                    '--disable-web-security',
+                    '--disable-features=VizDisplayCompositor',
+                    '--disable-background-timer-throttling',
+                    '--disable-backgrounding-occluded-windows',
+                    '--disable-renderer-backgrounding',
+                    '--no-first-run',
+                    '--no-default-browser-check',
+                    '--disable-blink-features=AutomationControlled'
+                ]
+            }
+        };
     }
-}
-/**
- * Alternative extraction method for Lightning Web Components
- * This handles dynamic data that might not have consistent IDs
- */
-async extractPropertyData(page) {
-    try {
-        this.logger.info('Extracting property data from Lightning components');
 
-        await page.waitForTimeout(2000);
+    /**
+     * UNIT_DETAIL step: read one unit detail page into this.unitDetails
+     */
+    async enrichUnitDetail(page, request) {
+        const { unitKey } = request.userData;
 
-        const properties = await page.evaluate(() => {
-            const extractedProperties = [];
-            
-            // Find ANY table with data
-            const tables = document.querySelectorAll('table');
-            
-            for (const table of tables) {
-                const tbody = table.querySelector('tbody');
-                if (!tbody) continue;
-                
-                const rows = tbody.querySelectorAll('tr');
-                if (rows.length === 0) continue;
-                
-                console.log(`Processing table with ${rows.length} rows`);
-                
-                rows.forEach((row, index) => {
-                    try {
-                        const cells = row.querySelectorAll('td');
-                        
-                        // We need at least 6-7 cells for property data
-                        if (cells.length >= 6) {
-                            const getCellText = (cell) => {
-                                // Try multiple methods to get text
-                                
-                                // Method 1: Look for slds-truncate div
-                                const truncateDiv = cell.querySelector('div.slds-truncate, .slds-truncate');
-                                if (truncateDiv) {
-                                    return truncateDiv.getAttribute('title') || 
-                                           truncateDiv.textContent?.trim() || '';
-                                }
-                                
-                                // Method 2: Direct text content
-                                return cell.textContent?.trim() || '';
-                            };
-                            
-                            // Build property object based on cell position
-                            const property = {
-                                rowIndex: index + 1,
-                                // Map cells to expected fields
-                                projectCategory: getCellText(cells[0]),
-                                project: getCellText(cells[1]),
-                                unitType: getCellText(cells[2]),
-                                floor: getCellText(cells[3]),
-                                unitNo: getCellText(cells[4]),
-                                totalUnitArea: getCellText(cells[5]),
-                                startingPrice: cells[6] ? getCellText(cells[6]) : '',
-                                
-                                // Try to extract any additional data
-                                rawData: Array.from(cells).map(c => getCellText(c))
-                            };
-                            
-                            // Validate that we have meaningful data
-                            const hasData = property.rawData.some(text => 
-                                text && text.length > 0 && text !== '-'
-                            );
-                            
-                            if (hasData) {
-                                extractedProperties.push(property);
-                                
-                                // Log first few for debugging
-                                if (index < 3) {
-                                    console.log(`Row ${index}:`, property.rawData);
-                                }
-                            }
-                        }
-                    } catch (rowError) {
-                        console.error(`Error extracting row ${index}:`, rowError.message);
-                    }
-                });
-                
-                // If we found data in this table, stop looking
-                if (extractedProperties.length > 0) {
-                    console.log(`Extracted ${extractedProperties.length} properties from table`);
-                    break;
-                }
-            }
-            
-            return extractedProperties;
-        });
+        await this.detailRateLimiter.wait();
+        const requestStart = performance.now();
+        let timer = null;
 
-        this.logger.info(`✅ Extracted ${properties.length} properties`);
-        
-        if (properties.length > 0) {
-            this.logger.info('Sample property data:', {
-                first: properties[0],
-                total: properties.length
+        try {
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`Unit detail page timed out after ${CONFIG.DETAIL_REQUEST_TIMEOUT / 1000}s`)),
+                    CONFIG.DETAIL_REQUEST_TIMEOUT);
             });
-        }
 
-        this.metrics.recordPropertiesScraped(properties.length);
+            const details = await Promise.race([timeout, (async () => {
+                await this.waits.waitForLightningReady(page, 'detailPage');
+                return extractUnitDetails(page);
+            })()]);
+            this.unitDetails.set(unitKey, { ...details, detailStatus: 'enriched' });
 
-        return properties;
+            const requestDuration = performance.now() - requestStart;
+            this.metrics.recordRequest(true, requestDuration);
+            this.detailRateLimiter.onSuccess();
 
-    } catch (error) {
-        this.logger.error('Failed to extract property data', { error: error.message });
-        return [];
+            this.logger.info(`✅ Unit ${unitKey} enriched`, {
+                paymentPlanMilestones: details.paymentPlan.length,
+                floorPlans: details.floorPlanLinks.length,
+                duration: Math.round(requestDuration)
+            });
+        } catch (error) {
+            this.metrics.recordRequest(false, performance.now() - requestStart, error);
+            this.detailRateLimiter.onFailure();
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            this.releaseDetailSlot(request);
+        }
     }
-}
-/**
- * Debug version of extraction with detailed logging
- * Use this temporarily to diagnose what's happening
- */
-async extractPropertyDataDebug(page) {
-    try {
-        this.logger.info('🔍 DEBUG: Starting detailed extraction diagnostics');
-
-        await page.waitForTimeout(3000);
-
-        // First, let's check what we can see in the DOM
-        const domInfo = await page.evaluate(() => {
-            const info = {
-                hasModal: false,
-                modalId: null,
-                hasTbody: false,
-                tbodySelectors: [],
-                rowCount: 0,
-                rowSelectors: [],
-                firstRowInfo: null,
-                sampleCellData: []
-            };
 
-            // Check for modal
-            const modal = document.querySelector('[id^="modal-content-id-"]');
-            info.hasModal = !!modal;
-            info.modalId = modal?.id || 'not found';
-
-            // Try different tbody selectors
-            const tbodySelectors = [
-                'tbody[lwc-774enseH4rp]',
-                'tbody[lwc-774enseH4rp=""]', 
-                'table.customFilterTable tbody',
-                '.customFilterTable tbody',
-                '[id^="modal-content-id-"] tbody',
-                'tbody'
-            ];
+    /**
+     * Detail pages share the crawler with the unit lists; a UNIT_DETAIL
+     * request takes one of detailConcurrency slots before it navigates
+     */
+    async acquireDetailSlot(request) {
+        await this.detailSlots.acquire();
+        this.detailSlotHolders.add(request.uniqueKey);
+    }
 
-            for (const selector of tbodySelectors) {
-                const tbody = document.querySelector(selector);
-                if (tbody) {
-                    info.tbodySelectors.push(selector);
-                }
+    /**
+     * Safe to call more than once per attempt: only a held slot is released
+     */
+    releaseDetailSlot(request) {
+        if (this.detailSlotHolders.delete(request.uniqueKey)) {
+            this.detailSlots.release();
+        }
+    }
+
+    /**
+     * Enqueue a UNIT_DETAIL request for every extracted unit with a detail
+     * link. A unit listed for several accounts is visited once.
+     */
+    async enqueueUnitDetails(properties, account, addRequests) {
+        const requests = properties
+            .filter(property => property.found !== false && property.detailUrl)
+            .map(property => {
+                const unitKey = getRowKey(property);
+                return {
+                    url: property.detailUrl,
+                    uniqueKey: `unit-detail-${unitKey}`,
+                    userData: { label: 'UNIT_DETAIL', account: account.label, unitKey }
+                };
+            });
+
+        if (requests.length > 0) {
+            await addRequests(requests);
+            this.logger.info(`Enqueued ${requests.length} unit detail requests`, {
+                account: account.label,
+                concurrency: this.input.detailConcurrency,
+                requestDelay: this.input.detailRequestDelay
+            });
+        }
+    }
+
+    /**
+     * Merge the detail fields collected by the UNIT_DETAIL requests into
+     * the records
+     */
+    applyUnitDetails(properties) {
+        for (const property of properties) {
+            const details = property.detailUrl ? this.unitDetails.get(getRowKey(property)) : null;
+            if (details) {
+                Object.assign(property, details);
+            } else if (!property.detailUrl) {
+                property.detailStatus = 'no-detail-link';
             }
+        }
 
-            // Find the actual tbody
-            const tbody = document.querySelector('[id^="modal-content-id-"] tbody') || 
-                         document.querySelector('tbody');
-            info.hasTbody = !!tbody;
-
-            if (tbody) {
-                // Try different row selectors
-                const rowSelectors = [
-                    'tr.slds-hint-parent',
-                    'tr[lwc-774enseH4rp]',
-                    'tr[lwc-774enseH4rp=""]',
-                    'tr'
-                ];
-
-                for (const selector of rowSelectors) {
-                    const rows = tbody.querySelectorAll(selector);
-                    if (rows.length > 0) {
-                        info.rowSelectors.push(`${selector}: ${rows.length} rows`);
-                    }
-                }
+        if (!properties.some(p => p.detailUrl)) {
+            this.logger.warn('Detail enrichment skipped - no extracted unit exposes a detail link');
+            return;
+        }
 
-                // Get all rows
-                const rows = tbody.querySelectorAll('tr');
-                info.rowCount = rows.length;
+        this.logger.info('Detail enrichment completed', {
+            enriched: properties.filter(p => p.detailStatus === 'enriched').length,
+            failed: properties.filter(p => p.detailStatus === 'failed').length,
+            withoutLink: properties.filter(p => p.detailStatus === 'no-detail-link').length
+        });
+    }
 
-                // Examine first row in detail
-                if (rows.length > 0) {
-                    const firstRow = rows[0];
-                    const cells = firstRow.querySelectorAll('td');
-                    
-                    info.firstRowInfo = {
-                        cellCount: cells.length,
-                        rowClasses: firstRow.className,
-                        rowAttributes: Array.from(firstRow.attributes).map(attr => 
-                            `${attr.name}="${attr.value}"`
-                        ).join(' ')
-                    };
-
-                    // Get data from first 3 cells as sample
-                    for (let i = 0; i < Math.min(3, cells.length); i++) {
-                        const cell = cells[i];
-                        const truncateDiv = cell.querySelector('div.slds-truncate');
-                        
-                        info.sampleCellData.push({
-                            cellIndex: i,
-                            dataLabel: cell.getAttribute('data-label'),
-                            hasTruncateDiv: !!truncateDiv,
-                            titleAttr: truncateDiv?.getAttribute('title'),
-                            textContent: truncateDiv?.textContent?.trim() || cell.textContent?.trim(),
-                            innerHTML: cell.innerHTML.substring(0, 200) // First 200 chars
-                        });
-                    }
+    /**
+     * History mode: export the stored price history without opening the portal.
+     * Scoped by filters.project (or subProject) and/or specificUnit.
+     */
+    async exportPriceHistory() {
+        const project = this.input.filters.project || this.input.filters.subProject || null;
+        const rows = await this.priceHistory.exportHistory({ project, units: this.input.specificUnits });
+
+        if (rows.length > 0) {
+            await Dataset.pushData(rows);
+        } else {
+            this.logger.warn('No price history found for the requested scope', { project, units: this.input.specificUnits });
+        }
+
+        await Actor.setValue(RUN_SUMMARY_KEY, {
+            success: true,
+            sessionId: this.sessionId,
+            timestamp: new Date().toISOString(),
+            scrapeMode: this.input.scrapeMode,
+            summary: {
+                project,
+                units: this.input.specificUnits,
+                unitsWithHistory: new Set(rows.map(row => row.unitNo)).size,
+                historyPoints: rows.length
+            },
+            metrics: this.metrics.getSummary(),
+            datasetItemCount: rows.length
+        });
+
+        return {
+            success: true,
+            sessionId: this.sessionId,
+            metrics: this.metrics.getSummary()
+        };
+    }
+
+    /**
+     * LOGIN step: authenticate one account and hand its session to the
+     * PROJECTS request
+     */
+    async handleLogin(page, request, { addRequests }) {
+        const stepStart = performance.now();
+        const account = this.getAccount(request.userData.account);
+
+        try {
+            this.logger.info('Starting Lightning table-aware scraping workflow', { url: request.url, account: account.label });
+
+            // Memory monitoring
+            this.metrics.recordMemoryUsage();
+
+            // Apply rate limiting
+            await this.rateLimiter.wait();
+
+            // Perform authentication
+            if (!await this.authenticate(page, account)) {
+                throw new Error('Authentication failed');
+            }
+
+            // Shared with every later request of this account
+            account.storageState = await page.context().storageState();
+            await this.checkpoints.save('login');
+
+            // A resumed run only needed the session; the account's other requests are queued already
+            if (account.settleLogin) account.settleLogin();
+            if (request.userData.resumed) return;
+
+            if (this.input.apiReplay && await this.replayUnitLists(page, account)) {
+                return;
+            }
+
+            await addRequests([{
+                url: CONFIG.PROJECTS_URL,
+                uniqueKey: `projects-${account.label}`,
+                userData: { label: 'PROJECTS', account: account.label }
+            }]);
+
+        } catch (error) {
+            await this.handleStepError(error, request, stepStart, page);
+        }
+    }
+
+    /**
+     * PROJECTS step: open the Filter Properties modal and either enqueue a
+     * UNIT_LIST request per project or, without fan-out, extract the unit
+     * table right away
+     */
+    async handleProjects(page, request, { addRequests }) {
+        const stepStart = performance.now();
+        const account = this.getAccount(request.userData.account);
+
+        try {
+            this.assertSessionAccepted(page, account);
+
+            // Navigate to projects page
+            await this.navigateToProjects(page);
+            await this.recordBrowserInfo(page);
+
+            if (this.input.scrapeMode === 'projects') {
+                await this.scrapeProjectCatalogue(page, account);
+                return;
+            }
+
+            // Project brochures, price lists etc. are linked from the projects page
+            if (this.input.downloadDocuments) {
+                this.projectDocumentLinks = await this.documentArchiver.collectProjectDocumentLinks(page);
+            }
+
+            // Open property modal by clicking Filter Properties
+            await this.openPropertyModal(page);
+
+            const scopes = await this.planUnitLists(page);
+            if (!scopes) {
+                // Narrow the unit table to the requested filters
+                this.failureArtifacts.setStep(page, 'applyFilters');
+                const filtersApplied = await this.filterManager.applyFilters(page, this.input.filters);
+                await this.scrapeUnitList(page, account, { scope: null, scopeIndex: 0, filtersApplied, addRequests });
+                return;
+            }
+
+            await addRequests(scopes.map((scope, scopeIndex) => this.buildUnitListRequest(account, scope, scopeIndex, {
+                splitBedrooms: this.input.fanOut === FAN_OUT_MODES.PROJECT_BEDROOMS && !this.input.filters.bedrooms
+            })));
+
+            this.logger.info(`Enqueued ${scopes.length} unit list requests`, {
+                account: account.label,
+                fanOut: this.input.fanOut,
+                concurrency: this.input.parallelRequests
+            });
+
+        } catch (error) {
+            await this.handleStepError(error, request, stepStart, page);
+        }
+    }
+
+    /**
+     * User agent and viewport for the result metadata, from the first page
+     * that gets this far
+     */
+    async recordBrowserInfo(page) {
+        this.browserInfo = this.browserInfo || {
+            userAgent: await page.evaluate(() => navigator.userAgent),
+            viewport: await page.evaluate(() => ({
+                width: window.innerWidth,
+                height: window.innerHeight
+            }))
+        };
+    }
+
+    /**
+     * API replay: fetch the account's unit lists by replaying the Aura
+     * actions learnt in an earlier browser run, using the session of the
+     * login page. Returns false when the browser has to do the work: no
+     * current learnt actions, or a replay failed (the lists replayed so far are
+     * discarded so the browser run is complete on its own).
+     */
+    async replayUnitLists(page, account) {
+        const plan = await this.replayPlans.load(getReplayPlanKey(account.label, this.input));
+        if (!plan) {
+            this.logger.info('No current unit list actions learnt for API replay, using the browser', { account: account.label });
+            this.replayRuns.push({ account: account.label, mode: 'browser', reason: 'not-learnt' });
+            return false;
+        }
+
+        const replayStart = performance.now();
+        const lists = [];
+        try {
+            const session = this.replayClient.getSession(page, account.storageState);
+            for (const { scope, scopeIndex, filtersApplied, action } of plan.lists) {
+                await this.rateLimiter.wait();
+                lists.push({ scope, scopeIndex, filtersApplied, properties: await this.replayClient.fetchUnits(session, action) });
+            }
+        } catch (error) {
+            if (!(error instanceof AuraReplayError)) throw error;
+
+            this.logger.warn('API replay failed, falling back to the browser', { account: account.label, kind: error.kind, error: error.message });
+            this.replayRuns.push({ account: account.label, mode: 'browser', reason: error.kind, error: error.message });
+            return false;
+        }
+
+        await this.recordBrowserInfo(page);
+        for (const list of lists) {
+            await this.recordUnitList(account, { ...list, pagination: null });
+        }
+
+        this.replayRuns.push({ account: account.label, mode: 'replay', unitLists: lists.length, learntAt: plan.savedAt });
+        this.logger.info(`✅ Replayed ${lists.length} unit list(s) without the browser`, {
+            account: account.label,
+            duration: Math.round(performance.now() - replayStart)
+        });
+        return true;
+    }
+
+    /**
+     * Learn the Aura actions of a complete browser run, per account, for
+     * the next API replay. Accounts with a failed unit list, or a list not
+     * covered by a single Aura payload, are not learnt.
+     */
+    async saveReplayPlans() {
+        for (const run of this.replayRuns.filter(entry => entry.mode === 'browser')) {
+            const parts = this.unitLists.filter(part => part.account === run.account);
+            const failed = this.unitListFailures.some(failure => failure.account === run.account);
+
+            if (parts.length === 0 || failed || parts.some(part => !part.replayAction)) {
+                this.logger.info('Unit list actions not learnt for API replay', { account: run.account, unitLists: parts.length, failed });
+                continue;
+            }
+
+            await this.replayPlans.save(getReplayPlanKey(run.account, this.input), parts.map(part => ({
+                scope: part.scope,
+                scopeIndex: part.scopeIndex,
+                filtersApplied: part.filtersApplied,
+                action: part.replayAction
+            }))).catch(error => this.logger.warn('Failed to store the unit list actions', { error: error.message }));
+            run.learnt = true;
+        }
+    }
+
+    /**
+     * Projects mode: read the project and sub-project cards of the projects
+     * page instead of the unit table
+     */
+    async scrapeProjectCatalogue(page, account) {
+        this.failureArtifacts.setStep(page, 'extraction');
+        const records = await extractProjectCatalogue(page);
+        if (records.length === 0) {
+            throw new Error('No project cards found on the projects page');
+        }
+
+        this.projectCatalogue.push({
+            account: account.label,
+            records: records.map(record => ({ ...record, account: account.label }))
+        });
+        await this.checkpoints.save('projects');
+
+        this.logger.info(`✅ Extracted ${records.length} project catalogue records`, {
+            account: account.label,
+            projects: records.filter(record => !record.subProject).length,
+            subProjects: records.filter(record => record.subProject).length
+        });
+    }
+
+    /**
+     * Requests after LOGIN carry the account's stored session; a redirect to
+     * the login form means the portal did not accept it
+     */
+    assertSessionAccepted(page, account) {
+        if (page.url().includes('/login')) {
+            throw new Error(`Session of account ${account.label} was not accepted`);
+        }
+    }
+
+    /**
+     * UNIT_LIST step: open the Filter Properties modal with the shared
+     * session, narrow it to the request's scope and extract the unit table
+     */
+    async handleUnitList(page, request, { addRequests }) {
+        const stepStart = performance.now();
+        const account = this.getAccount(request.userData.account);
+        const { scope, scopeIndex, splitBedrooms } = request.userData;
+
+        try {
+            this.logger.info('Extracting unit list', { account: account.label, scope });
+            await this.rateLimiter.wait();
+
+            this.assertSessionAccepted(page, account);
+
+            await this.navigateToProjects(page);
+            await this.openPropertyModal(page);
+
+            this.failureArtifacts.setStep(page, 'applyFilters');
+            const filtersApplied = await this.filterManager.applyFilters(page, { ...this.input.filters, ...scope });
+
+            // Bedroom options depend on the selected project, so they are listed here
+            if (splitBedrooms) {
+                const bedrooms = await this.filterManager.listFilterOptions(page, 'bedrooms');
+                if (bedrooms.length > 1) {
+                    await addRequests(bedrooms.map((value, index) => this.buildUnitListRequest(
+                        account,
+                        { ...scope, bedrooms: value },
+                        scopeIndex + (index + 1) / 1000
+                    )));
+                    this.logger.info(`Split ${scope.project} into ${bedrooms.length} bedroom unit lists`);
+                    return;
                 }
             }
 
-            return info;
+            await this.scrapeUnitList(page, account, { scope, scopeIndex, filtersApplied, addRequests });
+
+        } catch (error) {
+            await this.handleStepError(error, request, stepStart, page);
+        }
+    }
+
+    /**
+     * Unit list scopes for the fan-out, or null to extract everything on the
+     * PROJECTS page (specific mode, fan-out disabled, a sub-project filter or
+     * fewer than two projects)
+     */
+    async planUnitLists(page) {
+        if (this.input.scrapeMode !== 'bulk' || this.input.fanOut === FAN_OUT_MODES.NONE || this.input.filters.subProject) {
+            return null;
+        }
+
+        const projects = this.input.filters.project
+            ? [this.input.filters.project]
+            : await this.filterManager.listFilterOptions(page, 'project').catch((error) => {
+                this.logger.warn('Could not list projects for fan-out', { error: error.message });
+                return [];
+            });
+
+        if (projects.length === 0) {
+            this.logger.warn('No project options found in the Filter Properties modal, extracting without fan-out');
+            return null;
+        }
+        if (projects.length === 1 && this.input.fanOut === FAN_OUT_MODES.PROJECT) {
+            return null;
+        }
+
+        return projects.map(project => ({ project }));
+    }
+
+    /**
+     * UNIT_LIST request for one account and scope
+     */
+    buildUnitListRequest(account, scope, scopeIndex, { splitBedrooms = false } = {}) {
+        return {
+            url: CONFIG.PROJECTS_URL,
+            uniqueKey: getUnitListKey(account.label, scope),
+            userData: { label: 'UNIT_LIST', account: account.label, scope, scopeIndex, splitBedrooms }
+        };
+    }
+
+    /**
+     * Extract, attribute and validate the (already filtered) unit table and
+     * keep the result until every unit list of the run has finished
+     */
+    async scrapeUnitList(page, account, { scope, scopeIndex, filtersApplied, addRequests }) {
+        const listStart = performance.now();
+        this.failureArtifacts.setStep(page, 'extraction');
+
+        // Extract property data from Lightning table modal
+        let properties;
+        let pagination = null;
+
+        if (this.input.scrapeMode === 'specific') {
+            properties = await this.unitLookup.lookupUnits(
+                page,
+                this.input.specificUnits,
+                p => this.extractPropertyData(p),
+                async p => (await this.collectProperties(p, Number.POSITIVE_INFINITY)).properties
+            );
+        } else {
+            ({ properties, pagination } = await this.collectProperties(page));
+        }
+
+        // A list that one Aura payload covered completely can be replayed without the browser
+        const action = this.input.apiReplay ? await this.auraCapture.getAction(page) : null;
+        const replayAction = action && properties.length > 0 && action.units >= properties.length
+            ? { url: action.url, message: action.message, pageURI: action.pageURI }
+            : null;
+
+        await this.recordUnitList(account, { scope, scopeIndex, properties, pagination, filtersApplied, replayAction });
+
+        if (this.input.enrichDetails) {
+            await this.enqueueUnitDetails(this.unitLists[this.unitLists.length - 1].properties, account, addRequests);
+        }
+
+        this.logger.info('Lightning table-aware scraping workflow completed successfully', {
+            account: account.label,
+            scope,
+            propertiesCount: properties.length,
+            successRate: this.metrics.getSuccessRate(),
+            duration: Math.round(performance.now() - listStart)
+        });
+    }
+
+    /**
+     * Attribute and validate one unit list and keep it until every unit
+     * list of the run has finished
+     */
+    async recordUnitList(account, { scope, scopeIndex, properties, pagination, filtersApplied, replayAction = null }) {
+        // Attribute every record to the account it was seen from
+        properties = properties.map(property => ({ ...property, account: account.label }));
+
+        // Type and validate every record; hard rule failures go to the rejected dataset
+        const validation = validateUnitRecords(properties);
+        properties = validation.accepted;
+        await storeRejectedRecords(validation.rejected, { sessionId: this.sessionId });
+
+        if (validation.rejected.length > 0) {
+            this.logger.warn(`${validation.rejected.length} record(s) failed validation and were routed to ${REJECTED_DATASET_NAME}`, {
+                sample: validation.rejected.slice(0, 3).map(record => ({
+                    unitNo: record.unitNo,
+                    issues: record.validationIssues.map(entry => entry.code)
+                }))
+            });
+        }
+
+        // Quality assurance check
+        if (this.metrics.getSuccessRate() < CONFIG.MIN_SUCCESS_RATE) {
+            this.logger.warn('Success rate below enterprise threshold', {
+                successRate: this.metrics.getSuccessRate(),
+                threshold: CONFIG.MIN_SUCCESS_RATE
+            });
+        }
+
+        this.unitLists.push({
+            account: account.label,
+            scope,
+            scopeIndex,
+            properties,
+            pagination,
+            exhaustive: pagination ? pagination.exhaustive !== false : true,
+            filtersApplied,
+            validation: validation.summary,
+            replayAction
         });
 
-        this.logger.info('🔍 DEBUG DOM Info:', domInfo);
+        // Persist before the request is marked as handled, so a restart never loses a finished list
+        await this.checkpoints.save('unit-list');
+    }
 
-        // Now try extraction with detailed logging
-        const properties = await page.evaluate(() => {
-            const extractedProperties = [];
-            const debugLog = [];
+    /**
+     * Log a failed step, store its failure artifacts and the failure summary
+     * and rethrow for Crawlee's retry handling
+     */
+    async handleStepError(error, request, stepStart, page) {
+        const duration = performance.now() - stepStart;
+        this.metrics.recordRequest(false, duration, error);
+        const message = this.failureArtifacts.mask(error.message);
+        const stack = this.failureArtifacts.mask(error.stack);
+
+        this.logger.error('Lightning table-aware scraping workflow failed', {
+            step: request.userData.label,
+            account: request.userData.account,
+            scope: request.userData.scope,
+            error: message,
+            duration: Math.round(duration),
+            stack
+        });
+
+        // Kept in userData so the artifacts of every attempt reach failedRequestHandler
+        const artifacts = await this.failureArtifacts.capture(page, request);
+        request.userData.failureArtifacts = [...(request.userData.failureArtifacts || []), artifacts];
+
+        // Retrying cannot fix a changed table layout
+        if (error instanceof SchemaDriftError) {
+            request.noRetry = true;
+        }
 
+        // Store error results (the dataset only holds unit rows)
+        await Actor.setValue(RUN_SUMMARY_KEY, {
+            sessionId: this.sessionId,
+            timestamp: new Date().toISOString(),
+            success: false,
+            error: {
+                message,
+                stack,
+                step: request.userData.label,
+                account: request.userData.account,
+                artifacts,
+                ...(error instanceof SchemaDriftError && {
+                    missingColumns: error.missingColumns,
+                    headers: error.headers
+                })
+            },
+            metrics: this.metrics.getSummary(),
+            approach: 'lightning-table-extraction'
+        });
+
+        throw error;
+    }
+
+    /**
+     * Run progress for the checkpoint. Account sessions are stored
+     * encrypted with the same secret as the session store.
+     */
+    getCheckpointState() {
+        return {
+            sessionId: this.sessionId,
+            elapsedMs: Math.round(performance.now() - this.scrapeStartedAt),
+            accounts: this.accounts.map(account => ({
+                label: account.label,
+                sessionReused: account.sessionReused,
+                storageState: account.storageState ? encryptState(account.storageState, account.sessionStore.secret) : null
+            })),
+            unitLists: this.unitLists,
+            unitListFailures: this.unitListFailures,
+            accountFailures: this.accountFailures,
+            replayRuns: this.replayRuns,
+            unitDetails: Object.fromEntries(this.unitDetails),
+            projectCatalogue: this.projectCatalogue,
+            browserInfo: this.browserInfo,
+            projectDocumentLinks: this.projectDocumentLinks,
+            selectorHealth: { chains: this.selectorHealth.chains, schemaDrift: this.selectorHealth.schemaDrift }
+        };
+    }
+
+    /**
+     * Continue a run from its checkpoint: same session (and request queue),
+     * finished unit lists and details, and the accounts' sessions
+     */
+    restoreCheckpoint(checkpoint) {
+        this.sessionId = checkpoint.sessionId;
+        this.logger.sessionId = checkpoint.sessionId;
+        this.metrics.sessionId = checkpoint.sessionId;
+        this.scrapeStartedAt = performance.now() - checkpoint.elapsedMs;
+
+        for (const saved of checkpoint.accounts) {
+            const account = this.accounts.find(entry => entry.label === saved.label);
+            if (!account || !saved.storageState) continue;
+
+            account.sessionReused = saved.sessionReused;
             try {
-                // Find modal
-                const modal = document.querySelector('[id^="modal-content-id-"]');
-                if (!modal) {
-                    debugLog.push('ERROR: Modal not found');
-                    return { properties: [], debugLog };
-                }
-                debugLog.push(`Found modal: ${modal.id}`);
-
-                // Find tbody
-                const tbody = modal.querySelector('tbody') || 
-                            document.querySelector('[id^="modal-content-id-"] tbody');
-                if (!tbody) {
-                    debugLog.push('ERROR: Tbody not found');
-                    return { properties: [], debugLog };
-                }
-                debugLog.push('Found tbody');
+                account.storageState = decryptState(saved.storageState, account.sessionStore.secret);
+            } catch (error) {
+                this.logger.warn('Checkpointed session could not be decrypted, logging in again', { account: account.label, error: error.message });
+                this.expectLogin(account);
+            }
+        }
 
-                // Get rows - try multiple selectors
-                let rows = tbody.querySelectorAll('tr.slds-hint-parent');
-                if (rows.length === 0) {
-                    rows = tbody.querySelectorAll('tr[lwc-774enseH4rp]');
-                    debugLog.push('Using tr[lwc-774enseH4rp] selector');
-                }
-                if (rows.length === 0) {
-                    rows = tbody.querySelectorAll('tr');
-                    debugLog.push('Using generic tr selector');
-                }
-                
-                debugLog.push(`Found ${rows.length} rows`);
+        this.unitLists = checkpoint.unitLists;
+        this.unitListFailures = checkpoint.unitListFailures;
+        this.accountFailures = checkpoint.accountFailures;
+        this.replayRuns = checkpoint.replayRuns || [];
+        this.unitDetails = new Map(Object.entries(checkpoint.unitDetails));
+        this.projectCatalogue = checkpoint.projectCatalogue;
+        this.browserInfo = checkpoint.browserInfo;
+        this.projectDocumentLinks = checkpoint.projectDocumentLinks;
+        Object.assign(this.selectorHealth, checkpoint.selectorHealth);
+        this.resumedFrom = checkpoint.savedAt;
+
+        this.logger.info('Resuming run from checkpoint', {
+            savedAt: checkpoint.savedAt,
+            reason: checkpoint.reason,
+            unitLists: this.unitLists.length,
+            unitDetails: this.unitDetails.size
+        });
+    }
 
-                // Process first 5 rows for debugging
-                const maxRows = Math.min(5, rows.length);
-                for (let i = 0; i < maxRows; i++) {
-                    const row = rows[i];
-                    const cells = row.querySelectorAll('td');
-                    
-                    debugLog.push(`Row ${i}: ${cells.length} cells`);
-
-                    if (cells.length >= 7) {
-                        const property = {
-                            rowIndex: i + 1,
-                            cells: []
-                        };
-
-                        // Extract each cell
-                        for (let j = 0; j < Math.min(8, cells.length); j++) {
-                            const cell = cells[j];
-                            const truncateDiv = cell.querySelector('div.slds-truncate');
-                            
-                            let cellText = '';
-                            if (truncateDiv) {
-                                cellText = truncateDiv.getAttribute('title') || 
-                                          truncateDiv.textContent?.trim() || '';
-                            } else {
-                                cellText = cell.textContent?.trim() || '';
-                            }
+    /**
+     * The account's pending requests wait for a new LOGIN (see
+     * getResumeLogins) instead of running without a session
+     */
+    expectLogin(account) {
+        account.storageState = null;
+        account.pendingLogin = new Promise((resolve, reject) => {
+            account.settleLogin = error => (error ? reject(error) : resolve());
+        });
+        // Only awaited once a request of the account needs the session
+        account.pendingLogin.catch(() => {});
+    }
 
-                            property.cells.push({
-                                index: j,
-                                label: cell.getAttribute('data-label'),
-                                text: cellText
-                            });
-                        }
+    /**
+     * Session for a request after LOGIN. Waits for the new login of an
+     * account whose checkpointed session was lost.
+     */
+    async getAccountSession(account) {
+        if (!account.storageState && account.pendingLogin) {
+            try {
+                await account.pendingLogin;
+            } catch (error) {
+                throw new Error(`Account ${account.label} could not log in again after resuming: ${error.message}`);
+            }
+        }
+        if (!account.storageState) {
+            throw new Error(`Account ${account.label} has no session: its login has not completed`);
+        }
+        return account.storageState;
+    }
 
-                        // Map to expected structure
-                        property.projectCategory = property.cells[0]?.text || '';
-                        property.project = property.cells[1]?.text || '';
-                        property.unitType = property.cells[2]?.text || '';
-                        property.floor = property.cells[3]?.text || '';
-                        property.unitNo = property.cells[4]?.text || '';
-                        property.totalUnitArea = property.cells[5]?.text || '';
-                        property.startingPrice = property.cells[6]?.text || '';
-
-                        extractedProperties.push(property);
-                        debugLog.push(`Extracted property ${i + 1}: Unit ${property.unitNo}`);
-                    }
+    /**
+     * A new LOGIN for every account whose checkpointed session was lost;
+     * its original LOGIN is already handled in the queue
+     */
+    getResumeLogins() {
+        return this.accounts.filter(account => account.pendingLogin).map(account => ({
+            url: CONFIG.LOGIN_URL,
+            uniqueKey: `login-${account.label}-resumed-${this.resumedFrom}`,
+            userData: { label: 'LOGIN', account: account.label, resumed: true }
+        }));
+    }
+
+    /**
+     * Detail pages finished after the last checkpoint are marked as handled
+     * in the queue but missing from the restored state; visit them again
+     */
+    getResumeRequests() {
+        if (!this.resumedFrom || !this.input.enrichDetails) return [];
+
+        const requests = [];
+        for (const part of this.unitLists) {
+            const account = this.getAccount(part.account);
+            for (const property of part.properties) {
+                const unitKey = getRowKey(property);
+                if (property.found === false || !property.detailUrl || this.unitDetails.has(unitKey)) continue;
+                requests.push({
+                    url: property.detailUrl,
+                    uniqueKey: `unit-detail-${unitKey}-resumed-${this.resumedFrom}`,
+                    userData: { label: 'UNIT_DETAIL', account: account.label, unitKey }
+                });
+            }
+        }
+        return requests;
+    }
+
+    /**
+     * Account a crawler request logs in with
+     */
+    getAccount(label) {
+        return this.accounts.find(account => account.label === label) || this.accounts[0];
+    }
+
+    /**
+     * Merge the unit lists into one run per account and the runs into one
+     * result set. Returns null when no unit list completed.
+     */
+    buildResults() {
+        const maxResults = this.input.scrapeMode === 'bulk' ? this.input.maxResults : Number.POSITIVE_INFINITY;
+        const runs = [];
+
+        for (const account of this.accounts) {
+            const parts = this.unitLists.filter(part => part.account === account.label);
+            if (parts.length === 0) continue;
+
+            const failedLists = this.unitListFailures.filter(failure => failure.account === account.label).length;
+            runs.push({
+                account: account.label,
+                ...mergeUnitLists(parts, { failedLists, maxResults }),
+                // With fan-out every list applied the requested filters plus its own scope
+                filtersApplied: parts.length === 1
+                    ? parts[0].filtersApplied
+                    : parts[0].filtersApplied.filter(entry => entry.key in this.input.filters),
+                unitLists: parts.length,
+                failedUnitLists: failedLists,
+                sessionReused: account.sessionReused
+            });
+        }
+
+        this.accountRuns = runs;
+        if (runs.length === 0) return null;
+
+        const order = this.accounts.map(account => account.label);
+        const primary = runs[0];
+        const multiAccount = this.accounts.length > 1;
+        const properties = runs.flatMap(run => run.properties);
+        const validation = runs.reduce((totals, run) => {
+            for (const key of Object.keys(totals)) totals[key] += run.validation[key];
+            return totals;
+        }, { checked: 0, accepted: 0, rejected: 0, withWarnings: 0 });
+
+        // Detail pages and documents are fetched with the first account's session
+        this.storageState = this.getAccount(primary.account).storageState;
+
+        const paginated = runs.filter(run => run.pagination);
+        const specificUnits = this.input.specificUnits || [];
+        const foundUnits = new Set(properties.filter(p => p.found).map(p => p.requestedUnit));
+
+        return {
+            // Session metadata
+            sessionId: this.sessionId,
+            timestamp: new Date().toISOString(),
+            scrapeMode: this.input.scrapeMode,
+            
+            // Configuration used
+            configuration: {
+                filtersRequested: this.input.filters,
+                filtersApplied: primary.filtersApplied,
+                maxResults: this.input.maxResults,
+                enableStealth: this.input.enableStealth,
+                sessionReused: runs.every(run => run.sessionReused),
+                ...(multiAccount && { accounts: order }),
+                ...(this.resumedFrom && { resumedFromCheckpoint: this.resumedFrom }),
+                approach: 'lightning-table-extraction'
+            },
+            
+            // Results data
+            summary: {
+                totalProperties: properties.length,
+                validation: { ...validation, rejectedDataset: REJECTED_DATASET_NAME },
+                ...(paginated.length > 0 && {
+                    exhaustive: runs.every(run => run.exhaustive),
+                    truncated: paginated.some(run => run.pagination.truncated),
+                    pagination: multiAccount
+                        ? Object.fromEntries(paginated.map(run => [run.account, run.pagination]))
+                        : primary.pagination
+                }),
+                ...(this.input.scrapeMode === 'specific' && {
+                    unitsRequested: specificUnits.length,
+                    unitsFound: foundUnits.size,
+                    unitsNotFound: specificUnits.filter(unit => !foundUnits.has(unit))
+                }),
+                ...(multiAccount && {
+                    accounts: this.accounts.map(account => {
+                        const run = runs.find(entry => entry.account === account.label);
+                        const failure = [...this.accountFailures, ...this.unitListFailures]
+                            .find(entry => entry.account === account.label);
+                        return run
+                            ? { account: account.label, success: true, properties: run.properties.length, exhaustive: run.exhaustive, failedUnitLists: run.failedUnitLists }
+                            : { account: account.label, success: false, error: failure ? failure.error : 'Not processed' };
+                    })
+                }),
+                successRate: this.metrics.getSuccessRate(),
+                ...(this.unitListFailures.length > 0 && { failedUnitLists: this.unitListFailures }),
+                ...(this.input.apiReplay && { apiReplay: this.replayRuns }),
+                scrapingDuration: Math.round(performance.now() - this.scrapeStartedAt)
+            },
+            
+            // Property data
+            properties,
+            
+            // Metrics
+            metrics: this.metrics.getSummary(),
+            
+            // Metadata
+            metadata: {
+                scraperVersion: '1.0.5',
+                portalUrl: CONFIG.LOGIN_URL,
+                userAgent: this.browserInfo.userAgent,
+                viewport: this.browserInfo.viewport,
+                approach: 'lightning-table-extraction',
+                timestamp: Date.now()
+            }
+        };
+    }
+
+    /**
+     * Projects mode result set. A project listed for several accounts is
+     * kept once (first account in input order wins).
+     */
+    buildProjectResults() {
+        const order = this.accounts.map(account => account.label);
+        const catalogues = [...this.projectCatalogue].sort((a, b) => order.indexOf(a.account) - order.indexOf(b.account));
+        const projects = new Map();
+
+        for (const { records } of catalogues) {
+            for (const record of records) {
+                const key = `${record.project}|${record.subProject || ''}`.toLowerCase();
+                if (!projects.has(key)) projects.set(key, record);
+            }
+        }
+
+        if (projects.size === 0) return null;
+        const records = Array.from(projects.values());
+
+        return {
+            sessionId: this.sessionId,
+            timestamp: new Date().toISOString(),
+            scrapeMode: this.input.scrapeMode,
+            configuration: {
+                enableStealth: this.input.enableStealth,
+                sessionReused: this.accounts.every(account => account.sessionReused),
+                ...(this.accounts.length > 1 && { accounts: order }),
+                ...(this.resumedFrom && { resumedFromCheckpoint: this.resumedFrom }),
+                approach: 'project-catalogue'
+            },
+            summary: {
+                totalProjects: records.filter(record => !record.subProject).length,
+                totalSubProjects: records.filter(record => record.subProject).length,
+                ...(this.accountFailures.length > 0 && { failedAccounts: this.accountFailures }),
+                successRate: this.metrics.getSuccessRate(),
+                scrapingDuration: Math.round(performance.now() - this.scrapeStartedAt)
+            },
+            projects: records,
+            metrics: this.metrics.getSummary(),
+            metadata: {
+                scraperVersion: '1.0.5',
+                portalUrl: CONFIG.LOGIN_URL,
+                userAgent: this.browserInfo.userAgent,
+                viewport: this.browserInfo.viewport,
+                approach: 'project-catalogue',
+                timestamp: Date.now()
+            }
+        };
+    }
+
+    /**
+     * Change detection against the stored snapshot. With several accounts
+     * every account keeps its own snapshot, so a unit hidden from one
+     * account is not reported as removed from the inventory.
+     */
+    async trackAccountChanges() {
+        const options = {
+            sessionId: this.sessionId,
+            filters: this.input.filters,
+            exhaustive: this.pendingResults.summary.exhaustive !== false
+        };
+
+        if (this.accounts.length === 1) {
+            return this.changeTracker.trackChanges(this.pendingResults.properties, options);
+        }
+
+        const summary = {};
+        const events = [];
+        for (const run of this.accountRuns) {
+            const result = await this.changeTracker.trackChanges(run.properties, {
+                ...options,
+                exhaustive: run.exhaustive,
+                account: run.account
+            });
+            summary[run.account] = result.summary;
+            events.push(...result.events);
+        }
+        return { summary, events };
+    }
+
+    /**
+     * WATCH mode: keep one logged-in page per account and re-scrape it on
+     * the schedule of the WatchScheduler (see watch.js) until the run is
+     * aborted or migrated, maxCycles were run or too many cycles in a row
+     * failed. Each cycle pushes only its inventory changes to the dataset.
+     */
+    async executeWatch() {
+        const scheduler = new WatchScheduler(this.logger, this.input.watch);
+        const browser = await launchPlaywright(this.getLaunchContext());
+        const cycles = [];
+        let failedCycles = 0;
+
+        this.logger.info('Watch mode started', { watch: this.input.watch, filters: this.input.filters });
+        scheduler.start();
+        try {
+            while (await scheduler.waitForNextCycle()) {
+                const cycle = await this.runWatchCycle(browser, scheduler.cycle, scheduler);
+                cycles.push(cycle);
+                if (cycles.length > CONFIG.WATCH_SUMMARY_CYCLES) cycles.shift();
+
+                // A cycle only counts as failed when no account could be scraped
+                failedCycles = cycle.failedAccounts.length === this.accounts.length ? failedCycles + 1 : 0;
+                if (failedCycles >= CONFIG.WATCH_MAX_FAILED_CYCLES) {
+                    scheduler.stop('failed-cycles');
                 }
+                await this.writeWatchSummary(scheduler, cycles);
+            }
+        } finally {
+            scheduler.close();
+            for (const account of this.accounts) {
+                await this.closeWatchPage(account);
+            }
+            await browser.close().catch(() => {});
+        }
+
+        if (scheduler.stopReason === 'failed-cycles') {
+            throw new Error(`Watch mode stopped after ${failedCycles} failed cycles in a row: ${cycles[cycles.length - 1].failedAccounts.map(failure => failure.error).join('; ')}`);
+        }
 
+        this.logger.info(`Watch mode stopped after ${scheduler.cycle} cycle(s)`, { reason: scheduler.stopReason });
+        return {
+            success: true,
+            sessionId: this.sessionId,
+            metrics: this.metrics.getSummary()
+        };
+    }
+
+    /**
+     * One watch cycle over every account, with its own MetricsCollector.
+     * An account that fails gets a fresh login in the next cycle.
+     */
+    async runWatchCycle(browser, cycle, scheduler = null) {
+        this.metrics = new MetricsCollector(this.sessionId);
+        this.waits.metrics = this.metrics;
+        const startedAt = new Date().toISOString();
+        const accounts = {};
+        const failedAccounts = [];
+        const events = [];
+        const observed = [];
+
+        for (const account of this.accounts) {
+            // An abort during the cycle skips the accounts not started yet
+            if (scheduler && scheduler.stopped) break;
+
+            const stepStart = performance.now();
+            try {
+                const result = await this.watchAccount(browser, account);
+                this.metrics.recordRequest(true, performance.now() - stepStart);
+                accounts[account.label] = result.summary;
+                events.push(...result.events);
+                observed.push(...result.properties);
             } catch (error) {
-                debugLog.push(`ERROR: ${error.message}`);
+                this.metrics.recordRequest(false, performance.now() - stepStart, error);
+                const failure = await this.handleWatchError(error, account, cycle);
+                accounts[account.label] = failure;
+                failedAccounts.push(failure);
             }
+        }
+        this.metrics.recordPropertiesScraped(observed.length);
+        this.metrics.recordMemoryUsage();
+
+        // Only the deltas reach the dataset; the first cycle of a new scope is the baseline
+        let notifications = null;
+        if (events.length > 0) {
+            await Dataset.pushData(events.map(event => ({ ...event, cycle })));
+            if (this.input.notifications.length > 0) {
+                notifications = await this.notifier.notifyInventoryChanges(events, { sessionId: this.sessionId });
+            }
+        }
 
-            return { 
-                properties: extractedProperties, 
-                debugLog,
-                totalRowsFound: document.querySelectorAll('[id^="modal-content-id-"] tbody tr').length
-            };
+        let priceHistory = null;
+        if (this.input.trackPriceHistory && observed.length > 0) {
+            // A unit seen by several accounts is one observation (first account in input order wins)
+            const seen = new Set();
+            priceHistory = await this.priceHistory.recordObservations(observed.filter((property) => {
+                if (seen.has(getRowKey(property))) return false;
+                seen.add(getRowKey(property));
+                return true;
+            }), startedAt);
+        }
+
+        this.logger.info(`Watch cycle ${cycle} completed`, {
+            changes: events.length,
+            failedAccounts: failedAccounts.length,
+            duration: this.metrics.getDuration()
         });
 
-        this.logger.info('🔍 DEBUG Extraction Results:', {
-            propertiesExtracted: properties.properties.length,
-            totalRows: properties.totalRowsFound,
-            debugLog: properties.debugLog,
-            firstProperty: properties.properties[0]
+        return {
+            cycle,
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            accounts,
+            failedAccounts,
+            changes: summariseChanges(events),
+            notifications,
+            priceHistory,
+            metrics: this.metrics.getSummary()
+        };
+    }
+
+    /**
+     * Re-scrape one account on its watch page. The page is reloaded so the
+     * modal and its Aura calls start afresh; an expired session redirects
+     * the reload to the login form and is renewed on the spot.
+     */
+    async watchAccount(browser, account) {
+        const page = await this.getWatchPage(browser, account);
+        await this.rateLimiter.wait();
+
+        if (page.url().includes('/sobha-project')) {
+            await page.reload({ waitUntil: 'domcontentloaded', timeout: CONFIG.NAVIGATION_TIMEOUT });
+        }
+        if (page.url().includes('/login')) {
+            this.logger.info('Watch session expired, logging in again', { account: account.label });
+            await this.loginWatchPage(page, account);
+        }
+
+        await this.navigateToProjects(page);
+        await this.openPropertyModal(page);
+
+        this.failureArtifacts.setStep(page, 'applyFilters');
+        await this.filterManager.applyFilters(page, this.input.filters);
+
+        this.failureArtifacts.setStep(page, 'extraction');
+        const { properties, pagination } = await this.collectProperties(page);
+
+        const validation = validateUnitRecords(properties.map(property => ({ ...property, account: account.label })));
+        await storeRejectedRecords(validation.rejected, { sessionId: this.sessionId });
+
+        // Same snapshot keys as bulk runs, so watch and bulk runs continue each other's snapshots
+        const exhaustive = pagination.exhaustive !== false;
+        const { summary, events } = await this.changeTracker.trackChanges(validation.accepted, {
+            sessionId: this.sessionId,
+            filters: this.input.filters,
+            exhaustive,
+            account: this.accounts.length > 1 ? account.label : null
         });
 
-        return properties.properties;
+        return {
+            properties: validation.accepted,
+            events,
+            summary: {
+                units: validation.accepted.length,
+                rejected: validation.rejected.length,
+                exhaustive,
+                changes: summary
+            }
+        };
+    }
+
+    /**
+     * The account's logged-in watch page, logging in on a new context when
+     * there is none yet. Never traced: the trace would record the login.
+     */
+    async getWatchPage(browser, account) {
+        if (account.watchPage && !account.watchPage.isClosed()) {
+            return account.watchPage;
+        }
 
-    } catch (error) {
-        this.logger.error('🔍 DEBUG: Extraction failed', { 
-            error: error.message,
-            stack: error.stack 
+        const context = await browser.newContext();
+        const page = await context.newPage();
+        await this.failureArtifacts.attach(page);
+        this.waits.attach(page);
+
+        account.watchPage = page;
+        await this.loginWatchPage(page, account);
+        return page;
+    }
+
+    async loginWatchPage(page, account) {
+        if (!await this.authenticate(page, account)) {
+            throw new Error('Authentication failed');
+        }
+        account.storageState = await page.context().storageState();
+        await this.recordBrowserInfo(page);
+    }
+
+    async closeWatchPage(account) {
+        if (!account.watchPage) return;
+
+        await account.watchPage.context().close().catch(() => {});
+        account.watchPage = null;
+    }
+
+    /**
+     * Log a failed account of a watch cycle, store its failure artifacts and
+     * drop its page, so the next cycle starts with a fresh login
+     */
+    async handleWatchError(error, account, cycle) {
+        const message = this.failureArtifacts.mask(error.message);
+        this.logger.error('Watch cycle failed for account', {
+            account: account.label,
+            cycle,
+            error: message,
+            stack: this.failureArtifacts.mask(error.stack)
         });
-        return [];
+
+        const artifacts = account.watchPage
+            ? await this.failureArtifacts.capture(account.watchPage, {
+                uniqueKey: `watch-${cycle}-${account.label}`,
+                userData: { label: 'WATCH', account: account.label }
+            })
+            : null;
+
+        await this.closeWatchPage(account);
+        return { account: account.label, error: message, artifacts };
     }
-}
+
+    /**
+     * RUN_SUMMARY of a watch run, rewritten after every cycle
+     */
+    async writeWatchSummary(scheduler, cycles) {
+        const last = cycles[cycles.length - 1] || null;
+        await Actor.setValue(RUN_SUMMARY_KEY, {
+            sessionId: this.sessionId,
+            timestamp: new Date().toISOString(),
+            success: scheduler.stopReason !== 'failed-cycles',
+            scrapeMode: 'watch',
+            watch: {
+                ...scheduler.options,
+                cyclesRun: scheduler.cycle,
+                cyclesToday: scheduler.cyclesToday,
+                stopReason: scheduler.stopReason
+            },
+            filters: this.input.filters,
+            browserInfo: this.browserInfo,
+            lastCycle: last && { cycle: last.cycle, finishedAt: last.finishedAt, changes: last.changes },
+            cycles,
+            approach: 'lightning-table-extraction'
+        });
+    }
+
     /**
      * Main enhanced scraping workflow with Lightning table extraction
      */
     async executeScraping() {
+        if (this.input.scrapeMode === 'history') {
+            return this.exportPriceHistory();
+        }
+
+        if (this.input.scrapeMode === 'watch') {
+            return this.executeWatch();
+        }
+
+        bindScraper(this);
+        this.scrapeStartedAt = performance.now();
+
+        const checkpoint = await this.checkpoints.load();
+        if (checkpoint) {
+            this.restoreCheckpoint(checkpoint);
+        }
+
+        // The queue is named after the session, so a resumed run picks up its pending requests
+        const requestQueue = await RequestQueue.open(`scrape-${this.sessionId}`);
+
         const crawler = new PlaywrightCrawler({
-            maxRequestsPerCrawl: 1,
+            requestQueue,
+            requestHandler: router,
             requestHandlerTimeoutSecs: CONFIG.REQUEST_TIMEOUT / 1000,
+            navigationTimeoutSecs: CONFIG.NAVIGATION_TIMEOUT / 1000,
             maxConcurrency: this.input.parallelRequests,
-            launchContext: {
-                launchOptions: {
-                    headless: true,
-                    args: [
-                        '--disable-gpu',
-                        '--no-sandbox',
-                        '--disable-dev-shm-usage',
-                        '--disable-web-security',
-                        '--disable-features=VizDisplayCompositor',
-                        '--disable-background-timer-throttling',
-                        '--disable-backgrounding-occluded-windows',
-                        '--disable-renderer-backgrounding',
-                        '--no-first-run',
-                        '--no-default-browser-check',
-                        '--disable-blink-features=AutomationControlled'
-                    ]
+            maxRequestRetries: this.input.retryAttempts,
+            // Incognito pages keep each account's cookies and storage apart
+            launchContext: { ...this.getLaunchContext(), useIncognitoPages: true },
+            preNavigationHooks: [
+                async ({ page, request }) => {
+                    // LOGIN is never traced: the trace would record the typed credentials
+                    await this.failureArtifacts.attach(page, { trace: request.userData.label !== 'LOGIN' });
+                    this.waits.attach(page);
+                    if (request.userData.label === 'LOGIN') {
+                        // The login page's own Aura calls carry the context and token for API replay
+                        if (this.input.apiReplay) this.replayClient.attach(page);
+                        return;
+                    }
+
+                    // Waiting for a detail slot happens before the detail page is loaded
+                    if (request.userData.label === 'UNIT_DETAIL') {
+                        await this.acquireDetailSlot(request);
+                    }
+
+                    // Later steps reuse the session established by the account's LOGIN request
+                    await this.applyStealthTechniques(page);
+                    await applyStorageState(page, await this.getAccountSession(this.getAccount(request.userData.account)));
                 }
+            ],
+            // A detail attempt that failed before its handler ran still holds its slot
+            errorHandler: async ({ request }) => {
+                this.releaseDetailSlot(request);
             },
-            requestHandler: async ({ page, request }) => {
-                const scrapeStart = performance.now();
-                
-                try {
-                    this.logger.info('Starting Lightning table-aware scraping workflow', { url: request.url });
+            failedRequestHandler: async ({ request }) => {
+                this.releaseDetailSlot(request);
+                const message = this.failureArtifacts.mask(request.errorMessages[request.errorMessages.length - 1] || 'Unknown error');
+                const { label, account, scope, unitKey, failureArtifacts = [] } = request.userData;
+
+                // A missing detail page only affects that unit's record
+                if (label === 'UNIT_DETAIL') {
+                    this.unitDetails.set(unitKey, { detailStatus: 'failed', detailError: message });
+                    return;
+                }
 
-                    // Memory monitoring
-                    this.metrics.recordMemoryUsage();
+                // Requests waiting for a resumed login fail with it
+                if (label === 'LOGIN' && this.getAccount(account).settleLogin) {
+                    this.getAccount(account).settleLogin(new Error(message));
+                }
 
-                    // Apply rate limiting
-                    await this.rateLimiter.wait();
+                if (label === 'UNIT_LIST') {
+                    this.unitListFailures.push({ account, scope, error: message, artifacts: failureArtifacts });
+                } else {
+                    this.accountFailures.push({ account, error: message, artifacts: failureArtifacts });
+                }
+                await this.notifyRunFailure(new Error(`[${account}] ${message}`), label === 'UNIT_LIST' ? 'unit-list' : 'scrape');
+            }
+        });
 
-                    // Perform authentication
-                    if (!await this.authenticate(page)) {
-                        throw new Error('Authentication failed');
-                    }
+        // Logins replacing lost sessions go first: the account's pending requests wait for them
+        await requestQueue.addRequests(this.getResumeLogins(), { forefront: true });
 
-                    // Navigate to projects page
-                    await this.navigateToProjects(page);
+        // Execute crawler, one login request per account; every later step is enqueued from there.
+        // When resuming, handled logins are skipped by the queue.
+        this.checkpoints.start(() => this.getCheckpointState());
+        try {
+            await crawler.run([
+                ...this.accounts.map(account => ({
+                    url: CONFIG.LOGIN_URL,
+                    uniqueKey: `login-${account.label}`,
+                    userData: { label: 'LOGIN', account: account.label }
+                })),
+                ...this.getResumeRequests()
+            ]);
+        } finally {
+            this.checkpoints.stop();
+        }
+        await requestQueue.drop();
 
-                    // Open property modal by clicking Filter Properties
-                    await this.openPropertyModal(page);
+        if (this.input.apiReplay) {
+            await this.saveReplayPlans();
+        }
 
-                    // Extract property data from Lightning table modal
-                    const properties = await this.extractPropertyData(page);
+        this.pendingResults = this.input.scrapeMode === 'projects' ? this.buildProjectResults() : this.buildResults();
 
-                    // Prepare results
-                    const results = {
-                        // Session metadata
-                        sessionId: this.sessionId,
-                        timestamp: new Date().toISOString(),
-                        scrapeMode: this.input.scrapeMode,
-                        
-                        // Configuration used
-                        configuration: {
-                            filtersApplied: this.input.filters,
-                            maxResults: this.input.maxResults,
-                            enableStealth: this.input.enableStealth,
-                            approach: 'lightning-table-extraction'
-                        },
-                        
-                        // Results data
-                        summary: {
-                            totalProperties: properties.length,
-                            successRate: this.metrics.getSuccessRate(),
-                            scrapingDuration: Math.round(performance.now() - scrapeStart)
-                        },
-                        
-                        // Property data
-                        properties,
-                        
-                        // Metrics
-                        metrics: this.metrics.getSummary(),
-                        
-                        // Metadata
-                        metadata: {
-                            scraperVersion: '1.0.5',
-                            portalUrl: CONFIG.LOGIN_URL,
-                            userAgent: await page.evaluate(() => navigator.userAgent),
-                            viewport: await page.evaluate(() => ({
-                                width: window.innerWidth,
-                                height: window.innerHeight
-                            })),
-                            approach: 'lightning-table-extraction',
-                            timestamp: Date.now()
-                        }
-                    };
+        const selectorHealth = await this.selectorHealth.writeReport(this.sessionId).catch(error => {
+            this.logger.warn('Failed to store selector health report', { error: error.message });
+            return null;
+        });
 
-                    // Quality assurance check
-                    if (this.metrics.getSuccessRate() < CONFIG.MIN_SUCCESS_RATE) {
-                        this.logger.warn('Success rate below enterprise threshold', {
-                            successRate: this.metrics.getSuccessRate(),
-                            threshold: CONFIG.MIN_SUCCESS_RATE
-                        });
-                    }
+        if (this.pendingResults && this.input.scrapeMode === 'projects') {
+            this.pendingResults.summary.selectorHealth = selectorHealth;
+            const itemCount = await writeRunOutput(this.pendingResults, {
+                outputFormats: this.input.outputFormats,
+                logger: this.logger
+            });
 
-                    // Store results in dataset
-                    await Dataset.pushData(results);
+            this.logger.info(`Stored ${itemCount} project rows in dataset and ${RUN_SUMMARY_KEY} in key-value store`);
+        } else if (this.pendingResults) {
+            this.pendingResults.summary.selectorHealth = selectorHealth;
 
-                    this.logger.info('Lightning table-aware scraping workflow completed successfully', {
-                        propertiesCount: properties.length,
-                        successRate: this.metrics.getSuccessRate(),
-                        duration: Math.round(performance.now() - scrapeStart)
-                    });
+            if (this.input.enrichDetails) {
+                // Units reported as not found in specific mode have no detail page
+                this.applyUnitDetails(this.pendingResults.properties.filter(p => p.found !== false));
+            }
 
-                } catch (error) {
-                    const duration = performance.now() - scrapeStart;
-                    this.metrics.recordRequest(false, duration, error);
-                    
-                    this.logger.error('Lightning table-aware scraping workflow failed', {
-                        error: error.message,
-                        duration: Math.round(duration),
-                        stack: error.stack
-                    });
-                    
-                    // Store error results
-                    await Dataset.pushData({
-                        sessionId: this.sessionId,
-                        timestamp: new Date().toISOString(),
-                        success: false,
-                        error: {
-                            message: error.message,
-                            stack: error.stack
-                        },
-                        metrics: this.metrics.getSummary(),
-                        approach: 'lightning-table-extraction'
+            if (this.input.downloadDocuments) {
+                this.pendingResults.summary.documents = await this.documentArchiver.archiveForProperties(
+                    this.pendingResults.properties.filter(p => p.found !== false),
+                    this.projectDocumentLinks,
+                    this.storageState
+                );
+            }
+
+            // Inventory movements only make sense for bulk snapshots
+            if (this.input.trackChanges && this.input.scrapeMode === 'bulk') {
+                const { summary, events } = await this.trackAccountChanges();
+                this.pendingResults.summary.changes = summary;
+                this.pendingResults.changeLog = events;
+
+                if (events.length > 0 && this.input.notifications.length > 0) {
+                    this.pendingResults.summary.notifications = await this.notifier.notifyInventoryChanges(events, {
+                        sessionId: this.sessionId
                     });
-                    
-                    throw error;
                 }
             }
-        });
 
-        // Execute crawler
-        await crawler.run([CONFIG.LOGIN_URL]);
+            if (this.input.trackPriceHistory) {
+                // A unit seen by several accounts is one observation (first account in input order wins)
+                const seen = new Set();
+                const observed = this.pendingResults.properties.filter(p => {
+                    if (p.found === false || seen.has(getRowKey(p))) return false;
+                    seen.add(getRowKey(p));
+                    return true;
+                });
+                this.pendingResults.summary.priceHistory = await this.priceHistory.recordObservations(
+                    observed,
+                    this.pendingResults.timestamp
+                );
+            }
+
+            if (this.accountRuns.length > 1) {
+                const { rows, summary } = buildAccountVisibility(this.accountRuns);
+                await storeAccountVisibility(rows, { sessionId: this.sessionId });
+                this.pendingResults.summary.accountVisibility = { ...summary, dataset: VISIBILITY_DATASET_NAME };
+                this.logger.info('Account visibility comparison stored', summary);
+            }
+
+            // One dataset item per unit, run summary and metrics in the key-value store
+            this.pendingResults.metrics = this.metrics.getSummary();
+            const itemCount = await writeRunOutput(this.pendingResults, {
+                outputFormats: this.input.outputFormats,
+                logger: this.logger
+            });
+
+            this.logger.info(`Stored ${itemCount} unit rows in dataset and ${RUN_SUMMARY_KEY} in key-value store`);
+        }
+
+        // The run is complete; a restart from here on must not resume it
+        await this.checkpoints.clear();
         
         return {
             success: true,
@@ -1696,6 +2706,8 @@ async extractPropertyDataDebug(page) {
  * MAIN LIGHTNING TABLE-AWARE ACTOR ENTRY POINT
  */
 async function main() {
+    let scraper = null;
+
     try {
         await Actor.init();
         console.log('Lightning table-aware Actor initialized successfully');
@@ -1720,7 +2732,7 @@ async function main() {
 
         // Initialize Lightning table-aware scraper
         console.log('Initializing Lightning table-aware enterprise scraper...');
-        const scraper = new EnterpriseSobhaPortalScraper(validatedInput);
+        scraper = new EnterpriseSobhaPortalScraper(validatedInput);
 
         // Execute Lightning table-aware scraping workflow
         console.log('Starting Lightning table-aware scraping workflow...');
@@ -1754,6 +2766,14 @@ async function main() {
                 stack: error.stack 
             });
         }
+
+        if (scraper) {
+            try {
+                await scraper.notifyRunFailure(error, 'main');
+            } catch (notifyError) {
+                console.error('Failed to send failure notification:', notifyError.message);
+            }
+        }
         
         try {
             await Actor.fail(`Critical error: ${error.message}`);
@@ -1771,5 +2791,19 @@ async function main() {
     }
 }
 
-// Execute the main function
-await main();
+export {
+    CONFIG,
+    EnterpriseLogger,
+    SecurityManager,
+    RateLimiter,
+    MetricsCollector,
+    ConcurrencyLimiter,
+    InputValidator,
+    EnterpriseSobhaPortalScraper,
+    main
+};
+
+// Execute the main function when run as the Actor entry point (tests import this module)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    await main();
+}
@@ -0,0 +1,232 @@
+/**
+ * Enterprise Record Normalisation for Sobha Portal Scraper
+ * ========================================================
+ * Turns the raw unit table strings into typed fields (floor number, area
+ * in sqft and sqm, integer AED price, price per sqft, bedroom count) and
+ * validates every record. Records breaking a hard rule are routed to the
+ * rejected dataset instead of the main output; softer problems are kept
+ * on the record as `validationIssues`.
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+import { Actor } from 'apify';
+
+export const REJECTED_DATASET_NAME = 'sobha-rejected-units';
+
+const SQM_PER_SQFT = 0.09290304;
+
+/**
+ * Floor labels that are not plain numbers
+ */
+export const FLOOR_LABELS = {
+    'g': 0,
+    'gf': 0,
+    'ground': 0,
+    'ground floor': 0,
+    'lg': -1,
+    'lower ground': -1,
+    'b': -1,
+    'basement': -1,
+    'p': 1,
+    'podium': 1,
+    'm': 1,
+    'mezzanine': 1
+};
+
+/**
+ * Plausibility limits. Prices outside the hard limits are almost always a
+ * parsing or column mapping error.
+ */
+const LIMITS = {
+    minPrice: 100000,
+    maxPrice: 1000000000,
+    minAreaSqft: 100,
+    maxAreaSqft: 100000,
+    minPricePerSqft: 200,
+    maxPricePerSqft: 50000,
+    maxFloor: 200
+};
+
+export const ISSUE_SEVERITY = {
+    ERROR: 'error',
+    WARNING: 'warning'
+};
+
+/**
+ * Price per square foot rounded to 2 decimals
+ */
+export function computePricePerSqft(price, areaSqft) {
+    if (typeof price !== 'number' || typeof areaSqft !== 'number' || areaSqft <= 0) return null;
+    return Math.round((price / areaSqft) * 100) / 100;
+}
+
+/**
+ * "18" -> 18, "G" -> 0, "Podium" -> 1, "Floor 22" -> 22, "B2" -> -2
+ */
+export function parseFloor(value) {
+    const label = String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    if (!label) return null;
+
+    if (label in FLOOR_LABELS) return FLOOR_LABELS[label];
+
+    const basement = label.match(/^b(?:asement)?\s*-?\s*(\d+)$/);
+    if (basement) return -parseInt(basement[1], 10);
+
+    const podium = label.match(/^p(?:odium)?\s*-?\s*(\d+)$/);
+    if (podium) return parseInt(podium[1], 10);
+
+    const numeric = label.match(/^(?:floor|level|flr)?\s*(-?\d+)(?:st|nd|rd|th)?(?: floor)?$/);
+    return numeric ? parseInt(numeric[1], 10) : null;
+}
+
+/**
+ * Area text to `{ areaSqft, areaSqm }`. Values are sqft unless the text
+ * says sqm / m2.
+ */
+export function parseArea(value) {
+    const text = String(value || '').toLowerCase();
+    const match = text.replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+    if (!match) return { areaSqft: null, areaSqm: null };
+
+    const amount = parseFloat(match[0]);
+    const isSqm = /sq\.?\s*m(?!i)|sqm|m2|m²/.test(text) && !/sq\.?\s*f|sqft|ft/.test(text);
+    const areaSqft = isSqm ? amount / SQM_PER_SQFT : amount;
+
+    return {
+        areaSqft: Math.round(areaSqft * 100) / 100,
+        areaSqm: Math.round(areaSqft * SQM_PER_SQFT * 100) / 100
+    };
+}
+
+/**
+ * Price text to `{ price, currency }` with price as integer AED.
+ * Handles "1,360,434", "AED 1.36M", "2.1 million" and "950K".
+ */
+export function parsePrice(value) {
+    const text = String(value || '').trim();
+    const match = text.replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*(million|mn|m|k)?\b/i);
+    if (!match) return { price: null, currency: null };
+
+    const multiplier = { million: 1000000, mn: 1000000, m: 1000000, k: 1000 }[String(match[2] || '').toLowerCase()] || 1;
+    const currency = (text.match(/\b(AED|USD|EUR|GBP)\b/i) || [null, 'AED'])[1].toUpperCase();
+
+    return { price: Math.round(parseFloat(match[1]) * multiplier), currency };
+}
+
+/**
+ * "2 Bed Type B" -> 2, "Studio" -> 0, "Type A" -> null
+ */
+export function parseBedrooms(unitType) {
+    const text = String(unitType || '').toLowerCase();
+    if (/\bstudio\b/.test(text)) return 0;
+
+    const match = text.match(/(\d+)\s*(?:bed|br\b|bhk|bedroom)/);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+function issue(field, code, severity, message) {
+    return { field, code, severity, message };
+}
+
+/**
+ * Add typed fields and `validationIssues` to one extracted record
+ */
+export function normaliseUnitRecord(property) {
+    const floorNumber = parseFloor(property.floor);
+    const { areaSqft, areaSqm } = parseArea(property.totalUnitArea);
+    const { price, currency } = parsePrice(property.startingPrice);
+    const bedrooms = parseBedrooms(property.unitType);
+    const pricePerSqft = computePricePerSqft(price, areaSqft);
+
+    const issues = [];
+
+    // Hard rules: the record cannot be identified or its price is not believable
+    if (!property.unitNo) issues.push(issue('unitNo', 'missing_unit_no', ISSUE_SEVERITY.ERROR, 'Unit number is empty'));
+    if (!property.project) issues.push(issue('project', 'missing_project', ISSUE_SEVERITY.ERROR, 'Project is empty'));
+    if (price !== null && (price < LIMITS.minPrice || price > LIMITS.maxPrice)) {
+        issues.push(issue('startingPrice', 'price_out_of_range', ISSUE_SEVERITY.ERROR,
+            `Price ${price} is outside ${LIMITS.minPrice}-${LIMITS.maxPrice} AED`));
+    }
+
+    // Soft rules: kept in the output, flagged for review
+    if (price === null) {
+        issues.push(issue('startingPrice', property.startingPrice ? 'unparsed_price' : 'missing_price', ISSUE_SEVERITY.WARNING,
+            `Price "${property.startingPrice || ''}" could not be parsed`));
+    }
+    if (areaSqft === null) {
+        issues.push(issue('totalUnitArea', property.totalUnitArea ? 'unparsed_area' : 'missing_area', ISSUE_SEVERITY.WARNING,
+            `Area "${property.totalUnitArea || ''}" could not be parsed`));
+    } else if (areaSqft < LIMITS.minAreaSqft || areaSqft > LIMITS.maxAreaSqft) {
+        issues.push(issue('totalUnitArea', 'area_out_of_range', ISSUE_SEVERITY.WARNING, `Area ${areaSqft} sqft looks implausible`));
+    }
+    if (floorNumber === null && property.floor) {
+        issues.push(issue('floor', 'unparsed_floor', ISSUE_SEVERITY.WARNING, `Floor "${property.floor}" could not be parsed`));
+    } else if (floorNumber !== null && Math.abs(floorNumber) > LIMITS.maxFloor) {
+        issues.push(issue('floor', 'floor_out_of_range', ISSUE_SEVERITY.WARNING, `Floor ${floorNumber} looks implausible`));
+    }
+    if (pricePerSqft !== null && (pricePerSqft < LIMITS.minPricePerSqft || pricePerSqft > LIMITS.maxPricePerSqft)) {
+        issues.push(issue('pricePerSqft', 'price_per_sqft_out_of_range', ISSUE_SEVERITY.WARNING,
+            `Price per sqft ${pricePerSqft} AED looks implausible`));
+    }
+
+    return {
+        ...property,
+        floorNumber,
+        areaSqft,
+        areaSqm,
+        price,
+        currency,
+        pricePerSqft,
+        bedrooms,
+        validationIssues: issues
+    };
+}
+
+/**
+ * Normalise a batch. Returns `{ accepted, rejected, summary }`; records
+ * with an error-level issue are rejected. Specific mode "not found"
+ * placeholders pass through untouched.
+ */
+export function validateUnitRecords(properties) {
+    const accepted = [];
+    const rejected = [];
+
+    for (const property of properties) {
+        if (property.found === false) {
+            accepted.push(property);
+            continue;
+        }
+
+        const record = normaliseUnitRecord(property);
+        if (record.validationIssues.some(entry => entry.severity === ISSUE_SEVERITY.ERROR)) {
+            rejected.push(record);
+        } else {
+            accepted.push(record);
+        }
+    }
+
+    return {
+        accepted,
+        rejected,
+        summary: {
+            checked: properties.length,
+            accepted: accepted.length,
+            rejected: rejected.length,
+            withWarnings: accepted.filter(record => record.validationIssues && record.validationIssues.length > 0).length
+        }
+    };
+}
+
+/**
+ * Push rejected records to the rejected dataset
+ */
+export async function storeRejectedRecords(rejected, { sessionId, datasetName = REJECTED_DATASET_NAME }) {
+    if (rejected.length === 0) return;
+
+    const rejectedAt = new Date().toISOString();
+    const dataset = await Actor.openDataset(datasetName);
+    await dataset.pushData(rejected.map(record => ({ sessionId, rejectedAt, ...record })));
+}
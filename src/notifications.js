@@ -0,0 +1,265 @@
+/**
+ * Enterprise Notification Dispatcher for Sobha Portal Scraper
+ * ===========================================================
+ * Sends inventory change events (released, withdrawn, re-priced units) and
+ * run failures to configured channels: generic JSON webhooks signed with
+ * HMAC-SHA256, and Slack / Microsoft Teams incoming webhooks.
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+import { createHmac } from 'crypto';
+import { CHANGE_TYPES } from './changes.js';
+
+export const NOTIFICATION_EVENTS = [...Object.values(CHANGE_TYPES), 'run_failed'];
+export const CHANNEL_TYPES = ['webhook', 'slack', 'teams'];
+
+const NOTIFICATION_SETTINGS = {
+    maxAttempts: 4,
+    baseDelay: 1000,
+    maxDelay: 15000,
+    maxJitter: 250,
+    requestTimeout: 15000,
+    maxMessageLines: 25
+};
+
+const EVENT_LABELS = {
+    new: 'NEW RELEASE',
+    removed: 'NO LONGER LISTED',
+    price_change: 'PRICE CHANGE',
+    run_failed: 'RUN FAILED'
+};
+
+/**
+ * Sign a webhook body. Receivers recompute
+ * HMAC-SHA256(secret, `${timestamp}.${body}`) and compare.
+ */
+export function signPayload(secret, timestamp, body) {
+    return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Apply a channel's event, project and price filters
+ */
+export function filterEventsForChannel(channel, events) {
+    const allowedEvents = channel.events && channel.events.length > 0 ? channel.events : NOTIFICATION_EVENTS;
+    const projects = (channel.projects || []).map(project => project.trim().toLowerCase());
+    const minPercent = typeof channel.minPriceChangePercent === 'number' ? channel.minPriceChangePercent : 0;
+    const direction = channel.priceDirection || 'any';
+
+    return events.filter(event => {
+        if (!allowedEvents.includes(event.type)) return false;
+
+        if (projects.length > 0 && event.type !== 'run_failed') {
+            const names = [event.project, event.subProject].map(name => String(name || '').trim().toLowerCase());
+            if (!names.some(name => projects.includes(name))) return false;
+        }
+
+        if (event.type === CHANGE_TYPES.PRICE_CHANGE) {
+            if (Math.abs(event.priceDeltaPercent) < minPercent) return false;
+            if (direction === 'decrease' && event.priceDelta >= 0) return false;
+            if (direction === 'increase' && event.priceDelta <= 0) return false;
+        }
+
+        return true;
+    });
+}
+
+function formatPrice(price) {
+    return typeof price === 'number' ? `AED ${price.toLocaleString('en-US')}` : 'n/a';
+}
+
+/**
+ * One human readable line per event for chat channels
+ */
+export function formatEventLine(event) {
+    const label = EVENT_LABELS[event.type] || event.type;
+
+    if (event.type === 'run_failed') {
+        return `${label}: ${event.message}`;
+    }
+
+    const unit = `${event.unitNo} (${[event.project, event.subProject, event.unitType].filter(Boolean).join(' / ')})`;
+    if (event.type === CHANGE_TYPES.PRICE_CHANGE) {
+        const sign = event.priceDelta > 0 ? '+' : '';
+        return `${label}: ${unit} ${formatPrice(event.oldPrice)} -> ${formatPrice(event.newPrice)} (${sign}${event.priceDeltaPercent}%)`;
+    }
+    return `${label}: ${unit} ${formatPrice(event.price)}`;
+}
+
+function buildChatText(events, sessionId) {
+    const lines = events.slice(0, NOTIFICATION_SETTINGS.maxMessageLines).map(event => `• ${formatEventLine(event)}`);
+    if (events.length > lines.length) {
+        lines.push(`…and ${events.length - lines.length} more`);
+    }
+    return `Sobha Partner Portal - ${events.length} event(s) (session ${sessionId})\n${lines.join('\n')}`;
+}
+
+/**
+ * Build the HTTP request for a channel
+ */
+export function buildChannelRequest(channel, events, { sessionId, timestamp = new Date().toISOString() }) {
+    if (channel.type === 'slack') {
+        const text = buildChatText(events, sessionId);
+        return { body: JSON.stringify({ text, blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }] }), headers: {} };
+    }
+
+    if (channel.type === 'teams') {
+        return {
+            body: JSON.stringify({
+                '@type': 'MessageCard',
+                '@context': 'https://schema.org/extensions',
+                summary: `Sobha Partner Portal - ${events.length} event(s)`,
+                title: 'Sobha Partner Portal',
+                text: buildChatText(events, sessionId).split('\n').join('<br>')
+            }),
+            headers: {}
+        };
+    }
+
+    const body = JSON.stringify({ source: 'sobha-partner-portal-scraper', sessionId, sentAt: timestamp, events });
+    const headers = {};
+    if (channel.secret) {
+        headers['X-Signature-Timestamp'] = timestamp;
+        headers['X-Signature-256'] = `sha256=${signPayload(channel.secret, timestamp, body)}`;
+    }
+    return { body, headers };
+}
+
+/**
+ * Enterprise Notification Dispatcher
+ */
+export class NotificationDispatcher {
+    constructor(logger, channels = [], { dryRun = false, settings = {} } = {}) {
+        this.logger = logger;
+        this.channels = channels;
+        this.dryRun = dryRun;
+        this.settings = { ...NOTIFICATION_SETTINGS, ...settings };
+    }
+
+    /**
+     * Validate the `notifications` input. Returns a list of problems.
+     */
+    static validateChannels(channels) {
+        if (!Array.isArray(channels)) return ['notifications must be an array of channel objects'];
+
+        const problems = [];
+        channels.forEach((channel, index) => {
+            const name = `notifications[${index}]`;
+            if (!channel || typeof channel !== 'object') {
+                problems.push(`${name} must be an object`);
+                return;
+            }
+            if (!CHANNEL_TYPES.includes(channel.type)) {
+                problems.push(`${name}.type must be one of: ${CHANNEL_TYPES.join(', ')}`);
+            }
+            if (typeof channel.url !== 'string' || !/^https?:\/\//.test(channel.url)) {
+                problems.push(`${name}.url must be an http(s) URL`);
+            }
+            if (channel.events && (!Array.isArray(channel.events) || channel.events.some(event => !NOTIFICATION_EVENTS.includes(event)))) {
+                problems.push(`${name}.events must only contain: ${NOTIFICATION_EVENTS.join(', ')}`);
+            }
+            if (channel.projects && (!Array.isArray(channel.projects) || channel.projects.some(project => typeof project !== 'string' || !project.trim()))) {
+                problems.push(`${name}.projects must be an array of project names`);
+            }
+            if (channel.secret !== undefined && (typeof channel.secret !== 'string' || channel.secret.length === 0)) {
+                problems.push(`${name}.secret must be a non-empty string`);
+            }
+            if (channel.minPriceChangePercent !== undefined && (typeof channel.minPriceChangePercent !== 'number' || channel.minPriceChangePercent < 0)) {
+                problems.push(`${name}.minPriceChangePercent must be a non-negative number`);
+            }
+            if (channel.priceDirection && !['any', 'increase', 'decrease'].includes(channel.priceDirection)) {
+                problems.push(`${name}.priceDirection must be one of: any, increase, decrease`);
+            }
+        });
+        return problems;
+    }
+
+    async notifyInventoryChanges(events, { sessionId }) {
+        return this.dispatch(events, { sessionId });
+    }
+
+    async notifyRunFailure(error, { sessionId, step = 'run' }) {
+        return this.dispatch([{
+            type: 'run_failed',
+            step,
+            message: error.message,
+            failedAt: new Date().toISOString()
+        }], { sessionId });
+    }
+
+    /**
+     * Send matching events to every channel. Never throws: notification
+     * problems must not fail a scrape. Returns delivery statistics.
+     */
+    async dispatch(events, { sessionId }) {
+        const stats = { channels: this.channels.length, sent: 0, skipped: 0, failed: 0, dryRun: this.dryRun, deliveries: [] };
+
+        for (const channel of this.channels) {
+            const channelEvents = filterEventsForChannel(channel, events);
+            const target = `${channel.type}:${new URL(channel.url).host}`;
+
+            if (channelEvents.length === 0) {
+                stats.skipped++;
+                continue;
+            }
+
+            const request = buildChannelRequest(channel, channelEvents, { sessionId });
+
+            if (this.dryRun) {
+                this.logger.info(`[DRY RUN] Notification for ${target}`, { events: channelEvents.length, body: request.body });
+                stats.deliveries.push({ target, events: channelEvents.length, status: 'dry-run', body: JSON.parse(request.body) });
+                continue;
+            }
+
+            try {
+                const attempts = await this.sendWithRetry(channel.url, request);
+                stats.sent++;
+                stats.deliveries.push({ target, events: channelEvents.length, status: 'sent', attempts });
+            } catch (error) {
+                stats.failed++;
+                stats.deliveries.push({ target, events: channelEvents.length, status: 'failed', error: error.message });
+                this.logger.error(`Notification to ${target} failed`, { error: error.message });
+            }
+        }
+
+        return stats;
+    }
+
+    /**
+     * POST with exponential backoff on network errors, 429 and 5xx
+     */
+    async sendWithRetry(url, { body, headers }) {
+        const settings = this.settings;
+        for (let attempt = 1; attempt <= settings.maxAttempts; attempt++) {
+            let retryable = true;
+            try {
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', ...headers },
+                    body,
+                    signal: AbortSignal.timeout(settings.requestTimeout)
+                });
+
+                if (response.ok) return attempt;
+
+                retryable = response.status === 429 || response.status >= 500;
+                throw new Error(`HTTP ${response.status}`);
+            } catch (error) {
+                if (!retryable || attempt === settings.maxAttempts) {
+                    throw new Error(`${error.message} after ${attempt} attempt(s)`);
+                }
+
+                const delay = Math.min(
+                    settings.maxDelay,
+                    settings.baseDelay * Math.pow(2, attempt - 1)
+                ) + Math.random() * settings.maxJitter;
+                this.logger.warn(`Notification attempt ${attempt} failed, retrying in ${Math.round(delay)}ms`, { error: error.message });
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+        return settings.maxAttempts;
+    }
+}
@@ -0,0 +1,160 @@
+/**
+ * Enterprise Output Writer for Sobha Portal Scraper
+ * =================================================
+ * Shapes every extracted unit (or, in projects mode, every project) into a
+ * flat, stable dataset row and keeps run-level summary and metrics in the
+ * key-value store.
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+import { Actor } from 'apify';
+import { Dataset } from 'crawlee';
+import { writeExports } from './exports.js';
+
+export const RUN_SUMMARY_KEY = 'RUN_SUMMARY';
+
+/**
+ * Dataset row schema. Every row carries every field (null when unknown) so
+ * CSV/Excel exports get consistent columns.
+ */
+export const UNIT_RECORD_FIELDS = [
+    // Run context
+    'sessionId',
+    'scrapedAt',
+    'scrapeMode',
+    'account',
+
+    // Unit table columns
+    'project',
+    'subProject',
+    'unitType',
+    'floor',
+    'unitNo',
+    'unitId',
+    'totalUnitArea',
+    'startingPrice',
+    'floorNumber',
+    'areaSqft',
+    'areaSqm',
+    'price',
+    'currency',
+    'pricePerSqft',
+    'bedrooms',
+    'rowIndex',
+    'extractionSource',
+    'detailUrl',
+    'extraFields',
+    'validationIssues',
+
+    // Specific mode lookup
+    'requestedUnit',
+    'found',
+    'status',
+    'matchedBy',
+    'message',
+
+    // Detail enrichment
+    'detailStatus',
+    'availabilityStatus',
+    'view',
+    'orientation',
+    'completionDate',
+    'suiteArea',
+    'balconyArea',
+    'totalArea',
+    'paymentPlan',
+    'floorPlanLinks',
+    'documentLinks',
+    'additionalDetails',
+
+    // Document archive
+    'documents',
+
+    // Raw cell text for auditing
+    'rawData'
+];
+
+/**
+ * Dataset row schema of the `projects` mode: one row per project and
+ * sub-project
+ */
+export const PROJECT_RECORD_FIELDS = [
+    // Run context
+    'sessionId',
+    'scrapedAt',
+    'scrapeMode',
+    'account',
+
+    // Project card
+    'project',
+    'subProject',
+    'location',
+    'handoverDate',
+    'status',
+    'amenities',
+    'startingPrice',
+    'price',
+    'currency',
+    'availableUnits',
+    'marketingAssets',
+    'projectUrl',
+    'additionalDetails'
+];
+
+function pickFields(source, fields) {
+    const record = {};
+    for (const field of fields) {
+        record[field] = source[field] === undefined ? null : source[field];
+    }
+    return record;
+}
+
+/**
+ * Build one dataset row for a unit
+ */
+export function buildUnitRecord(property, { sessionId, scrapedAt, scrapeMode }) {
+    return pickFields({ ...property, sessionId, scrapedAt, scrapeMode }, UNIT_RECORD_FIELDS);
+}
+
+/**
+ * Build one dataset row for a project or sub-project
+ */
+export function buildProjectRecord(project, { sessionId, scrapedAt, scrapeMode }) {
+    return pickFields({ ...project, sessionId, scrapedAt, scrapeMode }, PROJECT_RECORD_FIELDS);
+}
+
+/**
+ * Push one dataset item per unit (or project), write the requested file
+ * exports and store the run summary record
+ */
+export async function writeRunOutput(results, { outputFormats = [], logger = console } = {}) {
+    const { properties = [], projects = null, ...summary } = results;
+    const context = {
+        sessionId: results.sessionId,
+        scrapedAt: results.timestamp,
+        scrapeMode: results.scrapeMode
+    };
+
+    const items = projects
+        ? projects.map(project => buildProjectRecord(project, context))
+        : properties.map(property => buildUnitRecord(property, context));
+    if (items.length > 0) {
+        await Dataset.pushData(items);
+    }
+
+    if (outputFormats.length > 0) {
+        summary.exports = await writeExports(items, {
+            name: projects ? 'PROJECTS' : 'UNITS',
+            fields: projects ? PROJECT_RECORD_FIELDS : UNIT_RECORD_FIELDS,
+            formats: outputFormats,
+            context,
+            logger
+        });
+    }
+
+    await Actor.setValue(RUN_SUMMARY_KEY, { success: true, ...summary, datasetItemCount: items.length });
+    return items.length;
+}
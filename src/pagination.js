@@ -0,0 +1,201 @@
+/**
+ * Enterprise Pagination Driver for Sobha Portal Scraper
+ * =====================================================
+ * Keeps the Lightning unit table loading (next-page buttons, "load more"
+ * buttons and scroll-triggered lazy loading) until `maxResults` unique
+ * units have been collected or the portal has no more data.
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+import { normaliseUnitNumber } from './unitLookup.js';
+
+const PAGINATION_SELECTORS = {
+    nextPage: [
+        'button[aria-label="Next Page" i]',
+        'button[title="Next" i]',
+        '.slds-pagination button:has-text("Next")',
+        'lightning-button-icon[title="Next" i] button',
+        'button:has-text("Next")',
+        'a:has-text("Next")'
+    ],
+    loadMore: [
+        'button:has-text("Load More")',
+        'button:has-text("Show More")',
+        'a:has-text("Load More")',
+        'a:has-text("Show More")'
+    ],
+    tableRows: 'table tbody tr'
+};
+
+const PAGINATION_LIMITS = {
+    maxIterations: 500,
+    scrollGrowthTimeout: 5000,
+    maxStalledIterations: 2
+};
+
+/**
+ * Stable de-duplication key for an extracted row
+ */
+export function getRowKey(row) {
+    const unitKey = normaliseUnitNumber(row.unitNo);
+    if (unitKey) return unitKey;
+    return Array.isArray(row.rawData) ? row.rawData.join('|') : JSON.stringify(row);
+}
+
+/**
+ * Enterprise Pagination Driver
+ */
+export class PaginationDriver {
+    constructor(logger, filterManager) {
+        this.logger = logger;
+        this.filterManager = filterManager;
+    }
+
+    /**
+     * Collect unique rows across every page of the table.
+     * `extractRows(page)` returns the rows currently rendered.
+     */
+    async collectAllRows(page, extractRows, { maxResults }) {
+        const collected = new Map();
+        let pagesLoaded = 0;
+        let stalledIterations = 0;
+        let stopReason = 'end-of-data';
+
+        for (let iteration = 0; iteration < PAGINATION_LIMITS.maxIterations; iteration++) {
+            const rows = await extractRows(page);
+            pagesLoaded++;
+
+            let newRows = 0;
+            for (const row of rows) {
+                const key = getRowKey(row);
+                if (collected.has(key)) continue;
+                collected.set(key, row);
+                newRows++;
+                if (collected.size >= maxResults) break;
+            }
+
+            this.logger.info(`Pagination step ${pagesLoaded}: ${newRows} new units (${collected.size} total)`);
+
+            if (collected.size >= maxResults) {
+                stopReason = 'max-results';
+                break;
+            }
+
+            if (newRows === 0 && iteration > 0) {
+                stalledIterations++;
+                if (stalledIterations >= PAGINATION_LIMITS.maxStalledIterations) {
+                    stopReason = 'no-new-rows';
+                    break;
+                }
+            } else {
+                stalledIterations = 0;
+            }
+
+            const advancedBy = await this.advance(page);
+            if (!advancedBy) {
+                stopReason = 'end-of-data';
+                break;
+            }
+
+            this.logger.debug(`Loaded more units via ${advancedBy}`);
+
+            if (iteration === PAGINATION_LIMITS.maxIterations - 1) {
+                stopReason = 'iteration-limit';
+            }
+        }
+
+        const truncated = stopReason === 'max-results' || stopReason === 'iteration-limit';
+        const pagination = {
+            exhaustive: !truncated,
+            truncated,
+            stopReason,
+            pagesLoaded,
+            uniqueUnits: collected.size,
+            maxResults
+        };
+
+        this.logger.info('Pagination completed', pagination);
+
+        return {
+            rows: Array.from(collected.values()),
+            pagination
+        };
+    }
+
+    /**
+     * Try every way of loading more rows, returning the mechanism that worked
+     */
+    async advance(page) {
+        if (await this.clickIfEnabled(page, PAGINATION_SELECTORS.nextPage)) {
+            return 'next-page';
+        }
+
+        if (await this.clickIfEnabled(page, PAGINATION_SELECTORS.loadMore)) {
+            return 'load-more';
+        }
+
+        if (await this.scrollForMore(page)) {
+            return 'scroll';
+        }
+
+        return null;
+    }
+
+    async clickIfEnabled(page, selectors) {
+        for (const selector of selectors) {
+            const button = page.locator(selector).first();
+            if (await button.count() === 0) continue;
+            if (!await button.isVisible().catch(() => false)) continue;
+            if (!await button.isEnabled().catch(() => false)) continue;
+
+            const ariaDisabled = await button.getAttribute('aria-disabled').catch(() => null);
+            if (ariaDisabled === 'true') continue;
+
+            const previousSignature = await this.filterManager.getTableSignature(page);
+            const since = Date.now();
+            await button.click();
+            const refreshed = await this.filterManager.waitForTableRefresh(page, previousSignature, since, 'pageChange');
+            if (refreshed) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Scroll the table's scroll container (and the window) to the bottom and
+     * wait for lazily loaded rows to be appended
+     */
+    async scrollForMore(page) {
+        const previousCount = await page.locator(PAGINATION_SELECTORS.tableRows).count();
+
+        await page.evaluate((rowSelector) => {
+            const row = document.querySelector(rowSelector);
+            let element = row ? row.parentElement : null;
+
+            while (element) {
+                const style = window.getComputedStyle(element);
+                const scrollable = /(auto|scroll)/.test(style.overflowY) && element.scrollHeight > element.clientHeight;
+                if (scrollable) {
+                    element.scrollTop = element.scrollHeight;
+                    element.dispatchEvent(new Event('scroll', { bubbles: true }));
+                }
+                element = element.parentElement;
+            }
+
+            window.scrollTo(0, document.body.scrollHeight);
+        }, PAGINATION_SELECTORS.tableRows);
+
+        try {
+            await page.waitForFunction(({ rowSelector, count }) => {
+                return document.querySelectorAll(rowSelector).length > count;
+            }, { rowSelector: PAGINATION_SELECTORS.tableRows, count: previousCount }, {
+                timeout: PAGINATION_LIMITS.scrollGrowthTimeout
+            });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
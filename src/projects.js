@@ -0,0 +1,248 @@
+/**
+ * Project Catalogue Extraction for Sobha Portal Scraper
+ * =====================================================
+ * Reads the project cards of the sobha-project page (the
+ * c-brokerportalsohbaprojects component) into one record per project and
+ * sub-project: location, handover date, status, amenities, starting price,
+ * available units and marketing asset links. Used by the `projects` scrape
+ * mode.
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+import { normaliseDetailLabel } from './unitDetails.js';
+import { isDocumentLink, classifyDocument } from './documents.js';
+import { parsePrice } from './normalisation.js';
+
+/**
+ * Canonical project fields and the card labels that feed them
+ */
+export const PROJECT_FIELD_ALIASES = {
+    location: ['location', 'community', 'district', 'address', 'area'],
+    handoverDate: ['handover', 'handover date', 'expected handover', 'completion', 'completion date', 'expected completion'],
+    status: ['status', 'project status', 'construction status', 'sales status'],
+    startingPrice: ['starting price', 'starting from', 'starting at', 'price from', 'prices from'],
+    availableUnits: ['available units', 'units available', 'available inventory', 'inventory', 'availability'],
+    amenities: ['amenities', 'key amenities', 'facilities', 'features']
+};
+
+/**
+ * Fields a sub-project takes from its project when its own card omits them.
+ * Prices and unit counts are per sub-project and never inherited.
+ */
+const INHERITED_FIELDS = ['location', 'handoverDate', 'status', 'amenities'];
+
+/**
+ * Marketing links that are not downloadable documents
+ */
+const MEDIA_TYPES = [
+    { type: 'virtual-tour', pattern: /virtual\s*tour|360|matterport/i },
+    { type: 'video', pattern: /youtube\.com|youtu\.be|vimeo\.com|\.mp4(\?|#|$)|\bvideo\b/i },
+    { type: 'gallery', pattern: /\.(jpe?g|png|webp)(\?|#|$)|gallery/i }
+];
+
+/**
+ * Type of a marketing asset link, or null for ordinary page links
+ */
+export function classifyMarketingAsset(link) {
+    if (isDocumentLink(link)) return classifyDocument(link);
+
+    const haystack = `${link.label || ''} ${link.url || ''}`;
+    const media = MEDIA_TYPES.find(({ pattern }) => pattern.test(haystack));
+    return media ? media.type : null;
+}
+
+/**
+ * "Swimming Pool, Gym • Kids Play Area" -> ["Swimming Pool", "Gym", "Kids Play Area"]
+ */
+export function splitAmenities(value) {
+    return String(value || '').split(/[,;•|]/).map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * "42 units" -> 42, "Sold Out" -> 0
+ */
+export function parseUnitCount(value) {
+    const text = String(value || '');
+    if (/sold\s*out/i.test(text)) return 0;
+
+    const match = text.replace(/,/g, '').match(/\d+/);
+    return match ? parseInt(match[0], 10) : null;
+}
+
+/**
+ * Read every project card as `{ name, parentName, pairs, lists, links }`.
+ * Cards nested in another card, also across LWC shadow roots, are its
+ * sub-projects. Runs inside the browser, so it must stay self-contained.
+ */
+export function readProjectCards() {
+    // Includes the shadow root of `root` itself (a component host)
+    const deepQueryAll = (root, selector) => {
+        const results = Array.from(root.querySelectorAll(selector));
+        for (const element of [root, ...root.querySelectorAll('*')]) {
+            if (element.shadowRoot) {
+                results.push(...deepQueryAll(element.shadowRoot, selector));
+            }
+        }
+        return results;
+    };
+    const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+
+    const cardSelector = 'article, .slds-card, [data-project]';
+    const headingSelector = 'h1, h2, h3, h4, .slds-card__header-title, [class*="title" i]';
+
+    const components = deepQueryAll(document, 'c-brokerportalsohbaprojects');
+    const cards = [...new Set((components.length > 0 ? components : [document])
+        .flatMap(root => deepQueryAll(root, cardSelector)))];
+
+    // Nearest enclosing card; a node directly under a shadow root continues at its host
+    const closestCard = (element) => {
+        let node = element.parentElement || element.getRootNode().host;
+        while (node) {
+            if (node.matches(cardSelector)) return node;
+            node = node.parentElement || node.getRootNode().host;
+        }
+        return null;
+    };
+
+    // Elements of a card that do not belong to one of its nested cards
+    const own = (card, selector) => deepQueryAll(card, selector)
+        .filter(element => closestCard(element) === card);
+
+    const cardName = (card) => {
+        const heading = own(card, headingSelector)[0];
+        return clean(card.getAttribute('data-project')) || (heading ? clean(heading.textContent) : '');
+    };
+
+    return cards.map((card) => {
+        const pairs = [];
+        for (const dt of own(card, 'dt')) {
+            const dd = dt.nextElementSibling;
+            if (dd && dd.tagName === 'DD') pairs.push({ label: clean(dt.textContent), value: clean(dd.textContent) });
+        }
+        for (const element of own(card, '.slds-form-element')) {
+            const label = element.querySelector('.slds-form-element__label, label');
+            const value = element.querySelector('.slds-form-element__static, .slds-form-element__control');
+            if (label && value) pairs.push({ label: clean(label.textContent), value: clean(value.textContent) });
+        }
+        // "Label: value" text without markup of its own
+        for (const element of own(card, 'p, span, div, li')) {
+            if (element.children.length > 0) continue;
+            const match = clean(element.textContent).match(/^([^:]{2,40}):\s*(.+)$/);
+            if (match) pairs.push({ label: match[1], value: match[2] });
+        }
+
+        // Lists (e.g. amenities) labelled by the heading or label right before them
+        const lists = own(card, 'ul, ol').map((list) => {
+            const previous = list.previousElementSibling;
+            return {
+                label: clean(list.getAttribute('aria-label')) || (previous ? clean(previous.textContent) : ''),
+                items: Array.from(list.children).map(item => clean(item.textContent)).filter(Boolean)
+            };
+        }).filter(list => list.label && list.items.length > 0);
+
+        const links = own(card, 'a[href]')
+            .filter(anchor => !/^javascript:/i.test(anchor.getAttribute('href')))
+            .map(anchor => ({
+                label: clean(anchor.textContent) || clean(anchor.getAttribute('title')),
+                url: anchor.href
+            }));
+
+        const parentCard = closestCard(card);
+        return {
+            name: cardName(card),
+            parentName: parentCard ? cardName(parentCard) : null,
+            pairs,
+            lists,
+            links
+        };
+    }).filter(card => card.name && (card.pairs.length > 0 || card.lists.length > 0 || card.links.length > 0));
+}
+
+/**
+ * Map one raw card onto the canonical project fields. Unknown labels are
+ * kept under `additionalDetails`.
+ */
+export function mapProjectCard(card) {
+    const fields = {};
+    const additionalDetails = {};
+
+    for (const { label, value } of card.pairs) {
+        if (!value) continue;
+        const normalised = normaliseDetailLabel(label);
+        const field = Object.keys(PROJECT_FIELD_ALIASES).find(key => PROJECT_FIELD_ALIASES[key].includes(normalised));
+
+        if (field) {
+            if (!(field in fields)) fields[field] = value;
+        } else {
+            additionalDetails[label.replace(/[:\s]+$/, '').trim()] = value;
+        }
+    }
+
+    let amenities = fields.amenities ? splitAmenities(fields.amenities) : null;
+    const amenityList = card.lists.find(list => PROJECT_FIELD_ALIASES.amenities.includes(normaliseDetailLabel(list.label)));
+    if (amenityList) amenities = amenityList.items;
+
+    const marketingAssets = [];
+    let projectUrl = null;
+    for (const link of card.links) {
+        const type = classifyMarketingAsset(link);
+        if (type) {
+            marketingAssets.push({ type, label: link.label, url: link.url });
+        } else if (!projectUrl) {
+            projectUrl = link.url;
+        }
+    }
+
+    const { price, currency } = fields.startingPrice ? parsePrice(fields.startingPrice) : { price: null, currency: null };
+
+    return {
+        project: card.parentName || card.name,
+        subProject: card.parentName ? card.name : null,
+        location: fields.location || null,
+        handoverDate: fields.handoverDate || null,
+        status: fields.status || null,
+        amenities,
+        startingPrice: fields.startingPrice || null,
+        price,
+        currency,
+        availableUnits: fields.availableUnits ? parseUnitCount(fields.availableUnits) : null,
+        marketingAssets,
+        projectUrl,
+        additionalDetails
+    };
+}
+
+/**
+ * Map raw cards to project records: sub-projects inherit missing general
+ * fields from their project, duplicates are dropped
+ */
+export function buildProjectRecords(cards) {
+    const records = new Map();
+
+    for (const card of cards) {
+        const record = mapProjectCard(card);
+        const key = `${record.project}|${record.subProject || ''}`.toLowerCase();
+        if (records.has(key)) continue;
+
+        if (record.subProject) {
+            const parent = records.get(`${record.project}|`.toLowerCase());
+            for (const field of INHERITED_FIELDS) {
+                if (parent && record[field] === null) record[field] = parent[field];
+            }
+        }
+        records.set(key, record);
+    }
+
+    return Array.from(records.values());
+}
+
+/**
+ * Extract the project catalogue from the sobha-project page
+ */
+export async function extractProjectCatalogue(page) {
+    const cards = await page.evaluate(readProjectCards);
+    return buildProjectRecords(cards);
+}
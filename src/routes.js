@@ -12,6 +12,22 @@ import { createPlaywrightRouter } from 'crawlee';
 
 export const router = createPlaywrightRouter();
 
+let boundScraper = null;
+
+/**
+ * Bind the scraper instance whose workflow steps the labelled handlers run
+ */
+export function bindScraper(scraper) {
+    boundScraper = scraper;
+}
+
+function getBoundScraper() {
+    if (!boundScraper) {
+        throw new Error('No scraper bound to router - call bindScraper() before running the crawler');
+    }
+    return boundScraper;
+}
+
 /**
  * Default handler for Sobha Portal processing
  * This handles the main scraping workflow
@@ -94,25 +110,22 @@ router.addHandler('SUCCESS', async ({ request, log }) => {
 
 /**
  * Handler for Sobha login page
- * Specifically handles login page routing
+ * Authenticates one account and enqueues its projects page
  */
-router.addHandler('LOGIN', async ({ page, request, log }) => {
+router.addHandler('LOGIN', async ({ page, request, log, addRequests }) => {
     log.info('Handling Sobha login page', {
-        url: request.url
+        url: request.url,
+        account: request.userData.account
     });
 
     try {
-        // Wait for login form to be available
-        await page.waitForSelector('input[type="email"]', { timeout: 10000 });
-        
-        log.info('Login page loaded successfully', {
-            url: request.url
-        });
+        await getBoundScraper().handleLogin(page, request, { addRequests });
 
     } catch (error) {
         log.error('Login page handling failed', {
             error: error.message,
-            url: request.url
+            url: request.url,
+            account: request.userData.account
         });
         throw error;
     }
@@ -120,25 +133,70 @@ router.addHandler('LOGIN', async ({ page, request, log }) => {
 
 /**
  * Handler for Sobha projects page
- * Handles the projects listing page routing
+ * Opens the Filter Properties modal and enqueues the unit lists
  */
-router.addHandler('PROJECTS', async ({ page, request, log }) => {
+router.addHandler('PROJECTS', async ({ page, request, log, addRequests }) => {
     log.info('Handling Sobha projects page', {
-        url: request.url
+        url: request.url,
+        account: request.userData.account
     });
 
     try {
-        // Wait for projects page elements
-        await page.waitForSelector('text=Select Bed', { timeout: 15000 });
-        
-        log.info('Projects page loaded successfully', {
-            url: request.url
-        });
+        await getBoundScraper().handleProjects(page, request, { addRequests });
 
     } catch (error) {
         log.error('Projects page handling failed', {
             error: error.message,
-            url: request.url
+            url: request.url,
+            account: request.userData.account
+        });
+        throw error;
+    }
+});
+
+/**
+ * Handler for unit lists
+ * Extracts the unit table for one project (or project and bedroom count)
+ */
+router.addHandler('UNIT_LIST', async ({ page, request, log, addRequests }) => {
+    log.info('Handling unit list', {
+        url: request.url,
+        account: request.userData.account,
+        scope: request.userData.scope
+    });
+
+    try {
+        await getBoundScraper().handleUnitList(page, request, { addRequests });
+
+    } catch (error) {
+        log.error('Unit list handling failed', {
+            error: error.message,
+            url: request.url,
+            account: request.userData.account,
+            scope: request.userData.scope
+        });
+        throw error;
+    }
+});
+
+/**
+ * Handler for unit detail pages
+ * Enriches an extracted unit with payment plan, area split, view and status
+ */
+router.addHandler('UNIT_DETAIL', async ({ page, request, log }) => {
+    log.info('Handling unit detail page', {
+        url: request.url,
+        unitKey: request.userData.unitKey
+    });
+
+    try {
+        await getBoundScraper().enrichUnitDetail(page, request);
+
+    } catch (error) {
+        log.error('Unit detail handling failed', {
+            error: error.message,
+            url: request.url,
+            unitKey: request.userData.unitKey
         });
         throw error;
     }
@@ -0,0 +1,179 @@
+/**
+ * Enterprise Selector Health Monitor for Sobha Portal Scraper
+ * ===========================================================
+ * Records which selector of each fallback chain (login form, promotional
+ * modal, Filter Properties button, unit table) matched during a run and
+ * stores a SELECTOR_HEALTH report. Chains that only matched through a
+ * fallback, chains that matched nothing and selectors that matched on the
+ * previous run but not on this one are flagged, so portal redeploys are
+ * noticed before the extracted data goes wrong.
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+import { Actor } from 'apify';
+
+export const SELECTOR_HEALTH_KEY = 'SELECTOR_HEALTH';
+export const SELECTOR_HEALTH_STORE_NAME = 'sobha-selector-health';
+const LAST_REPORT_KEY = 'LAST_REPORT';
+
+export const MATCH_STATUS = {
+    PRIMARY: 'primary',
+    FALLBACK: 'fallback',
+    LAST_RESORT: 'last_resort',
+    MISSING: 'missing',
+    ABSENT: 'absent' // optional chain (e.g. a modal that did not show up)
+};
+
+/**
+ * Split a CSS selector list ("a, b, c") into its fallback chain
+ */
+export function splitSelectorList(selectorList) {
+    return selectorList.split(',').map(selector => selector.trim()).filter(Boolean);
+}
+
+/**
+ * Classify the position of the matching selector within its chain
+ */
+export function classifyMatch(matchedIndex, chainLength, { optional = false } = {}) {
+    if (matchedIndex < 0) return optional ? MATCH_STATUS.ABSENT : MATCH_STATUS.MISSING;
+    if (matchedIndex === 0) return MATCH_STATUS.PRIMARY;
+    if (matchedIndex === chainLength - 1) return MATCH_STATUS.LAST_RESORT;
+    return MATCH_STATUS.FALLBACK;
+}
+
+/**
+ * Flags for one run, including selectors that matched on the previous run
+ * but no longer match
+ */
+export function findIssues(chains, previousChains = {}) {
+    const issues = [];
+
+    for (const [name, chain] of Object.entries(chains)) {
+        if ([MATCH_STATUS.FALLBACK, MATCH_STATUS.LAST_RESORT, MATCH_STATUS.MISSING].includes(chain.status)) {
+            issues.push({ chain: name, issue: chain.status, matched: chain.matched });
+        }
+
+        const previous = previousChains[name];
+        if (!previous) continue;
+
+        for (const { selector, matchCount } of chain.selectors) {
+            const before = previous.selectors.find(entry => entry.selector === selector);
+            if (before && before.matchCount > 0 && matchCount === 0) {
+                issues.push({ chain: name, issue: 'stopped_matching', selector, previousMatchCount: before.matchCount });
+            }
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Enterprise Selector Health Monitor
+ */
+export class SelectorHealthMonitor {
+    constructor(logger, storeName = SELECTOR_HEALTH_STORE_NAME) {
+        this.logger = logger;
+        this.storeName = storeName;
+        this.chains = {};
+        this.schemaDrift = null;
+    }
+
+    /**
+     * Count matches for every selector of a chain (locators pierce shadow
+     * DOM), record the result and return the first matching selector
+     */
+    async probe(page, name, selectors, options = {}) {
+        const counts = [];
+        for (const selector of selectors) {
+            const matchCount = await page.locator(selector).count().catch(() => 0);
+            counts.push(matchCount);
+        }
+
+        const matchedIndex = counts.findIndex(count => count > 0);
+        this.recordChain(name, selectors, matchedIndex, { ...options, counts });
+        return matchedIndex >= 0 ? selectors[matchedIndex] : null;
+    }
+
+    /**
+     * Record a chain that was resolved by actually using it (e.g. clicking
+     * through the candidates); `via` names a non-selector fallback
+     */
+    record(name, selectors, matchedSelector, options = {}) {
+        this.recordChain(name, selectors, selectors.indexOf(matchedSelector), options);
+    }
+
+    recordChain(name, selectors, matchedIndex, { optional = false, via = null, counts = null }) {
+        const status = via && matchedIndex < 0
+            ? MATCH_STATUS.LAST_RESORT
+            : classifyMatch(matchedIndex, selectors.length, { optional });
+
+        this.chains[name] = {
+            status,
+            matched: matchedIndex >= 0 ? selectors[matchedIndex] : via,
+            matchedIndex,
+            optional,
+            selectors: selectors.map((selector, index) => ({
+                selector,
+                matchCount: counts ? counts[index] : (index === matchedIndex ? 1 : 0)
+            }))
+        };
+
+        if (status !== MATCH_STATUS.PRIMARY && status !== MATCH_STATUS.ABSENT) {
+            this.logger.warn(`Selector chain "${name}" resolved as ${status}`, { matched: this.chains[name].matched });
+        }
+    }
+
+    recordSchemaDrift(error) {
+        this.schemaDrift = {
+            missingColumns: error.missingColumns,
+            headers: error.headers,
+            detectedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Store the SELECTOR_HEALTH report in the default key-value store and
+     * remember it for the next run's comparison. Returns a short summary.
+     */
+    async writeReport(sessionId) {
+        const store = await Actor.openKeyValueStore(this.storeName);
+        const previous = await store.getValue(LAST_REPORT_KEY);
+        const issues = findIssues(this.chains, previous ? previous.chains : {});
+
+        if (this.schemaDrift) {
+            issues.push({ chain: 'unitTableColumns', issue: 'schema_drift', missingColumns: this.schemaDrift.missingColumns });
+        }
+
+        const broken = Boolean(this.schemaDrift) ||
+            Object.values(this.chains).some(chain => chain.status === MATCH_STATUS.MISSING);
+
+        const report = {
+            sessionId,
+            generatedAt: new Date().toISOString(),
+            status: broken ? 'broken' : issues.length > 0 ? 'degraded' : 'healthy',
+            previousReportAt: previous ? previous.generatedAt : null,
+            chains: this.chains,
+            schemaDrift: this.schemaDrift,
+            issues
+        };
+
+        await Actor.setValue(SELECTOR_HEALTH_KEY, report);
+
+        // Chains not exercised this run (e.g. login skipped by a reused session) keep their last result
+        await store.setValue(LAST_REPORT_KEY, {
+            ...report,
+            chains: { ...(previous ? previous.chains : {}), ...this.chains }
+        });
+
+        const summary = { status: report.status, chainsChecked: Object.keys(this.chains).length, issues: issues.length };
+        if (issues.length > 0) {
+            this.logger.warn('Selector health issues detected - check the portal for layout changes', { ...summary, issues });
+        } else {
+            this.logger.info('Selector health report stored', summary);
+        }
+        return summary;
+    }
+}
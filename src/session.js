@@ -0,0 +1,135 @@
+/**
+ * Enterprise Session Store for Sobha Portal Scraper
+ * =================================================
+ * Persists the authenticated Playwright storage state (cookies and
+ * localStorage) AES-256-GCM encrypted in a named key-value store so the
+ * next run can skip the interactive login while the session is still valid.
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+import { Actor } from 'apify';
+import { createCipheriv, createDecipheriv, createHash, randomBytes, scryptSync } from 'crypto';
+
+export const SESSION_STORE_NAME = 'sobha-sessions';
+const SESSION_FORMAT_VERSION = 1;
+const SESSION_MAX_AGE_MS = 12 * 60 * 60 * 1000; // Salesforce community sessions rarely outlive 12 hours
+
+/**
+ * One stored session per portal account
+ */
+export function getSessionKey(email) {
+    return `SESSION-${createHash('sha256').update(String(email).toLowerCase()).digest('hex').substring(0, 16)}`;
+}
+
+export function encryptState(state, secret) {
+    const salt = randomBytes(16);
+    const iv = randomBytes(12);
+    const key = scryptSync(secret, salt, 32);
+    const cipher = createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(state), 'utf8'), cipher.final()]);
+
+    return {
+        version: SESSION_FORMAT_VERSION,
+        algorithm: 'aes-256-gcm',
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+export function decryptState(envelope, secret) {
+    const key = scryptSync(secret, Buffer.from(envelope.salt, 'base64'), 32);
+    const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+}
+
+/**
+ * Enterprise Session Store
+ */
+export class SessionStore {
+    /**
+     * `secret` encrypts the stored state; by default it is derived from the
+     * account credentials so a password change invalidates old sessions.
+     */
+    constructor(logger, { email, secret, storeName = SESSION_STORE_NAME }) {
+        this.logger = logger;
+        this.key = getSessionKey(email);
+        this.secret = secret;
+        this.storeName = storeName;
+    }
+
+    async openStore() {
+        return Actor.openKeyValueStore(this.storeName);
+    }
+
+    /**
+     * Returns the stored storage state, or null when missing, too old or
+     * not decryptable with the current secret
+     */
+    async load() {
+        const store = await this.openStore();
+        const record = await store.getValue(this.key);
+        if (!record) return null;
+
+        if (record.version !== SESSION_FORMAT_VERSION || Date.now() - Date.parse(record.savedAt) > SESSION_MAX_AGE_MS) {
+            this.logger.info('Stored session expired or outdated, discarding', { savedAt: record.savedAt });
+            await store.setValue(this.key, null);
+            return null;
+        }
+
+        try {
+            return decryptState(record.envelope, this.secret);
+        } catch (error) {
+            this.logger.warn('Stored session could not be decrypted, discarding', { error: error.message });
+            await store.setValue(this.key, null);
+            return null;
+        }
+    }
+
+    async save(storageState) {
+        const store = await this.openStore();
+        await store.setValue(this.key, {
+            version: SESSION_FORMAT_VERSION,
+            savedAt: new Date().toISOString(),
+            cookieCount: storageState.cookies.length,
+            envelope: encryptState(storageState, this.secret)
+        });
+        this.logger.info('Authenticated session stored', { cookies: storageState.cookies.length });
+    }
+
+    async clear() {
+        const store = await this.openStore();
+        await store.setValue(this.key, null);
+    }
+}
+
+/**
+ * Load a storage state into an existing page's context: cookies directly,
+ * localStorage per origin
+ */
+export async function applyStorageState(page, storageState) {
+    if (storageState.cookies && storageState.cookies.length > 0) {
+        await page.context().addCookies(storageState.cookies);
+    }
+
+    if (storageState.origins && storageState.origins.length > 0) {
+        await page.context().addInitScript((origins) => {
+            const entry = origins.find(item => item.origin === window.location.origin);
+            if (!entry || window.sessionStorage.getItem('__storageStateRestored')) return;
+            window.sessionStorage.setItem('__storageStateRestored', '1');
+            for (const { name, value } of entry.localStorage) {
+                try {
+                    window.localStorage.setItem(name, value);
+                } catch (error) {
+                    // Storage may be unavailable on sandboxed frames
+                }
+            }
+        }, storageState.origins);
+    }
+}
@@ -0,0 +1,141 @@
+/**
+ * Enterprise Unit Detail Extraction for Sobha Portal Scraper
+ * ==========================================================
+ * Reads the unit detail page (payment plan, area split, view, completion,
+ * availability and floor plans) and maps its label/value pairs onto
+ * canonical record fields. Used by the UNIT_DETAIL route.
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+import { isDocumentLink } from './documents.js';
+
+/**
+ * Canonical detail fields and the portal labels that feed them
+ */
+export const DETAIL_FIELD_ALIASES = {
+    view: ['view', 'unit view', 'views'],
+    orientation: ['orientation', 'facing', 'aspect', 'direction'],
+    completionDate: ['completion date', 'expected completion', 'handover date', 'handover', 'completion'],
+    availabilityStatus: ['status', 'availability', 'availability status', 'unit status'],
+    suiteArea: ['suite area', 'internal area', 'suite'],
+    balconyArea: ['balcony area', 'terrace area', 'balcony'],
+    totalArea: ['total area', 'total unit area', 'saleable area']
+};
+
+/**
+ * Lower-case a label and drop units/punctuation: "Suite Area (Sq.Ft):" -> "suite area"
+ */
+export function normaliseDetailLabel(label) {
+    return String(label || '')
+        .toLowerCase()
+        .replace(/\(.*?\)/g, ' ')
+        .replace(/[^a-z0-9 ]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Map raw label/value pairs onto canonical fields. Labels that are not in
+ * the alias table are kept under `additionalDetails`.
+ */
+export function mapDetailFields(pairs) {
+    const mapped = {};
+    const additionalDetails = {};
+
+    for (const { label, value } of pairs) {
+        if (!label || value === undefined || value === null || value === '') continue;
+
+        const normalised = normaliseDetailLabel(label);
+        const field = Object.keys(DETAIL_FIELD_ALIASES)
+            .find(key => DETAIL_FIELD_ALIASES[key].includes(normalised));
+
+        if (field) {
+            if (!(field in mapped)) mapped[field] = value;
+        } else {
+            additionalDetails[label.replace(/[:\s]+$/, '').trim()] = value;
+        }
+    }
+
+    return { ...mapped, additionalDetails };
+}
+
+/**
+ * Extract the unit detail page. Runs label/value, payment plan and link
+ * discovery inside the page, walking LWC shadow roots.
+ */
+export async function extractUnitDetails(page) {
+    const raw = await page.evaluate(() => {
+        const deepQueryAll = (root, selector) => {
+            const results = Array.from(root.querySelectorAll(selector));
+            for (const element of root.querySelectorAll('*')) {
+                if (element.shadowRoot) {
+                    results.push(...deepQueryAll(element.shadowRoot, selector));
+                }
+            }
+            return results;
+        };
+        const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+
+        // Label/value pairs: SLDS form elements, definition lists and two-cell rows
+        const pairs = [];
+        for (const element of deepQueryAll(document, '.slds-form-element')) {
+            const label = element.querySelector('.slds-form-element__label, label, dt');
+            const value = element.querySelector('.slds-form-element__static, .slds-form-element__control, dd');
+            if (label && value) pairs.push({ label: clean(label.textContent), value: clean(value.textContent) });
+        }
+        for (const dt of deepQueryAll(document, 'dt')) {
+            const dd = dt.nextElementSibling;
+            if (dd && dd.tagName === 'DD') pairs.push({ label: clean(dt.textContent), value: clean(dd.textContent) });
+        }
+        for (const row of deepQueryAll(document, 'tr')) {
+            const cells = row.querySelectorAll('th, td');
+            if (cells.length === 2) pairs.push({ label: clean(cells[0].textContent), value: clean(cells[1].textContent) });
+        }
+
+        // Payment plan: the table whose headers mention milestones/instalments
+        let paymentPlan = [];
+        for (const table of deepQueryAll(document, 'table')) {
+            const headers = Array.from(table.querySelectorAll('thead th, tr:first-child th')).map(th => clean(th.textContent).toLowerCase());
+            if (!headers.some(header => /milestone|instal?ment|payment/.test(header))) continue;
+
+            const columnFor = pattern => headers.findIndex(header => pattern.test(header));
+            const columns = {
+                milestone: columnFor(/milestone|instal?ment|description|payment/),
+                percentage: columnFor(/%|percent/),
+                dueDate: columnFor(/date|due/),
+                amount: columnFor(/amount|aed|value/)
+            };
+
+            paymentPlan = Array.from(table.querySelectorAll('tbody tr')).map(row => {
+                const cells = Array.from(row.querySelectorAll('td, th')).map(cell => clean(cell.textContent));
+                const milestone = {};
+                for (const [field, index] of Object.entries(columns)) {
+                    if (index !== -1 && cells[index]) milestone[field] = cells[index];
+                }
+                return milestone;
+            }).filter(milestone => Object.keys(milestone).length > 0);
+            break;
+        }
+
+        // Links: floor plans and documents are picked out on the Node side
+        const links = deepQueryAll(document, 'a[href]').map(anchor => ({
+            label: clean(anchor.textContent) || clean(anchor.getAttribute('title')),
+            url: anchor.href
+        }));
+
+        return { pairs, paymentPlan, links };
+    });
+
+    const floorPlanLinks = raw.links.filter(link => /floor\s*-?\s*plan/i.test(`${link.label} ${link.url}`));
+    const documentLinks = raw.links.filter(link => isDocumentLink(link) && !floorPlanLinks.includes(link));
+
+    return {
+        ...mapDetailFields(raw.pairs),
+        paymentPlan: raw.paymentPlan,
+        floorPlanLinks,
+        documentLinks
+    };
+}
@@ -0,0 +1,83 @@
+/**
+ * Unit List Fan-Out for Sobha Portal Scraper
+ * ==========================================
+ * Splits a bulk scrape into one UNIT_LIST request per project (or per
+ * project and bedroom count) so the crawler can extract them in parallel
+ * browser contexts, and merges the per-request results back into one
+ * result set per account.
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+import { getRowKey } from './pagination.js';
+
+export const FAN_OUT_MODES = {
+    NONE: 'none',
+    PROJECT: 'project',
+    PROJECT_BEDROOMS: 'projectBedrooms'
+};
+
+/**
+ * Validate the `fanOut` input. Returns a list of problems.
+ */
+export function validateFanOut(fanOut) {
+    const modes = Object.values(FAN_OUT_MODES);
+    return modes.includes(fanOut) ? [] : [`fanOut must be one of: ${modes.join(', ')}`];
+}
+
+/**
+ * Request uniqueKey for one account's unit list scope
+ */
+export function getUnitListKey(account, scope = {}) {
+    const parts = Object.keys(scope).sort().map(key => `${key}=${String(scope[key]).trim().toLowerCase()}`);
+    return `unit-list-${account}-${parts.join('&') || 'all'}`;
+}
+
+/**
+ * Merge one account's unit lists (in scope order) into a single result:
+ * rows de-duplicated across lists and capped at maxResults. The result is
+ * only exhaustive when every list was exhaustive and none failed.
+ */
+export function mergeUnitLists(parts, { failedLists = 0, maxResults = Number.POSITIVE_INFINITY } = {}) {
+    const ordered = [...parts].sort((a, b) => a.scopeIndex - b.scopeIndex);
+    const collected = new Map();
+
+    for (const part of ordered) {
+        for (const property of part.properties) {
+            const key = property.found === false ? `not-found-${property.requestedUnit}` : getRowKey(property);
+            if (!collected.has(key)) collected.set(key, property);
+        }
+    }
+
+    const properties = Array.from(collected.values());
+    const capped = properties.length > maxResults;
+    if (capped) properties.length = maxResults;
+
+    const listsExhaustive = ordered.every(part => part.exhaustive);
+    const exhaustive = listsExhaustive && failedLists === 0 && !capped;
+
+    // A single unscoped list keeps its own pagination details
+    const pagination = ordered.length === 1 && !ordered[0].scope && failedLists === 0
+        ? ordered[0].pagination
+        : {
+            exhaustive,
+            truncated: capped || ordered.some(part => part.pagination && part.pagination.truncated),
+            uniqueUnits: properties.length,
+            failedLists,
+            unitLists: ordered.map(part => ({
+                ...part.scope,
+                units: part.properties.length,
+                exhaustive: part.exhaustive,
+                stopReason: part.pagination ? part.pagination.stopReason : null
+            }))
+        };
+
+    const validation = { checked: 0, accepted: 0, rejected: 0, withWarnings: 0 };
+    for (const part of ordered) {
+        for (const key of Object.keys(validation)) validation[key] += part.validation[key];
+    }
+
+    return { properties, exhaustive, pagination, validation };
+}
@@ -0,0 +1,159 @@
+/**
+ * Enterprise Unit Lookup for Sobha Portal Scraper
+ * ===============================================
+ * Implements `scrapeMode: "specific"`: locates individual units in the
+ * Lightning unit table and reports a result for every requested unit,
+ * including units that are no longer listed (sold or withdrawn).
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+const LOOKUP_SELECTORS = {
+    searchInput: [
+        'c-broker-portal-unit-filter-component input[type="search"]',
+        'c-broker-portal-unit-filter-component lightning-input input[placeholder*="Search" i]',
+        'c-broker-portal-unit-filter-component input[placeholder*="Unit" i]',
+        '[role="dialog"] input[type="search"]',
+        '.slds-modal input[placeholder*="Search" i]'
+    ]
+};
+
+/**
+ * Parse the `specificUnit` input: a unit number, a comma/newline separated
+ * list or an array of unit numbers. Duplicates are removed, order is kept.
+ */
+export function parseUnitNumbers(specificUnit) {
+    if (!specificUnit) return [];
+
+    const values = Array.isArray(specificUnit) ? specificUnit : String(specificUnit).split(/[,\n;]+/);
+    const seen = new Set();
+    const units = [];
+
+    for (const value of values) {
+        const unit = String(value).trim();
+        const key = normaliseUnitNumber(unit);
+        if (!unit || seen.has(key)) continue;
+        seen.add(key);
+        units.push(unit);
+    }
+
+    return units;
+}
+
+/**
+ * Compare unit numbers ignoring case, whitespace and separators
+ * ("SSH-A4105" matches "ssh a4105")
+ */
+export function normaliseUnitNumber(unitNo) {
+    return String(unitNo || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Enterprise Unit Lookup
+ */
+export class UnitLookup {
+    constructor(logger, filterManager) {
+        this.logger = logger;
+        this.filterManager = filterManager;
+    }
+
+    /**
+     * Look up every requested unit and return one result record per unit.
+     * `extractRows(page)` returns the unit rows currently shown in the table,
+     * `scanAllRows(page)` returns every row across all table pages.
+     */
+    async lookupUnits(page, unitNumbers, extractRows, scanAllRows = extractRows) {
+        const searchInput = await this.findSearchInput(page);
+        let tableSnapshot = null;
+        const results = [];
+
+        this.logger.info('Looking up specific units', {
+            units: unitNumbers,
+            strategy: searchInput ? 'search' : 'table-scan'
+        });
+
+        for (const requestedUnit of unitNumbers) {
+            const lookedUpAt = new Date().toISOString();
+            let rows;
+            let matchedBy;
+
+            if (searchInput) {
+                rows = await this.searchUnit(page, searchInput, requestedUnit, extractRows);
+                matchedBy = 'search';
+            } else {
+                tableSnapshot = tableSnapshot || await scanAllRows(page);
+                rows = tableSnapshot;
+                matchedBy = 'table-scan';
+            }
+
+            const match = rows.find(row => normaliseUnitNumber(row.unitNo) === normaliseUnitNumber(requestedUnit));
+
+            if (match) {
+                this.logger.info(`✅ Unit ${requestedUnit} found`, { project: match.project, matchedBy });
+                results.push({
+                    requestedUnit,
+                    found: true,
+                    status: 'available',
+                    matchedBy,
+                    lookedUpAt,
+                    ...match
+                });
+            } else {
+                this.logger.warn(`Unit ${requestedUnit} not found in portal inventory`, { matchedBy, rowsSearched: rows.length });
+                results.push({
+                    requestedUnit,
+                    unitNo: requestedUnit,
+                    found: false,
+                    status: 'not_found',
+                    message: 'Unit is not listed in the portal inventory - it may have been sold or withdrawn',
+                    matchedBy,
+                    rowsSearched: rows.length,
+                    lookedUpAt
+                });
+            }
+        }
+
+        if (searchInput) {
+            await this.clearSearch(page, searchInput);
+        }
+
+        return results;
+    }
+
+    async findSearchInput(page) {
+        for (const selector of LOOKUP_SELECTORS.searchInput) {
+            const input = page.locator(selector).first();
+            if (await input.count() > 0 && await input.isVisible().catch(() => false)) {
+                this.logger.debug(`Unit search input found: ${selector}`);
+                return input;
+            }
+        }
+        return null;
+    }
+
+    async searchUnit(page, searchInput, unitNo, extractRows) {
+        const previousSignature = await this.filterManager.getTableSignature(page);
+
+        await searchInput.fill('');
+        await searchInput.type(unitNo, { delay: 50 });
+        const since = Date.now();
+        await searchInput.press('Enter').catch(() => {});
+        await this.filterManager.waitForTableRefresh(page, previousSignature, since, 'unitSearch');
+
+        return extractRows(page);
+    }
+
+    async clearSearch(page, searchInput) {
+        try {
+            const previousSignature = await this.filterManager.getTableSignature(page);
+            await searchInput.fill('');
+            const since = Date.now();
+            await searchInput.press('Enter').catch(() => {});
+            await this.filterManager.waitForTableRefresh(page, previousSignature, since, 'unitSearch');
+        } catch (error) {
+            this.logger.debug('Failed to clear unit search', { error: error.message });
+        }
+    }
+}
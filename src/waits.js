@@ -0,0 +1,241 @@
+/**
+ * Lightning Data Waits for Sobha Portal Scraper
+ * =============================================
+ * Waits that resolve as soon as the portal has actually loaded its data
+ * instead of sleeping for a fixed time: in-flight Salesforce Aura/LWC
+ * requests (`/s/sfsites/aura`), visible `lightning-spinner`s and the unit
+ * table row count settling. Every wait is bounded by a per-step timeout and
+ * reported to the metrics; a timed-out wait logs a warning and lets the step
+ * continue, so the step fails on its own checks rather than on the wait.
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+const AURA_REQUEST_PATTERN = /\/s\/sfsites\/aura|\/aura\?/i;
+const SPINNER_SELECTOR = 'lightning-spinner, .slds-spinner, .slds-spinner_container';
+const MODAL_SELECTOR = '[role="dialog"], .slds-modal';
+
+/**
+ * Aura calls often come in quick succession, so the page only counts as
+ * idle once none is in flight and none finished within AURA_IDLE_TIME
+ */
+const AURA_IDLE_TIME = 500;
+const ROW_STABLE_TIME = 750;
+const POLL_INTERVAL = 100;
+
+/**
+ * Per-step upper bounds in milliseconds
+ */
+export const WAIT_TIMEOUTS = {
+    postLogin: 30000,
+    promoModal: 5000,
+    modalClose: 5000,
+    projectsPage: 30000,
+    propertyModal: 30000,
+    tableRows: 10000,
+    filterRefresh: 20000,
+    pageChange: 20000,
+    unitSearch: 20000,
+    detailPage: 60000
+};
+
+export function isAuraRequest(url) {
+    return AURA_REQUEST_PATTERN.test(url);
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Number of elements matching a selector, looking into open shadow roots.
+ * Runs inside the browser, so it must stay self-contained.
+ */
+function countDeep({ selector, visibleOnly }) {
+    const deepQueryAll = (root) => {
+        const results = Array.from(root.querySelectorAll(selector));
+        for (const element of root.querySelectorAll('*')) {
+            if (element.shadowRoot) results.push(...deepQueryAll(element.shadowRoot));
+        }
+        return results;
+    };
+    const isVisible = (element) => {
+        const style = window.getComputedStyle(element);
+        const box = element.getBoundingClientRect();
+        return style.visibility !== 'hidden' && style.display !== 'none' && box.width > 0 && box.height > 0;
+    };
+
+    return deepQueryAll(document).filter(element => !visibleOnly || isVisible(element)).length;
+}
+
+/**
+ * -1 while the page is navigating and cannot be evaluated
+ */
+function count(page, selector, { visibleOnly = false } = {}) {
+    return page.evaluate(countDeep, { selector, visibleOnly }).catch(() => -1);
+}
+
+/**
+ * Check `condition` every POLL_INTERVAL until it holds (true) or the
+ * deadline passes (false)
+ */
+async function pollUntil(deadline, condition) {
+    while (Date.now() < deadline) {
+        if (await condition()) return true;
+        await delay(POLL_INTERVAL);
+    }
+    return false;
+}
+
+/**
+ * Enterprise Lightning Waits
+ */
+export class LightningWaits {
+    constructor(logger, metrics) {
+        this.logger = logger;
+        this.metrics = metrics;
+        this.pages = new WeakMap();
+    }
+
+    /**
+     * Track the Aura requests of a page. Called before every navigation;
+     * pages that are not attached are treated as having no Aura traffic.
+     */
+    attach(page) {
+        if (this.pages.has(page)) return;
+
+        const state = { pending: new Set(), lastActivity: Date.now() };
+        this.pages.set(page, state);
+
+        const settle = (request) => {
+            if (state.pending.delete(request)) state.lastActivity = Date.now();
+        };
+        page.on('request', (request) => {
+            if (!isAuraRequest(request.url())) return;
+            state.pending.add(request);
+            state.lastActivity = Date.now();
+        });
+        page.on('requestfinished', settle);
+        page.on('requestfailed', settle);
+    }
+
+    /**
+     * Run `condition` (resolving to true once satisfied) for a step and
+     * record how long it took. Returns `{ ready, duration }`. An optional
+     * wait (something that may legitimately never happen) is not reported
+     * as a timeout.
+     */
+    async measure(step, timeout, condition, { optional = false } = {}) {
+        const start = Date.now();
+        let ready = false;
+
+        try {
+            ready = await condition(start + timeout);
+        } catch (error) {
+            this.logger.debug(`Wait for ${step} failed`, { error: error.message });
+        }
+
+        const duration = Date.now() - start;
+        this.metrics.recordWait(step, duration, !ready && !optional);
+        if (!ready && !optional) {
+            this.logger.warn(`Wait for ${step} timed out, continuing`, { timeout, duration });
+        }
+        return { ready, duration };
+    }
+
+    /**
+     * True once no Aura request is in flight and none finished within
+     * AURA_IDLE_TIME, false at the deadline
+     */
+    auraIdle(page, deadline) {
+        const state = this.pages.get(page);
+        if (!state) return true;
+
+        return pollUntil(deadline, () => state.pending.size === 0 && Date.now() - state.lastActivity >= AURA_IDLE_TIME);
+    }
+
+    /**
+     * Whether an Aura request made at or after `since` was answered and the
+     * page has been idle for AURA_IDLE_TIME since. Pages that are not
+     * attached count as answered.
+     */
+    auraAnsweredSince(page, since) {
+        const state = this.pages.get(page);
+        if (!state) return true;
+
+        return state.lastActivity >= since && state.pending.size === 0 && Date.now() - state.lastActivity >= AURA_IDLE_TIME;
+    }
+
+    spinnersHidden(page, deadline) {
+        return pollUntil(deadline, async () => await count(page, SPINNER_SELECTOR, { visibleOnly: true }) === 0);
+    }
+
+    /**
+     * True once the row count is unchanged for ROW_STABLE_TIME (and,
+     * unless allowEmpty, non-zero)
+     */
+    rowsStable(page, rowSelector, deadline, { allowEmpty = false } = {}) {
+        let lastCount = -1;
+        let stableSince = Date.now();
+
+        return pollUntil(deadline, async () => {
+            const rows = await count(page, rowSelector);
+            if (rows !== lastCount) {
+                lastCount = rows;
+                stableSince = Date.now();
+                return false;
+            }
+            return rows >= (allowEmpty ? 0 : 1) && Date.now() - stableSince >= ROW_STABLE_TIME;
+        });
+    }
+
+    /**
+     * Lightning page rendered: Aura calls answered and no spinner visible
+     */
+    waitForLightningReady(page, step, timeout = WAIT_TIMEOUTS[step]) {
+        return this.measure(step, timeout, async deadline =>
+            await this.auraIdle(page, deadline) && await this.spinnersHidden(page, deadline));
+    }
+
+    /**
+     * Table data loaded: Lightning ready and the row count settled. Use
+     * allowEmpty where an empty table is a legitimate result (e.g. a filter
+     * without matches).
+     */
+    waitForTableData(page, step, { rowSelector, allowEmpty = false, timeout = WAIT_TIMEOUTS[step] }) {
+        return this.measure(step, timeout, async deadline =>
+            await this.auraIdle(page, deadline)
+            && await this.spinnersHidden(page, deadline)
+            && await this.rowsStable(page, rowSelector, deadline, { allowEmpty }));
+    }
+
+    /**
+     * Table updated after an interaction at `since` (e.g. a filter
+     * selection): `changed()` resolves true or the portal answered with an
+     * Aura response, then no spinner is visible and the row count settled.
+     * A table that did not change still resolves once the portal answered.
+     */
+    waitForTableRefresh(page, step, { since, changed, rowSelector, timeout = WAIT_TIMEOUTS[step] }) {
+        return this.measure(step, timeout, async deadline =>
+            await pollUntil(deadline, async () => this.auraAnsweredSince(page, since) || await changed())
+            && await this.spinnersHidden(page, deadline)
+            && await this.rowsStable(page, rowSelector, deadline, { allowEmpty: true }));
+    }
+
+    /**
+     * A modal dialog became visible. Optional: the post-login promotion is
+     * not shown on every login.
+     */
+    waitForModal(page, step, timeout = WAIT_TIMEOUTS[step]) {
+        return this.measure(step, timeout, deadline =>
+            pollUntil(deadline, async () => await count(page, MODAL_SELECTOR, { visibleOnly: true }) > 0), { optional: true });
+    }
+
+    /**
+     * No modal dialog is visible any more
+     */
+    waitForModalsClosed(page, step, timeout = WAIT_TIMEOUTS[step]) {
+        return this.measure(step, timeout, deadline =>
+            pollUntil(deadline, async () => await count(page, MODAL_SELECTOR, { visibleOnly: true }) === 0));
+    }
+}
@@ -0,0 +1,257 @@
+/**
+ * Watch Mode Scheduling for Sobha Portal Scraper
+ * ==============================================
+ * Decides when the next cycle of a long-running `watch` run starts: every
+ * `intervalMinutes` plus a random jitter, never inside the quiet hours and
+ * at most `dailyBudget` cycles per day. Quiet hours and days are Dubai
+ * time, whatever the time zone of the host. The scheduler stops on the
+ * platform's migrating and aborting events, interrupting a pending wait,
+ * so the run can shut down between cycles.
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+import { Actor } from 'apify';
+
+export const WATCH_TIME_ZONE = 'Asia/Dubai';
+
+export const WATCH_DEFAULTS = {
+    intervalMinutes: 30,
+    jitterMinutes: 5,
+    quietHours: null,
+    dailyBudget: 48,
+    maxCycles: null
+};
+
+export const WATCH_STOP_EVENTS = ['migrating', 'aborting'];
+
+const MINUTES_PER_DAY = 24 * 60;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const watchClock = new Intl.DateTimeFormat('en-GB', {
+    timeZone: WATCH_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+});
+
+const isInteger = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Problems with the `watch` input object; missing fields use WATCH_DEFAULTS
+ */
+export function validateWatchOptions(watch) {
+    if (!watch || typeof watch !== 'object' || Array.isArray(watch)) {
+        return ['watch must be an object'];
+    }
+
+    const errors = [];
+    const { intervalMinutes, jitterMinutes, quietHours, dailyBudget, maxCycles } = resolveWatchOptions(watch);
+
+    if (!isInteger(intervalMinutes, 5, MINUTES_PER_DAY)) {
+        errors.push('watch.intervalMinutes must be a whole number between 5 and 1440');
+    }
+    if (!isInteger(jitterMinutes, 0, 60) || jitterMinutes >= intervalMinutes) {
+        errors.push('watch.jitterMinutes must be a whole number between 0 and 60 and below intervalMinutes');
+    }
+    if (quietHours !== null) {
+        if (typeof quietHours !== 'object' || !TIME_PATTERN.test(quietHours.start) || !TIME_PATTERN.test(quietHours.end)) {
+            errors.push('watch.quietHours must have a start and end time as "HH:MM" (Dubai time)');
+        } else if (quietHours.start === quietHours.end) {
+            errors.push('watch.quietHours start and end must differ');
+        }
+    }
+    if (!isInteger(dailyBudget, 1, MINUTES_PER_DAY)) {
+        errors.push('watch.dailyBudget must be a whole number between 1 and 1440');
+    }
+    if (maxCycles !== null && !isInteger(maxCycles, 1, Number.MAX_SAFE_INTEGER)) {
+        errors.push('watch.maxCycles must be a positive whole number');
+    }
+
+    return errors;
+}
+
+export function resolveWatchOptions(watch = {}) {
+    return { ...WATCH_DEFAULTS, ...watch };
+}
+
+/**
+ * Dubai calendar day ("YYYY-MM-DD") and time of day of an instant
+ */
+export function getWatchTime(date) {
+    const parts = Object.fromEntries(watchClock.formatToParts(date).map(part => [part.type, part.value]));
+    return {
+        day: `${parts.year}-${parts.month}-${parts.day}`,
+        minutes: Number(parts.hour) * 60 + Number(parts.minute),
+        seconds: Number(parts.second)
+    };
+}
+
+const toMinutes = time => Number(time.substring(0, 2)) * 60 + Number(time.substring(3, 5));
+
+/**
+ * Whether an instant falls inside the quiet hours. A range whose end is
+ * before its start runs across midnight ("22:00" to "06:00").
+ */
+export function isQuietTime(date, quietHours) {
+    if (!quietHours) return false;
+
+    const { minutes } = getWatchTime(date);
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    return start < end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+}
+
+/**
+ * First instant at or after `date` whose Dubai time of day is `minuteOfDay`
+ */
+function nextTimeOfDay(date, minuteOfDay) {
+    const { minutes, seconds } = getWatchTime(date);
+    const ahead = (minuteOfDay - minutes + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    const startOfMinute = date.getTime() - seconds * 1000 - date.getMilliseconds();
+    return new Date(startOfMinute + ahead * 60000);
+}
+
+/**
+ * Enterprise Watch Scheduler
+ */
+export class WatchScheduler {
+    constructor(logger, options = {}, { random = Math.random } = {}) {
+        this.logger = logger;
+        this.options = resolveWatchOptions(options);
+        this.random = random;
+        this.cycle = 0;
+        this.lastCycleAt = null;
+        this.budgetDay = null;
+        this.cyclesToday = 0;
+        this.stopReason = null;
+        this.listeners = [];
+        this.wake = null;
+    }
+
+    get stopped() {
+        return this.stopReason !== null;
+    }
+
+    /**
+     * Random delay of up to jitterMinutes, so cycles do not hit the portal
+     * on a fixed beat
+     */
+    getJitter() {
+        return Math.floor(this.random() * this.options.jitterMinutes * 60000);
+    }
+
+    /**
+     * When the cycle after the last one may start, at the earliest `now`:
+     * `{ at, reason }` with reason `interval`, `quiet-hours` or `budget`
+     */
+    planNextCycle(now = new Date()) {
+        const { intervalMinutes, quietHours, dailyBudget } = this.options;
+        let at = this.lastCycleAt
+            ? new Date(Math.max(now.getTime(), this.lastCycleAt.getTime() + intervalMinutes * 60000 + this.getJitter()))
+            : now;
+        let reason = 'interval';
+
+        // Moving past the quiet hours can reach a new day and vice versa
+        for (let moved = true; moved;) {
+            moved = false;
+            if (isQuietTime(at, quietHours)) {
+                at = new Date(nextTimeOfDay(at, toMinutes(quietHours.end)).getTime() + this.getJitter());
+                reason = 'quiet-hours';
+                moved = true;
+            }
+            if (getWatchTime(at).day === this.budgetDay && this.cyclesToday >= dailyBudget) {
+                at = nextTimeOfDay(new Date(at.getTime() + 60000), 0);
+                reason = 'budget';
+                moved = true;
+            }
+        }
+
+        return { at, reason };
+    }
+
+    /**
+     * Wait until the next cycle may start and count it. Resolves false
+     * instead once the scheduler is stopped or maxCycles were run.
+     */
+    async waitForNextCycle() {
+        if (this.options.maxCycles && this.cycle >= this.options.maxCycles) {
+            this.stopReason = this.stopReason || 'max-cycles';
+        }
+        if (this.stopped) return false;
+
+        const { at, reason } = this.planNextCycle();
+        const delay = at.getTime() - Date.now();
+        if (delay > 0) {
+            this.logger.info(`Next watch cycle at ${at.toISOString()}`, { reason, cycle: this.cycle + 1 });
+            await this.sleep(delay);
+        }
+        if (this.stopped) return false;
+
+        this.startCycle(new Date());
+        return true;
+    }
+
+    startCycle(now) {
+        const { day } = getWatchTime(now);
+        if (day !== this.budgetDay) {
+            this.budgetDay = day;
+            this.cyclesToday = 0;
+        }
+        this.cyclesToday++;
+        this.cycle++;
+        this.lastCycleAt = now;
+    }
+
+    sleep(ms) {
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                this.wake = null;
+                resolve();
+            }, ms);
+            this.wake = () => {
+                clearTimeout(timer);
+                this.wake = null;
+                resolve();
+            };
+        });
+    }
+
+    /**
+     * Stop on the platform's migrating and aborting events until close()
+     */
+    start() {
+        for (const event of WATCH_STOP_EVENTS) {
+            const listener = () => this.stop(event);
+            Actor.on(event, listener);
+            this.listeners.push([event, listener]);
+        }
+    }
+
+    /**
+     * Let the current cycle finish and start no further one. The first
+     * reason is kept.
+     */
+    stop(reason) {
+        if (!this.stopped) {
+            this.logger.info('Stopping watch mode after the current cycle', { reason });
+            this.stopReason = reason;
+        }
+        if (this.wake) this.wake();
+    }
+
+    close() {
+        for (const [event, listener] of this.listeners) {
+            Actor.off(event, listener);
+        }
+        this.listeners = [];
+    }
+}
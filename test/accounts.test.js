@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    validateAccounts,
+    resolveAccounts,
+    buildAccountVisibility,
+    DEFAULT_ACCOUNT_LABEL
+} from '../src/accounts.js';
+
+const unit = (unitNo, price) => ({ project: 'Sobha Hartland', unitNo, unitType: '2 Bed Type B', price });
+
+test('validates account entries', () => {
+    assert.deepEqual(validateAccounts([{ label: 'main', email: 'a@example.com', password: 'x' }]), []);
+    assert.equal(validateAccounts([]).length, 1);
+
+    const problems = validateAccounts([
+        { label: 'main', email: 'a@example.com', password: 'x' },
+        { label: 'main', email: 'not-an-email', password: 'x' },
+        { email: 'b@example.com' },
+        { email: 'c@example.com', passwordEnv: 'SOBHA_TEST_UNSET_SECRET' }
+    ]);
+    assert.equal(problems.length, 4);
+    assert.match(problems[0], /used more than once/);
+    assert.match(problems[1], /valid email/);
+    assert.match(problems[2], /passwordEnv/);
+    assert.match(problems[3], /not set/);
+});
+
+test('only accepts account labels that can be part of a storage key', () => {
+    const account = label => ({ label, email: 'a@example.com', password: 'x' });
+
+    assert.deepEqual(validateAccounts([account("gold-tier_2.(uae)")]), []);
+    assert.match(validateAccounts([account('Gold Tier')])[0], /label must be/);
+    assert.match(validateAccounts([account('Broker/A')])[0], /label must be/);
+    assert.match(validateAccounts([account('')])[0], /label must be/);
+    assert.match(validateAccounts([account(7)])[0], /label must be/);
+});
+
+test('resolves secret references and the single-account form', () => {
+    process.env.SOBHA_TEST_SECRET = 'from-env';
+    try {
+        const accounts = resolveAccounts({
+            accounts: [
+                { label: 'main', email: ' Sales@Example.com ', passwordEnv: 'SOBHA_TEST_SECRET' },
+                { email: 'north@example.com', password: 'inline' }
+            ]
+        });
+        assert.deepEqual(accounts.map(account => [account.label, account.email, account.password]), [
+            ['main', 'sales@example.com', 'from-env'],
+            ['account-2', 'north@example.com', 'inline']
+        ]);
+    } finally {
+        delete process.env.SOBHA_TEST_SECRET;
+    }
+
+    const [primary] = resolveAccounts({ email: 'a@example.com', password: 'x' });
+    assert.equal(primary.label, DEFAULT_ACCOUNT_LABEL);
+});
+
+test('merges account runs into a visibility view', () => {
+    const { rows, summary } = buildAccountVisibility([
+        { account: 'main', exhaustive: true, properties: [unit('A-1813', 1360434), unit('B-2204', 2100000)] },
+        { account: 'north', exhaustive: true, properties: [unit('A-1813', 1401247)] },
+        { account: 'south', exhaustive: false, properties: [unit('A-1813', 1360434)] }
+    ]);
+
+    const a1813 = rows.find(row => row.unitNo === 'A-1813');
+    assert.equal(a1813.visibility, 'all');
+    assert.equal(a1813.priceDiffers, true);
+    assert.equal(a1813.minPrice, 1360434);
+    assert.equal(a1813.maxPrice, 1401247);
+
+    // The truncated account is not counted as unable to see the unit
+    const b2204 = rows.find(row => row.unitNo === 'B-2204');
+    assert.equal(b2204.visibility, 'partial');
+    assert.deepEqual(b2204.visibleTo, ['main']);
+    assert.deepEqual(b2204.notVisibleTo, ['north']);
+
+    assert.deepEqual(summary, {
+        accounts: ['main', 'north', 'south'],
+        totalUnits: 2,
+        visibleToAll: 1,
+        visibleToSome: 1,
+        priceDifferences: 1,
+        nonExhaustiveAccounts: ['south']
+    });
+});
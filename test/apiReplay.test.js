@@ -0,0 +1,126 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+    AuraReplayClient,
+    AuraReplayError,
+    ReplayPlanStore,
+    REPLAY_PLAN_MAX_AGE,
+    buildCookieHeader,
+    getReplayError,
+    getReplayPlanKey
+} from '../src/apiReplay.js';
+import { startPortalServer, AURA_TOKEN } from './helpers/portalServer.js';
+
+let workDir;
+let server;
+const silentLogger = { info() {}, warn() {}, debug() {} };
+
+before(async () => {
+    workDir = await mkdtemp(path.join(tmpdir(), 'sobha-replay-'));
+    process.env.CRAWLEE_STORAGE_DIR = path.join(workDir, 'storage');
+    server = await startPortalServer();
+});
+
+after(async () => {
+    await server.close();
+    await rm(workDir, { recursive: true, force: true });
+});
+
+const unitAction = (method, params) => ({
+    url: `${server.baseUrl}/partnerportal/s/sfsites/aura?r=7&aura.ApexAction.execute=1`,
+    message: JSON.stringify({ actions: [{ id: '142;a', params: { classname: 'BrokerPortalUnitController', method, params } }] }),
+    pageURI: '/partnerportal/s/sobha-project'
+});
+
+const sessionState = () => ({
+    cookies: [{ name: 'sid', value: 'mock-session', domain: '127.0.0.1', path: '/', expires: -1, secure: false }]
+});
+
+/**
+ * Login page double whose Aura calls carry the fixture context and token
+ */
+function createLoginPage() {
+    const page = new EventEmitter();
+    page.emitAuraCall = token => page.emit('request', {
+        method: () => 'POST',
+        url: () => `${server.baseUrl}/partnerportal/s/sfsites/aura?r=1`,
+        postData: () => new URLSearchParams({ message: '{"actions":[]}', 'aura.context': '{"fwuid":"fixture"}', 'aura.token': token }).toString()
+    });
+    return page;
+}
+
+test('sends only the cookies that apply to the Aura endpoint', () => {
+    const storageState = {
+        cookies: [
+            { name: 'sid', value: 'abc', domain: '.sobhapartnerportal.com', path: '/', expires: -1, secure: true },
+            { name: 'renderCtx', value: 'x', domain: 'www.sobhapartnerportal.com', path: '/partnerportal', expires: -1 },
+            { name: 'expired', value: 'old', domain: 'www.sobhapartnerportal.com', path: '/', expires: 1 },
+            { name: 'other', value: 'y', domain: 'example.com', path: '/', expires: -1 }
+        ]
+    };
+
+    assert.equal(buildCookieHeader(storageState, 'https://www.sobhapartnerportal.com/partnerportal/s/sfsites/aura?r=1'), 'sid=abc; renderCtx=x');
+    assert.equal(buildCookieHeader(storageState, 'http://www.sobhapartnerportal.com/s/sfsites/aura'), '');
+});
+
+test('classifies refused replays as auth errors', () => {
+    assert.equal(getReplayError(200, 'while(1);{"actions":[]}'), null);
+    assert.equal(getReplayError(302, '').kind, 'auth');
+    assert.equal(getReplayError(200, '*/{"event":{"descriptor":"markup://aura:clientOutOfSync"}}/*ERROR*/').kind, 'auth');
+    assert.equal(getReplayError(503, 'Service Unavailable').kind, 'network');
+});
+
+test('keys learnt actions by account and scrape scope', () => {
+    const input = { scrapeMode: 'bulk', filters: {}, fanOut: 'project' };
+
+    assert.match(getReplayPlanKey('primary', input), /^PLAN-primary-[0-9a-f]{12}$/);
+    assert.notEqual(getReplayPlanKey('primary', input), getReplayPlanKey('primary', { ...input, filters: { bedrooms: '2' } }));
+    assert.notEqual(getReplayPlanKey('primary', input), getReplayPlanKey('second', input));
+});
+
+test('replays a unit list action with the session of the login page', async () => {
+    const client = new AuraReplayClient(silentLogger);
+    const page = createLoginPage();
+    client.attach(page);
+    assert.throws(() => client.getSession(page, sessionState()), error => error instanceof AuraReplayError && error.kind === 'auth');
+
+    page.emitAuraCall(AURA_TOKEN);
+    const units = await client.fetchUnits(client.getSession(page, sessionState()), unitAction('getUnits', { project: 'Sobha Hartland' }));
+
+    assert.deepEqual(units.map(unit => [unit.unitNo, unit.unitId, unit.extractionSource]), [
+        ['A-1813', 'a0X5g00000AbCdEEAZ', 'replay'],
+        ['B-2204', 'a0X5g00000AbCdFEAZ', 'replay']
+    ]);
+});
+
+test('reports auth, schema and network errors of a replay', async () => {
+    const client = new AuraReplayClient(silentLogger, { timeout: 5000 });
+    const page = createLoginPage();
+    client.attach(page);
+
+    const kindOf = promise => promise.then(() => null, error => error.kind);
+
+    page.emitAuraCall('expired-token');
+    assert.equal(await kindOf(client.fetchUnits(client.getSession(page, sessionState()), unitAction('getUnits', {}))), 'auth');
+    assert.equal(await kindOf(client.fetchUnits(client.getSession(page, { cookies: [] }), unitAction('getUnits', {}))), 'auth');
+
+    page.emitAuraCall(AURA_TOKEN);
+    const session = client.getSession(page, sessionState());
+    assert.equal(await kindOf(client.fetchUnits(session, unitAction('getProjects', {}))), 'schema');
+    assert.equal(await kindOf(client.fetchUnits(session, { ...unitAction('getUnits', {}), url: 'http://127.0.0.1:9/s/sfsites/aura' })), 'network');
+});
+
+test('treats learnt actions older than a day as missing', async () => {
+    const plans = new ReplayPlanStore(silentLogger, 'sobha-aura-replay-test');
+    const lists = [{ scope: { project: 'Sobha Hartland' }, scopeIndex: 0, filtersApplied: [], action: unitAction('getUnits', {}) }];
+
+    assert.equal(await plans.load('PLAN-primary-test'), null);
+    await plans.save('PLAN-primary-test', lists);
+
+    assert.deepEqual((await plans.load('PLAN-primary-test')).lists, lists);
+    assert.equal(await plans.load('PLAN-primary-test', Date.now() + REPLAY_PLAN_MAX_AGE + 1000), null);
+});
@@ -0,0 +1,89 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Actor } from 'apify';
+import { EventEmitter } from 'events';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { FailureArtifactRecorder, getArtifactKeyPrefix, maskSecrets, serialiseDocument } from '../src/artifacts.js';
+import { launchBrowser, SKIP_REASON } from './helpers/browser.js';
+
+let workDir;
+let browser;
+const silentLogger = { info() {}, warn() {}, debug() {} };
+
+before(async () => {
+    workDir = await mkdtemp(path.join(tmpdir(), 'sobha-artifacts-'));
+    process.env.CRAWLEE_STORAGE_DIR = path.join(workDir, 'storage');
+    browser = await launchBrowser();
+});
+
+after(async () => {
+    if (browser) await browser.close();
+    await rm(workDir, { recursive: true, force: true });
+});
+
+test('masks credentials and Salesforce session tokens', () => {
+    const text = 'Login failed for broker@example.com with fixture-secret-123 {"token":"eyJhbGciOi"} /s/home?sid=00D5g!AQ&lang=en';
+
+    assert.equal(
+        maskSecrets(text, ['broker@example.com', 'fixture-secret-123', null]),
+        'Login failed for *** with *** {"token":"***"} /s/home?sid=***&lang=en'
+    );
+});
+
+test('builds step-scoped artifact keys per attempt', () => {
+    const request = { uniqueKey: 'unit-list-primary-project=sobha hartland', retryCount: 1, userData: {} };
+
+    assert.equal(
+        getArtifactKeyPrefix(request, 'openPropertyModal'),
+        'FAILURE-unit-list-primary-project-sobha-hartland-openPropertyModal-attempt-2'
+    );
+});
+
+test('serialises shadow roots and masks credential inputs', async (t) => {
+    if (!browser) return t.skip(SKIP_REASON);
+    const page = await browser.newPage();
+    await page.setContent(`
+        <form><input type="email" name="username" value="broker@example.com"><input type="password" value="fixture-secret-123"></form>
+        <c-unit-table></c-unit-table>
+        <script>
+            const host = document.querySelector('c-unit-table');
+            host.attachShadow({ mode: 'open' }).innerHTML = '<table><tbody><tr><td title="A-1813">A-1813 &amp; co</td></tr></tbody></table>';
+        </script>`);
+
+    const html = await page.evaluate(serialiseDocument, { maskSelector: 'input[type="password"], input[type="email"]', mask: '***' });
+    await page.close();
+
+    assert.match(html, /^<!DOCTYPE html>\n<html>/);
+    assert.match(html, /<c-unit-table><template shadowrootmode="open"><table><tbody><tr><td title="A-1813">A-1813 &amp; co<\/td><\/tr><\/tbody><\/table><\/template><\/c-unit-table>/);
+    assert.match(html, /<input type="email" name="username" value="\*\*\*">/);
+    assert.match(html, /<input type="password" value="\*\*\*">/);
+    assert.doesNotMatch(html, /broker@example\.com|fixture-secret-123/);
+});
+
+test('keeps the other artifacts when the screenshot fails', async () => {
+    const page = new EventEmitter();
+    page.screenshot = async () => { throw new Error('Target page, context or browser has been closed'); };
+    page.locator = selector => ({ selector });
+    page.evaluate = async () => '<!DOCTYPE html>\n<html><body>Welcome broker@example.com</body></html>';
+    page.url = () => 'https://www.sobhapartnerportal.com/partnerportal/s/?sid=00D5g!AQ';
+
+    const warnings = [];
+    const recorder = new FailureArtifactRecorder({ ...silentLogger, warn: message => warnings.push(message) }, { secrets: ['broker@example.com'] });
+    await recorder.attach(page);
+    recorder.setStep(page, 'openPropertyModal');
+    page.emit('console', { type: () => 'error', text: () => 'Aura call failed for broker@example.com' });
+
+    const request = { uniqueKey: 'unit-list-primary', retryCount: 0, userData: { label: 'UNIT_LIST' } };
+    const artifacts = await recorder.capture(page, request);
+
+    const prefix = 'FAILURE-unit-list-primary-openPropertyModal-attempt-1';
+    assert.deepEqual(artifacts, { step: 'openPropertyModal', attempt: 1, screenshot: null, html: `${prefix}.html`, console: `${prefix}.log` });
+    assert.deepEqual(warnings, ['Failed to capture screenshot artifact']);
+
+    assert.equal(await Actor.getValue(`${prefix}.html`), '<!DOCTYPE html>\n<html><body>Welcome ***</body></html>');
+    const consoleLog = await Actor.getValue(`${prefix}.log`);
+    assert.match(consoleLog, /^https:\/\/www\.sobhapartnerportal\.com\/partnerportal\/s\/\?sid=\*\*\*\n/);
+    assert.match(consoleLog, /\[error\] Aura call failed for \*\*\*$/);
+});
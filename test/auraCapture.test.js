@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { readFile } from 'fs/promises';
+import {
+    AuraUnitCapture,
+    findUnitRecords,
+    mapAuraRecord,
+    normaliseFieldName,
+    parseAuraResponse,
+    validateExtractionMode
+} from '../src/auraCapture.js';
+import { buildColumnAliases, getUnitIdFromUrl, isSalesforceId } from '../src/extraction.js';
+import { validateUnitRecords } from '../src/normalisation.js';
+
+const silentLogger = { info() {}, warn() {}, debug() {} };
+const fixtureText = () => readFile(new URL('./fixtures/aura-units.json', import.meta.url), 'utf8');
+
+const auraResponse = (url, text, postData = null) => ({
+    url: () => url,
+    text: async () => text,
+    request: () => ({ url: () => url, postData: () => postData })
+});
+
+test('parses the return values of successful Aura actions', () => {
+    const body = 'while(1);\n' + JSON.stringify({
+        actions: [
+            { state: 'SUCCESS', returnValue: '{"units":[]}' },
+            { state: 'ERROR', returnValue: { units: [1] } },
+            { state: 'SUCCESS', returnValue: { count: 2 } }
+        ]
+    });
+
+    assert.deepEqual(parseAuraResponse(body), [{ units: [] }, { count: 2 }]);
+    assert.deepEqual(parseAuraResponse('<html>Session expired</html>'), []);
+});
+
+test('normalises Salesforce API field names to column labels', () => {
+    assert.equal(normaliseFieldName('sobha__Unit_No__c'), 'unit no');
+    assert.equal(normaliseFieldName('Project__r'), 'project');
+    assert.equal(normaliseFieldName('startingPrice'), 'starting price');
+    assert.equal(normaliseFieldName('Total_Unit_Area__c'), 'total unit area');
+});
+
+test('recognises Salesforce record IDs in values and detail links', () => {
+    assert.equal(isSalesforceId('a0X5g00000AbCdEEAZ'), true);
+    assert.equal(isSalesforceId('a0X5g00000AbCdE'), true);
+    assert.equal(isSalesforceId('unitinventories'), false);
+    assert.equal(getUnitIdFromUrl('https://portal.example.com/partnerportal/s/unit/a0X5g00000AbCdEEAZ/a-1813'), 'a0X5g00000AbCdEEAZ');
+    assert.equal(getUnitIdFromUrl('/partnerportal/s/unit-detail?recordId=a0X5g00000AbCdEEAZ'), 'a0X5g00000AbCdEEAZ');
+    assert.equal(getUnitIdFromUrl('/partnerportal/s/sobha-project'), null);
+    assert.equal(getUnitIdFromUrl(null), null);
+});
+
+test('maps Apex unit records onto the unit fields with their record ID', async () => {
+    const [returnValue] = parseAuraResponse(await fixtureText());
+    const units = findUnitRecords(returnValue);
+
+    assert.deepEqual(units.map(unit => [unit.rowIndex, unit.unitId, unit.unitNo]), [
+        [1, 'a0X5g00000AbCdEEAZ', 'A-1813'],
+        [2, 'a0X5g00000AbCdFEAZ', 'B-2204'],
+        [3, 'a0X5g00000AbCdGEAZ', 'SSH-A4105']
+    ]);
+    assert.equal(units[0].project, 'Sobha Hartland');
+    assert.equal(units[0].startingPrice, '1360434');
+    assert.equal(units[0].extractionSource, 'network');
+    assert.deepEqual(units[0].extraFields, { sobha__View__c: 'Creek View' });
+    assert.equal(units[0].rawData.Id, 'a0X5g00000AbCdEEAZ');
+
+    const { accepted } = validateUnitRecords(units);
+    assert.deepEqual(accepted.map(unit => [unit.price, unit.areaSqft, unit.floorNumber]), [
+        [1360434, 788.46, 18],
+        [2450000, 1204.1, 22],
+        [5178448, 845.12, 41]
+    ]);
+});
+
+test('maps renamed fields through the column aliases', () => {
+    const record = { Id: 'a0X5g00000AbCdEEAZ', Inventory_Reference__c: 'A-1813', Project__c: 'Sobha Hartland', Price__c: 1360434 };
+
+    assert.equal(mapAuraRecord(record).unitNo, '');
+    assert.equal(mapAuraRecord(record, buildColumnAliases({ unitNo: ['Inventory Reference'] })).unitNo, 'A-1813');
+});
+
+test('ignores payloads without unit records', () => {
+    assert.deepEqual(findUnitRecords({ projects: [{ Id: 'a0P5g00000HrTlnEAF', Name: 'Sobha Hartland' }] }), []);
+    assert.deepEqual(findUnitRecords('OK'), []);
+});
+
+test('keeps the latest recognised payload of an attached page', async () => {
+    const fixture = JSON.parse(await fixtureText());
+    const capture = new AuraUnitCapture(silentLogger);
+    const page = new EventEmitter();
+    const auraUrl = 'https://portal.example.com/partnerportal/s/sfsites/aura?r=7&aura.ApexAction.execute=1';
+
+    assert.equal(await capture.getUnits(page), null);
+    capture.attach(page);
+
+    page.emit('response', auraResponse(auraUrl, JSON.stringify(fixture)));
+    page.emit('response', auraResponse('https://portal.example.com/partnerportal/s/sobha-project', JSON.stringify(fixture)));
+    assert.equal((await capture.getUnits(page)).length, 3);
+
+    const message = '{"actions":[{"id":"142;a","params":{"method":"getUnits","params":{"project":"Sobha SeaHaven"}}}]}';
+    fixture.actions[0].returnValue.units = fixture.actions[0].returnValue.units.slice(2);
+    page.emit('response', auraResponse(auraUrl, JSON.stringify(fixture), new URLSearchParams({
+        message,
+        'aura.pageURI': '/partnerportal/s/sobha-project',
+        'aura.token': 'session-bound'
+    }).toString()));
+    page.emit('response', auraResponse(auraUrl, JSON.stringify({ actions: [{ state: 'SUCCESS', returnValue: { ok: true } }] })));
+    page.emit('response', { url: () => auraUrl, text: () => Promise.reject(new Error('Response body is unavailable')) });
+
+    assert.deepEqual((await capture.getUnits(page)).map(unit => unit.unitNo), ['SSH-A4105']);
+    assert.deepEqual(await capture.getAction(page), { url: auraUrl, message, pageURI: '/partnerportal/s/sobha-project', units: 1 });
+
+    // Reopening the modal on the same page starts over
+    capture.attach(page);
+    assert.equal(await capture.getUnits(page), null);
+    assert.equal(await capture.getAction(page), null);
+});
+
+test('validates the extraction mode', () => {
+    assert.deepEqual(validateExtractionMode('network'), []);
+    assert.deepEqual(validateExtractionMode('dom'), []);
+    assert.equal(validateExtractionMode('api').length, 1);
+});
@@ -0,0 +1,95 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Actor } from 'apify';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { ChangeTracker, buildSnapshotUnits, diffInventory, getSnapshotKey, summariseChanges } from '../src/changes.js';
+
+let workDir;
+const silentLogger = { info() {}, warn() {}, debug() {} };
+
+before(async () => {
+    workDir = await mkdtemp(path.join(tmpdir(), 'sobha-changes-'));
+    process.env.CRAWLEE_STORAGE_DIR = path.join(workDir, 'storage');
+});
+
+after(async () => {
+    await rm(workDir, { recursive: true, force: true });
+});
+
+const unit = (unitNo, price, project = 'Sobha Hartland') => ({ unitNo, project, unitType: '2 Bed Type B', price, areaSqft: 1204.1 });
+
+test('reports new, removed and re-priced units', () => {
+    const previous = buildSnapshotUnits([unit('A-1813', 1360434), unit('B-2204', 2450000), unit('C-0901', 990000)]);
+    const current = buildSnapshotUnits([unit('a 1813', 1401247), unit('B-2204', 2450000), unit('SSH-A4105', 5178448, 'Sobha SeaHaven')]);
+
+    const events = diffInventory(previous, current);
+    assert.deepEqual(events.map(event => [event.type, event.unitNo]), [
+        ['price_change', 'a 1813'],
+        ['new', 'SSH-A4105'],
+        ['removed', 'C-0901']
+    ]);
+    assert.deepEqual(
+        [events[0].oldPrice, events[0].newPrice, events[0].priceDelta, events[0].priceDeltaPercent],
+        [1360434, 1401247, 40813, 3]
+    );
+    assert.deepEqual(summariseChanges(events), { newUnits: 1, removedUnits: 1, priceChanges: 1, priceIncreases: 1, priceDecreases: 0 });
+
+    // A truncated extraction cannot tell a removed unit from one it did not reach
+    assert.deepEqual(diffInventory(previous, current, { includeRemovals: false }).map(event => event.type), ['price_change', 'new']);
+
+    // A unit without a price on either side is not a price change
+    assert.deepEqual(diffInventory(buildSnapshotUnits([unit('A-1813', null)]), buildSnapshotUnits([unit('A-1813', 1360434)])), []);
+});
+
+test('keys snapshots by filter set regardless of key order and case', () => {
+    assert.equal(getSnapshotKey(), 'SNAPSHOT-ALL');
+    assert.equal(getSnapshotKey({}), 'SNAPSHOT-ALL');
+    assert.match(getSnapshotKey({ project: 'Sobha Hartland' }), /^SNAPSHOT-[0-9a-f]{12}$/);
+    assert.equal(
+        getSnapshotKey({ project: 'Sobha Hartland', bedrooms: '2 Bed' }),
+        getSnapshotKey({ bedrooms: '2 bed ', project: 'sobha hartland' })
+    );
+    assert.notEqual(getSnapshotKey({ project: 'Sobha Hartland' }), getSnapshotKey({ project: 'Sobha One' }));
+});
+
+test('keeps one snapshot per account and baselines the first run', async () => {
+    const tracker = new ChangeTracker(silentLogger, 'sobha-snapshots-test-accounts', 'sobha-changes-test-accounts');
+    const options = { sessionId: 'run-1', filters: {}, exhaustive: true };
+
+    const first = await tracker.trackChanges([unit('A-1813', 1360434)], { ...options, account: 'agency-main' });
+    assert.equal(first.summary.baseline, true);
+    assert.equal(first.summary.snapshotKey, 'SNAPSHOT-ALL-agency-main');
+
+    // Another account starts its own baseline instead of diffing against agency-main
+    const other = await tracker.trackChanges([], { ...options, account: 'agency-north' });
+    assert.equal(other.summary.baseline, true);
+    assert.deepEqual(other.events, []);
+
+    const second = await tracker.trackChanges([unit('A-1813', 1401247)], { ...options, sessionId: 'run-2', account: 'agency-main' });
+    assert.deepEqual(second.events.map(event => [event.type, event.account, event.previousSessionId]), [['price_change', 'agency-main', 'run-1']]);
+
+    const dataset = await Actor.openDataset('sobha-changes-test-accounts');
+    assert.equal((await dataset.getData()).items.length, 1);
+});
+
+test('a truncated run keeps the units it did not reach in the snapshot', async () => {
+    const tracker = new ChangeTracker(silentLogger, 'sobha-snapshots-test-truncated', 'sobha-changes-test-truncated');
+    const options = { sessionId: 'run-1', filters: { project: 'Sobha Hartland' } };
+
+    await tracker.trackChanges([unit('A-1813', 1360434), unit('B-2204', 2450000)], { ...options, exhaustive: true });
+
+    const truncated = await tracker.trackChanges([unit('A-1813', 1360434)], { ...options, sessionId: 'run-2', exhaustive: false });
+    assert.deepEqual(truncated.events, []);
+    assert.equal(truncated.summary.removalsChecked, false);
+
+    const store = await Actor.openKeyValueStore('sobha-snapshots-test-truncated');
+    const snapshot = await store.getValue(getSnapshotKey(options.filters));
+    assert.deepEqual(Object.keys(snapshot.units).sort(), ['A1813', 'B2204']);
+    assert.equal(snapshot.exhaustive, false);
+
+    // B-2204 is still known, so seeing it again is not a new release
+    const complete = await tracker.trackChanges([unit('A-1813', 1360434), unit('B-2204', 2450000)], { ...options, sessionId: 'run-3', exhaustive: true });
+    assert.deepEqual(complete.events, []);
+});
@@ -0,0 +1,133 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { CheckpointManager, getCheckpointFingerprint } from '../src/checkpoint.js';
+
+let workDir;
+let createTestScraper;
+const silentLogger = { info() {}, warn() {}, debug() {} };
+
+before(async () => {
+    workDir = await mkdtemp(path.join(tmpdir(), 'sobha-checkpoint-'));
+    process.env.CRAWLEE_STORAGE_DIR = path.join(workDir, 'storage');
+    ({ createTestScraper } = await import('./helpers/scraper.js'));
+});
+
+after(async () => {
+    await rm(workDir, { recursive: true, force: true });
+});
+
+const unitList = {
+    account: 'primary',
+    scope: { project: 'Sobha Hartland' },
+    scopeIndex: 0,
+    properties: [{ project: 'Sobha Hartland', unitNo: 'A-1813', detailUrl: 'https://example.com/unit/a-1813', account: 'primary' }],
+    pagination: { exhaustive: true, truncated: false, stopReason: 'end-of-data' },
+    exhaustive: true,
+    filtersApplied: [],
+    validation: { checked: 1, accepted: 1, rejected: 0, withWarnings: 0 }
+};
+
+test('fingerprints the scope of a run but not its secrets', () => {
+    const input = {
+        scrapeMode: 'bulk',
+        filters: {},
+        specificUnits: [],
+        maxResults: 1000,
+        fanOut: 'project',
+        enrichDetails: true,
+        accounts: [{ label: 'primary', email: 'a@example.com', password: 'one' }]
+    };
+
+    assert.equal(
+        getCheckpointFingerprint(input),
+        getCheckpointFingerprint({ ...input, accounts: [{ ...input.accounts[0], password: 'two' }] })
+    );
+    assert.notEqual(getCheckpointFingerprint(input), getCheckpointFingerprint({ ...input, filters: { project: 'Sobha One' } }));
+});
+
+test('saves, loads and clears a checkpoint; a different input ignores it', async () => {
+    const manager = new CheckpointManager(silentLogger, { fingerprint: 'run-a' });
+    manager.getState = () => ({ unitLists: [unitList] });
+
+    await manager.save('unit-list');
+    const checkpoint = await manager.load();
+    assert.equal(checkpoint.reason, 'unit-list');
+    assert.deepEqual(checkpoint.unitLists, [unitList]);
+
+    assert.equal(await new CheckpointManager(silentLogger, { fingerprint: 'run-b' }).load(), null);
+    assert.equal(await manager.load(), null);
+});
+
+test('does not resume a checkpoint written under other extraction settings', async () => {
+    const aliases = { unitNo: ['Unit Number'], startingPrice: ['List Price'] };
+    assert.equal(
+        getCheckpointFingerprint(createTestScraper({ columnAliases: aliases }).input),
+        getCheckpointFingerprint(createTestScraper({ columnAliases: { startingPrice: ['List Price'], unitNo: ['Unit Number'] } }).input)
+    );
+
+    const saveCheckpoint = async () => {
+        const original = createTestScraper();
+        original.checkpoints.getState = () => ({ unitLists: [unitList] });
+        await original.checkpoints.save('unit-list');
+    };
+
+    await saveCheckpoint();
+    assert.notEqual(await createTestScraper().checkpoints.load(), null);
+
+    for (const overrides of [{ extractionMode: 'dom' }, { apiReplay: true }, { columnAliases: aliases }]) {
+        await saveCheckpoint();
+        assert.equal(await createTestScraper(overrides).checkpoints.load(), null, JSON.stringify(overrides));
+    }
+});
+
+test('a restarted scraper resumes the session, finished lists and missing detail pages', async () => {
+    const original = createTestScraper({ enrichDetails: true });
+    original.scrapeStartedAt = 0;
+    original.accounts[0].storageState = { cookies: [{ name: 'sid', value: 'mock-session' }], origins: [] };
+    original.unitLists.push(unitList);
+
+    const state = original.getCheckpointState();
+    assert.equal(JSON.stringify(state).includes('mock-session'), false);
+
+    const resumed = createTestScraper({ enrichDetails: true });
+    resumed.restoreCheckpoint({ ...state, savedAt: '2026-10-19T08:00:00.000Z', reason: 'migrating' });
+
+    assert.equal(resumed.sessionId, original.sessionId);
+    assert.deepEqual(resumed.accounts[0].storageState, original.accounts[0].storageState);
+    assert.deepEqual(resumed.unitLists, [unitList]);
+
+    const [detailRequest] = resumed.getResumeRequests();
+    assert.equal(detailRequest.userData.label, 'UNIT_DETAIL');
+    assert.equal(detailRequest.userData.unitKey, 'A1813');
+});
+
+test('an account whose checkpointed session cannot be decrypted logs in again first', async () => {
+    const original = createTestScraper();
+    original.scrapeStartedAt = 0;
+    original.accounts[0].storageState = { cookies: [{ name: 'sid', value: 'mock-session' }], origins: [] };
+    const state = original.getCheckpointState();
+
+    const resumed = createTestScraper({ sessionEncryptionKey: 'a-different-secret' });
+    resumed.restoreCheckpoint({ ...state, savedAt: '2026-10-19T08:00:00.000Z', reason: 'migrating' });
+    const [account] = resumed.accounts;
+
+    assert.equal(account.storageState, null);
+    const [login] = resumed.getResumeLogins();
+    assert.equal(login.userData.label, 'LOGIN');
+    assert.equal(login.userData.resumed, true);
+    assert.notEqual(login.uniqueKey, `login-${account.label}`);
+
+    // Pending requests wait for the new login instead of running without a session
+    const waiting = resumed.getAccountSession(account);
+    account.storageState = { cookies: [{ name: 'sid', value: 'fresh-session' }], origins: [] };
+    account.settleLogin();
+    assert.equal((await waiting).cookies[0].value, 'fresh-session');
+
+    const failing = createTestScraper({ sessionEncryptionKey: 'a-different-secret' });
+    failing.restoreCheckpoint({ ...state, savedAt: '2026-10-19T08:00:00.000Z', reason: 'migrating' });
+    failing.accounts[0].settleLogin(new Error('Authentication failed'));
+    await assert.rejects(failing.getAccountSession(failing.accounts[0]), /could not log in again after resuming: Authentication failed/);
+});
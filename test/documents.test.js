@@ -0,0 +1,116 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Actor } from 'apify';
+import { createHash } from 'crypto';
+import { mkdtemp, rm } from 'fs/promises';
+import { createServer } from 'http';
+import { tmpdir } from 'os';
+import path from 'path';
+import { DocumentArchiver, buildDocumentKey, classifyDocument, isDocumentLink } from '../src/documents.js';
+
+let workDir;
+let server;
+let baseUrl;
+const hits = [];
+const silentLogger = { info() {}, warn() {}, debug() {} };
+
+const BROCHURE = Buffer.from('%PDF-1.4 Sobha Hartland brochure');
+const FLOOR_PLAN = Buffer.from('%PDF-1.4 A-1813 floor plan');
+
+before(async () => {
+    workDir = await mkdtemp(path.join(tmpdir(), 'sobha-documents-'));
+    process.env.CRAWLEE_STORAGE_DIR = path.join(workDir, 'storage');
+
+    // The brochure supports conditional requests, the floor plan does not
+    server = createServer((request, response) => {
+        hits.push({ url: request.url, etag: request.headers['if-none-match'] || null });
+        if (request.url === '/files/brochure.pdf') {
+            if (request.headers['if-none-match'] === '"brochure-v1"') {
+                response.writeHead(304).end();
+                return;
+            }
+            response.writeHead(200, { 'Content-Type': 'application/pdf', ETag: '"brochure-v1"' }).end(BROCHURE);
+        } else if (request.url === '/files/a-1813-plan.pdf') {
+            response.writeHead(200, { 'Content-Type': 'application/pdf; charset=binary' }).end(FLOOR_PLAN);
+        } else {
+            response.writeHead(404).end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await rm(workDir, { recursive: true, force: true });
+});
+
+test('recognises and classifies document links', () => {
+    assert.equal(isDocumentLink({ label: 'View', url: 'https://example.com/files/Hartland.pdf?v=2' }), true);
+    assert.equal(isDocumentLink({ label: 'Brochure', url: 'https://example.com/s/brochure-page' }), true);
+    assert.equal(isDocumentLink({ label: 'Open', url: 'https://example.com/servlet/servlet.shepherd/version/download/068' }), true);
+    assert.equal(isDocumentLink({ label: 'Sobha One', url: 'https://example.com/s/sobha-one' }), false);
+    assert.equal(isDocumentLink({ label: 'Download', url: 'javascript:void(0)' }), false);
+    assert.equal(isDocumentLink({ label: 'Floor plan' }), false);
+
+    assert.equal(classifyDocument({ label: 'Floor-Plan Type B', url: 'https://example.com/a.pdf' }), 'floor-plan');
+    assert.equal(classifyDocument({ label: 'Download', url: 'https://example.com/Sobha_PriceList.xlsx' }), 'price-list');
+    assert.equal(classifyDocument({ label: 'Payment Plan 60/40', url: 'https://example.com/b.pdf' }), 'payment-plan');
+    assert.equal(classifyDocument({ label: 'Brochure', url: 'https://example.com/c.pdf' }), 'brochure');
+    assert.equal(classifyDocument({ label: 'Fact sheet', url: 'https://example.com/d.pdf' }), 'document');
+});
+
+test('builds store-safe document keys from project, unit, type and hash', () => {
+    const contentHash = 'ab'.repeat(32);
+
+    assert.equal(
+        buildDocumentKey({ project: 'Sobha Hartland / Creek Vista', unitNo: 'A-1813', docType: 'floor-plan', contentHash }),
+        'DOC-Sobha-Hartland-Creek-Vista-A-1813-floor-plan-abababababababab'
+    );
+    assert.equal(
+        buildDocumentKey({ project: null, unitNo: null, docType: 'brochure', contentHash }),
+        'DOC-unknown-project-project-brochure-abababababababab'
+    );
+});
+
+test('archives each document once and skips unchanged ones on the next run', async () => {
+    const archiver = new DocumentArchiver(silentLogger, 'sobha-documents-test');
+    const projectLinks = [{ label: 'Brochure', url: `${baseUrl}/files/brochure.pdf`, project: 'Sobha Hartland' }];
+    const unitLinks = [{ label: 'Floor plan', url: `${baseUrl}/files/a-1813-plan.pdf` }];
+    const properties = () => [
+        { project: 'Sobha Hartland', subProject: 'Creek Vista', unitNo: 'A-1813', floorPlanLinks: unitLinks, documentLinks: unitLinks },
+        { project: 'Sobha SeaHaven', unitNo: 'SSH-A4105' }
+    ];
+
+    const first = properties();
+    const stats = await archiver.archiveForProperties(first, projectLinks, null);
+    assert.deepEqual(stats, { storeName: 'sobha-documents-test', totalDocuments: 2, downloaded: 2, unchanged: 0, failed: 0 });
+    assert.equal(hits.length, 2);
+
+    const planHash = createHash('sha256').update(FLOOR_PLAN).digest('hex');
+    const [brochure, plan] = first[0].documents;
+    assert.deepEqual([brochure.docType, brochure.status, plan.docType, plan.status], ['brochure', 'downloaded', 'floor-plan', 'downloaded']);
+    assert.equal(plan.key, `DOC-Sobha-Hartland-A-1813-floor-plan-${planHash.substring(0, 16)}`);
+    assert.equal(plan.contentType, 'application/pdf');
+    assert.deepEqual(first[1].documents, []);
+
+    const store = await Actor.openKeyValueStore('sobha-documents-test');
+    assert.deepEqual(await store.getValue(plan.key), FLOOR_PLAN);
+
+    // The brochure answers 304 to its ETag, the floor plan has the same hash
+    hits.length = 0;
+    const second = properties();
+    const again = await archiver.archiveForProperties(second, projectLinks, null);
+    assert.deepEqual([again.downloaded, again.unchanged], [0, 2]);
+    assert.deepEqual(hits, [
+        { url: '/files/brochure.pdf', etag: '"brochure-v1"' },
+        { url: '/files/a-1813-plan.pdf', etag: null }
+    ]);
+    assert.deepEqual(second[0].documents.map(document => document.key), [brochure.key, plan.key]);
+
+    const failed = await archiver.archive([{ label: 'Price list', url: `${baseUrl}/files/missing.pdf` }], null);
+    assert.deepEqual(
+        [...failed.values()].map(({ docType, status, error }) => [docType, status, error]),
+        [['price-list', 'failed', 'Download failed with HTTP 404']]
+    );
+});
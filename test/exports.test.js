@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { Actor } from 'apify';
+import ExcelJS from 'exceljs';
+import { buildCsv, buildParquet, buildXlsx, validateOutputFormats, writeExports } from '../src/exports.js';
+
+let workDir;
+const silentLogger = { info() {}, warn() {}, debug() {} };
+
+before(async () => {
+    workDir = await mkdtemp(path.join(tmpdir(), 'sobha-exports-'));
+    process.env.CRAWLEE_STORAGE_DIR = path.join(workDir, 'storage');
+});
+
+after(async () => {
+    await rm(workDir, { recursive: true, force: true });
+});
+
+const fields = ['project', 'unitNo', 'price', 'found', 'validationIssues'];
+const rows = [
+    { project: 'Sobha Hartland', unitNo: 'A-1813', price: 1360434, found: true, validationIssues: [] },
+    { project: 'Sobha Hartland', unitNo: 'B-2204, "Tower B"', price: 2450000, found: true, validationIssues: [] },
+    { project: 'Sobha SeaHaven: Tower A', unitNo: 'SSH-A4105', price: null, found: false, validationIssues: [{ field: 'price' }] }
+];
+const context = { sessionId: 'session-1', scrapedAt: '2026-10-19T08:00:00.000Z', scrapeMode: 'bulk' };
+
+test('validates the output formats', () => {
+    assert.deepEqual(validateOutputFormats(['csv', 'parquet']), []);
+    assert.equal(validateOutputFormats(['pdf']).length, 1);
+    assert.equal(validateOutputFormats('csv').length, 1);
+});
+
+test('writes CSV with quoted cells and JSON for nested fields', () => {
+    const lines = buildCsv(rows, fields).trimEnd().split('\r\n');
+
+    assert.equal(lines[0], 'project,unitNo,price,found,validationIssues');
+    assert.equal(lines[2], 'Sobha Hartland,"B-2204, ""Tower B""",2450000,true,[]');
+    assert.equal(lines[3], 'Sobha SeaHaven: Tower A,SSH-A4105,,false,"[{""field"":""price""}]"');
+});
+
+test('writes one XLSX sheet per project after a summary sheet', async () => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await buildXlsx(rows, fields, context));
+
+    assert.deepEqual(workbook.worksheets.map(sheet => sheet.name), ['Summary', 'Sobha Hartland', 'Sobha SeaHaven Tower A']);
+    const summary = workbook.getWorksheet('Summary');
+    assert.deepEqual(summary.getRow(7).values.slice(1), ['Sobha Hartland', 'Sobha Hartland', 2, 1360434, 2450000]);
+
+    const hartland = workbook.getWorksheet('Sobha Hartland');
+    assert.equal(hartland.rowCount, 3);
+    assert.equal(hartland.getCell('C2').value, 1360434);
+});
+
+test('writes a Parquet file', () => {
+    const buffer = buildParquet(rows, fields);
+
+    assert.equal(buffer.subarray(0, 4).toString(), 'PAR1');
+    assert.equal(buffer.subarray(-4).toString(), 'PAR1');
+});
+
+test('stores the exports under stable keys', async () => {
+    const written = await writeExports(rows, { name: 'UNITS', fields, formats: ['csv', 'xlsx'], context, logger: silentLogger });
+
+    assert.deepEqual(written, { csv: 'UNITS.csv', xlsx: 'UNITS.xlsx' });
+    assert.equal(String(await Actor.getValue('UNITS.csv')), buildCsv(rows, fields));
+});
@@ -0,0 +1,161 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractUnitTableRows, mapColumns, buildColumnAliases, validateColumnAliases, SchemaDriftError } from '../src/extraction.js';
+import { validateUnitRecords } from '../src/normalisation.js';
+import { startPortalServer } from './helpers/portalServer.js';
+import { launchBrowser, SKIP_REASON } from './helpers/browser.js';
+import { createTestScraper } from './helpers/scraper.js';
+
+let server;
+let browser;
+
+before(async () => {
+    server = await startPortalServer();
+    browser = await launchBrowser();
+});
+
+after(async () => {
+    if (browser) await browser.close();
+    if (server) await server.close();
+});
+
+async function openFixture(name) {
+    const page = await browser.newPage();
+    await page.goto(`${server.baseUrl}/fixtures/${name}`);
+    return page;
+}
+
+test('extracts unit rows from a light DOM Lightning table', async (t) => {
+    if (!browser) return t.skip(SKIP_REASON);
+    const page = await openFixture('unit-table-light.html');
+
+    const { accepted: rows } = validateUnitRecords(await extractUnitTableRows(page));
+
+    assert.equal(rows.length, 2);
+    assert.deepEqual(
+        { project: rows[0].project, subProject: rows[0].subProject, unitType: rows[0].unitType, floor: rows[0].floor, unitNo: rows[0].unitNo },
+        { project: 'Sobha Hartland', subProject: 'Creek Vista', unitType: 'Type A', floor: '18', unitNo: 'A-1813' }
+    );
+    assert.equal(rows[0].floorNumber, 18);
+    assert.equal(rows[0].areaSqft, 788.46);
+    assert.equal(rows[0].price, 1360434);
+    assert.match(rows[0].detailUrl, /\/partnerportal\/s\/unit\/a0X000000000001$/);
+    assert.equal(rows[1].unitNo, 'B-2204');
+    assert.equal(rows[1].price, 2450000);
+    assert.equal(rows[1].detailUrl, null);
+    await page.close();
+});
+
+test('prefers the slds-truncate title over the truncated cell text', async (t) => {
+    if (!browser) return t.skip(SKIP_REASON);
+    const page = await openFixture('unit-table-light.html');
+
+    const [first] = await extractUnitTableRows(page);
+
+    assert.equal(first.project, 'Sobha Hartland');
+    assert.equal(first.rawData.length, 7);
+    await page.close();
+});
+
+test('skips unmapped tables and routes rows without a unit number to the rejected records', async (t) => {
+    if (!browser) return t.skip(SKIP_REASON);
+    const page = await openFixture('unit-table-light.html');
+
+    const rows = await extractUnitTableRows(page);
+    const { accepted, rejected } = validateUnitRecords(rows);
+
+    assert.equal(rows.length, 3);
+    assert.ok(!rows.some(row => row.project === 'Available Units'));
+    assert.ok(accepted.every(row => row.unitNo && row.project));
+    assert.equal(rejected.length, 1);
+    assert.deepEqual(rejected[0].validationIssues.map(entry => entry.code), ['missing_unit_no', 'missing_price', 'missing_area']);
+    await page.close();
+});
+
+test('extracts unit rows from a lightning-datatable shadow root using its column definitions', async (t) => {
+    if (!browser) return t.skip(SKIP_REASON);
+    const page = await openFixture('unit-table-lwc-shadow.html');
+
+    const rows = await extractUnitTableRows(page);
+
+    assert.deepEqual(rows.map(row => row.unitNo), ['SSH-A4105', 'SSH-B1203']);
+    assert.equal(rows[1].subProject, 'Tower B');
+    assert.equal(rows[1].totalUnitArea, '1,310.55');
+    await page.close();
+});
+
+test('maps reordered columns by header label and keeps unknown columns as extraFields', async (t) => {
+    if (!browser) return t.skip(SKIP_REASON);
+    const page = await openFixture('unit-table-reordered.html');
+
+    const { accepted: [unit] } = validateUnitRecords(await extractUnitTableRows(page));
+
+    assert.equal(unit.unitNo, 'A-1813');
+    assert.equal(unit.project, 'Sobha Hartland');
+    assert.equal(unit.floorNumber, 18);
+    assert.equal(unit.areaSqft, 788.46);
+    assert.equal(unit.price, 1360434);
+    assert.deepEqual(unit.extraFields, { View: 'Creek View' });
+    await page.close();
+});
+
+test('raises a schema drift error when a required column is missing', async (t) => {
+    if (!browser) return t.skip(SKIP_REASON);
+    const page = await openFixture('unit-table-drift.html');
+
+    await assert.rejects(extractUnitTableRows(page), (error) => {
+        assert.ok(error instanceof SchemaDriftError);
+        assert.deepEqual(error.missingColumns, ['unitNo']);
+        assert.ok(error.headers.includes('Inventory Reference'));
+        return true;
+    });
+
+    // A configured alias resolves the drift
+    const rows = await extractUnitTableRows(page, {
+        aliases: buildColumnAliases({ unitNo: ['Inventory Reference'] })
+    });
+    assert.equal(rows[0].unitNo, 'A-1813');
+    await page.close();
+});
+
+test('collects every page of a paged unit table', async (t) => {
+    if (!browser) return t.skip(SKIP_REASON);
+    const scraper = createTestScraper();
+    const page = await openFixture('unit-table-paged.html');
+
+    const { properties, pagination } = await scraper.collectProperties(page, 100);
+
+    assert.deepEqual(properties.map(row => row.unitNo), ['A-1813', 'A-1913', 'B-2204', 'SSH-A4105']);
+    assert.equal(pagination.exhaustive, true);
+    assert.equal(pagination.truncated, false);
+    await page.close();
+});
+
+test('stops paging once maxResults units are collected', async (t) => {
+    if (!browser) return t.skip(SKIP_REASON);
+    const scraper = createTestScraper();
+    const page = await openFixture('unit-table-paged.html');
+
+    const { properties, pagination } = await scraper.collectProperties(page, 3);
+
+    assert.equal(properties.length, 3);
+    assert.equal(pagination.truncated, true);
+    assert.equal(pagination.exhaustive, false);
+    await page.close();
+});
+
+test('maps header labels regardless of case, punctuation and units', () => {
+    const { columns, unmapped, missing } = mapColumns(
+        ['UNIT NO.', 'Project:', 'Starting Price (AED)', 'Parking']
+    );
+
+    assert.deepEqual(columns, { unitNo: 0, project: 1, startingPrice: 2 });
+    assert.deepEqual(unmapped, [3]);
+    assert.deepEqual(missing, []);
+});
+
+test('rejects column aliases for unknown fields', () => {
+    assert.deepEqual(validateColumnAliases({ unitNo: ['Ref'] }), []);
+    assert.equal(validateColumnAliases({ parking: ['Parking'] }).length, 1);
+    assert.equal(validateColumnAliases({ unitNo: 'Ref' }).length, 1);
+});
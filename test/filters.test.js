@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { FilterManager } from '../src/filters.js';
+import { readUnitTables } from '../src/extraction.js';
+import { LightningWaits } from '../src/waits.js';
+
+const silentLogger = { info() {}, warn() {}, debug() {} };
+const metrics = { recordWait() {} };
+
+/**
+ * Page double: answers readUnitTables with the current `tables` and the
+ * in-page counts with no spinners and a fixed row count
+ */
+function createPage(state) {
+    const page = new EventEmitter();
+    page.evaluate = async fn => (fn === readUnitTables ? state.tables : 0);
+    return page;
+}
+
+const table = (...unitNos) => ({ headers: ['Unit No'], rows: unitNos.map(unitNo => ({ cells: [unitNo], detailUrl: null })) });
+
+test('detects a refreshed table from the rows readUnitTables reports', async () => {
+    const state = { tables: [table('A-1813', 'SSH-A4105')] };
+    const page = createPage(state);
+    const filters = new FilterManager(silentLogger, new LightningWaits(silentLogger, metrics));
+
+    const before = await filters.getTableSignature(page);
+    assert.equal(before, '2|A-1813||SSH-A4105');
+
+    state.tables = [table('SSH-A4105')];
+    assert.equal(await filters.waitForTableRefresh(page, before, Date.now()), true);
+});
+
+test('stops waiting once the portal answered a filter that kept the table', async () => {
+    const state = { tables: [table('A-1813', 'SSH-A4105')] };
+    const page = createPage(state);
+    const waits = new LightningWaits(silentLogger, metrics);
+    const filters = new FilterManager(silentLogger, waits);
+    waits.attach(page);
+
+    const before = await filters.getTableSignature(page);
+    const since = Date.now();
+    const request = { url: () => 'https://example.com/s/sfsites/aura?r=3' };
+    page.emit('request', request);
+    setTimeout(() => page.emit('requestfinished', request), 200);
+
+    const start = Date.now();
+    assert.equal(await filters.waitForTableRefresh(page, before, since), false);
+    assert.ok(Date.now() - start < 5000, `waited ${Date.now() - start}ms`);
+});
+
+test('times the refresh from the option pick and reports it under the caller\'s step', async () => {
+    const steps = [];
+    const page = createPage({ tables: [table('A-1813')] });
+    const filters = new FilterManager(silentLogger, new LightningWaits(silentLogger, { recordWait: step => steps.push(step) }));
+
+    let pickedAt = null;
+    const select = {
+        locator: () => ({ allTextContents: async () => ['Select Project', ' Sobha One '] }),
+        selectOption: async () => { pickedAt = Date.now(); }
+    };
+
+    const listedAt = Date.now();
+    const { selected, since } = await filters.selectNativeOption(select, 'project', 'sobha one');
+    assert.equal(selected, 'Sobha One');
+    assert.ok(since >= listedAt && since <= pickedAt);
+
+    const before = await filters.getTableSignature(page);
+    assert.equal(await filters.waitForTableRefresh(page, before, Date.now(), 'pageChange'), false);
+    assert.deepEqual(steps, ['pageChange']);
+});
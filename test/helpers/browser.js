@@ -0,0 +1,32 @@
+/**
+ * Test Browser Launcher
+ * =====================
+ * Launches headless Chromium for the fixture tests. Returns null when no
+ * browser can be started so browser-backed tests are skipped instead of
+ * failing on machines without Playwright browsers installed. In CI (`CI`
+ * set) a missing browser is an error, so the fixture tests cannot be
+ * skipped silently.
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+import { chromium } from 'playwright';
+
+export const SKIP_REASON = 'Chromium is not available (run `npx playwright install chromium` or set PLAYWRIGHT_CHROMIUM_EXECUTABLE_PATH)';
+
+export async function launchBrowser() {
+    try {
+        return await chromium.launch({
+            headless: true,
+            executablePath: process.env.PLAYWRIGHT_CHROMIUM_EXECUTABLE_PATH || undefined
+        });
+    } catch (error) {
+        if (process.env.CI) {
+            throw new Error(`Chromium is required in CI: ${error.message.split('\n')[0]}`);
+        }
+        console.warn(`Skipping browser tests: ${error.message.split('\n')[0]}`);
+        return null;
+    }
+}
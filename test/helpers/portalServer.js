@@ -0,0 +1,147 @@
+/**
+ * Mock Sobha Partner Portal Server
+ * ================================
+ * Serves the saved HTML snapshots in test/fixtures on a local port, with a
+ * cookie-based mock login so the authentication flow can run offline, and
+ * answers the pages' Aura calls (units from test/fixtures/aura-units.json).
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+import http from 'http';
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const FIXTURES_DIR = fileURLToPath(new URL('../fixtures/', import.meta.url));
+const SESSION_COOKIE = 'sid=mock-session';
+
+export const TEST_CREDENTIALS = {
+    email: 'broker@example.com',
+    secret: 'fixture-secret-123'
+};
+
+/**
+ * Aura token the fixture pages send with their Aura calls
+ */
+export const AURA_TOKEN = 'fixture-aura-token';
+const AURA_INVALID_SESSION = '*/{"event":{"descriptor":"markup://aura:invalidSession"},"exceptionEvent":true}/*ERROR*/';
+
+async function sendFixture(response, name, status = 200) {
+    try {
+        const html = await readFile(path.join(FIXTURES_DIR, path.basename(name)));
+        response.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+        response.end(html);
+    } catch (error) {
+        response.writeHead(404, { 'Content-Type': 'text/plain' });
+        response.end('Fixture not found');
+    }
+}
+
+/**
+ * Answer an Aura call: the unit action gets the units of its project (all
+ * units without one) like the portal's Apex controller, any other action
+ * an empty result
+ */
+async function sendAuraResponse(response, form) {
+    const { actions } = JSON.parse(form.get('message') || '{"actions":[]}');
+    const action = actions[0] || {};
+    if (!action.params || action.params.method !== 'getUnits') {
+        response.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+        return response.end(JSON.stringify({ actions: actions.map(({ id }) => ({ id, state: 'SUCCESS', returnValue: null })) }));
+    }
+
+    const { project } = action.params.params || {};
+    const payload = JSON.parse(await readFile(path.join(FIXTURES_DIR, 'aura-units.json'), 'utf8'));
+    for (const { returnValue } of payload.actions) {
+        returnValue.units = returnValue.units.filter(unit => !project || unit.sobha__Project__r.Name === project);
+        returnValue.totalCount = returnValue.units.length;
+    }
+    response.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+    response.end(`while(1);\n${JSON.stringify(payload)}`);
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => resolve(body));
+        request.on('error', reject);
+    });
+}
+
+async function handleRequest(request, response) {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const authenticated = (request.headers.cookie || '').includes(SESSION_COOKIE);
+
+    if (pathname.startsWith('/fixtures/')) {
+        return sendFixture(response, pathname.substring('/fixtures/'.length));
+    }
+
+    if (pathname === '/partnerportal/s/') {
+        response.writeHead(302, { Location: '/partnerportal/s/login/' });
+        return response.end();
+    }
+
+    if (pathname === '/partnerportal/s/login/') {
+        return sendFixture(response, 'login.html');
+    }
+
+    if (pathname === '/partnerportal/s/login' && request.method === 'POST') {
+        const { username, secret } = JSON.parse((await readBody(request)) || '{}');
+        if (username === TEST_CREDENTIALS.email && secret === TEST_CREDENTIALS.secret) {
+            response.writeHead(200, { 'Set-Cookie': `${SESSION_COOKIE}; Path=/; HttpOnly`, 'Content-Type': 'application/json' });
+            return response.end('{"success":true}');
+        }
+        response.writeHead(401, { 'Content-Type': 'application/json' });
+        return response.end('{"success":false}');
+    }
+
+    if (pathname === '/partnerportal/s/sfsites/aura' && request.method === 'POST') {
+        const form = new URLSearchParams(await readBody(request));
+        if (!authenticated || form.get('aura.token') !== AURA_TOKEN) {
+            response.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+            return response.end(AURA_INVALID_SESSION);
+        }
+        return sendAuraResponse(response, form);
+    }
+
+    const protectedPages = {
+        '/partnerportal/s/home': 'home.html',
+        '/partnerportal/s/sobha-project': 'sobha-project.html'
+    };
+
+    if (protectedPages[pathname]) {
+        if (!authenticated) {
+            response.writeHead(302, { Location: '/partnerportal/s/login/' });
+            return response.end();
+        }
+        return sendFixture(response, protectedPages[pathname]);
+    }
+
+    response.writeHead(404, { 'Content-Type': 'text/plain' });
+    response.end('Not found');
+}
+
+/**
+ * Start the mock portal on a random local port. Resolves to
+ * `{ baseUrl, close }`.
+ */
+export async function startPortalServer() {
+    const server = http.createServer((request, response) => {
+        handleRequest(request, response).catch(() => {
+            response.writeHead(500);
+            response.end();
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        baseUrl: `http://127.0.0.1:${port}`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
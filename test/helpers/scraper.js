@@ -0,0 +1,30 @@
+/**
+ * Test Scraper Factory
+ * ====================
+ * Builds an EnterpriseSobhaPortalScraper with validated test input and a
+ * silenced logger, for driving individual workflow steps against fixtures.
+ *
+ * Author: BARACA Engineering Team
+ * Version: 1.0.0
+ * License: Proprietary - BARACA Life Capital Real Estate
+ */
+
+import { InputValidator, EnterpriseSobhaPortalScraper } from '../../src/main.js';
+import { TEST_CREDENTIALS } from './portalServer.js';
+
+export function createTestScraper(overrides = {}) {
+    const input = InputValidator.validate({
+        email: TEST_CREDENTIALS.email,
+        password: TEST_CREDENTIALS.secret,
+        enableStealth: false,
+        reuseSession: false,
+        trackChanges: false,
+        trackPriceHistory: false,
+        retryAttempts: 1,
+        ...overrides
+    });
+
+    const scraper = new EnterpriseSobhaPortalScraper(input);
+    scraper.logger.log = () => {};
+    return scraper;
+}
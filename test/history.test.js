@@ -0,0 +1,79 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { PriceHistoryStore, appendPricePoint, getProjectHistoryKey } from '../src/history.js';
+
+let workDir;
+const silentLogger = { info() {}, warn() {}, debug() {} };
+
+before(async () => {
+    workDir = await mkdtemp(path.join(tmpdir(), 'sobha-history-'));
+    process.env.CRAWLEE_STORAGE_DIR = path.join(workDir, 'storage');
+});
+
+after(async () => {
+    await rm(workDir, { recursive: true, force: true });
+});
+
+const point = (date, price, area = 1204.1) => ({ date, price, area, pricePerSqft: Math.round(price / area) });
+const unit = (unitNo, price, project = 'Sobha Hartland', subProject = 'Creek Vista') => ({
+    unitNo, project, subProject, unitType: '2 Bed Type B', price, areaSqft: 1204.1
+});
+
+test('adds a point only when the price changes and keeps one per day', () => {
+    const first = appendPricePoint([], point('2026-10-17', 1360434));
+    assert.equal(first.length, 1);
+
+    const unchanged = appendPricePoint(first, point('2026-10-18', 1360434));
+    assert.equal(unchanged, first);
+
+    const changed = appendPricePoint(first, point('2026-10-18', 1401247));
+    assert.deepEqual(changed.map(p => [p.date, p.price]), [['2026-10-17', 1360434], ['2026-10-18', 1401247]]);
+
+    const corrected = appendPricePoint(changed, point('2026-10-18', 1395000));
+    assert.deepEqual(corrected.map(p => [p.date, p.price]), [['2026-10-17', 1360434], ['2026-10-18', 1395000]]);
+
+    // A corrected area is a new observation even at the same price
+    assert.equal(appendPricePoint(first, point('2026-10-18', 1360434, 1210)).length, 2);
+});
+
+test('keys project records by a store-safe slug', () => {
+    assert.equal(getProjectHistoryKey('Sobha Hartland / Creek Vista'), 'HISTORY-Sobha-Hartland-Creek-Vista');
+    assert.equal(getProjectHistoryKey(null), 'HISTORY-unknown-project');
+});
+
+test('records price changes across runs and exports them by unit and project', async () => {
+    const history = new PriceHistoryStore(silentLogger, 'sobha-price-history-test');
+
+    const first = await history.recordObservations([
+        unit('A-1813', 1360434),
+        unit('B-2204', 2450000),
+        unit('SSH-A4105', 5178448, 'Sobha SeaHaven', null),
+        unit('C-0901', null)
+    ], '2026-10-17T08:00:00.000Z');
+    assert.deepEqual(first, { storeName: 'sobha-price-history-test', projects: 2, pointsRecorded: 3 });
+
+    const second = await history.recordObservations([
+        unit('A-1813', 1401247),
+        unit('B-2204', 2450000),
+        unit('SSH-A4105', 5178448, 'Sobha SeaHaven', null)
+    ], '2026-10-18T08:00:00.000Z');
+    assert.equal(second.pointsRecorded, 1);
+
+    const byUnit = await history.exportHistory({ units: ['a 1813'] });
+    assert.deepEqual(byUnit.map(row => [row.unitNo, row.date, row.price, row.changeSinceFirstPercent]), [
+        ['A-1813', '2026-10-17', 1360434, 0],
+        ['A-1813', '2026-10-18', 1401247, 3]
+    ]);
+
+    const unchanged = await history.exportHistory({ units: ['B-2204'] });
+    assert.deepEqual(unchanged.map(row => row.date), ['2026-10-17']);
+
+    // Projects match on the project or sub-project name, ignoring case
+    assert.deepEqual((await history.exportHistory({ project: 'sobha seahaven' })).map(row => row.unitNo), ['SSH-A4105']);
+    assert.deepEqual((await history.exportHistory({ project: 'Creek Vista' })).map(row => row.unitNo), ['A-1813', 'A-1813', 'B-2204']);
+    assert.deepEqual(await history.exportHistory({ project: 'Sobha Hartland', units: ['SSH-A4105'] }), []);
+    assert.equal((await history.exportHistory()).length, 4);
+});
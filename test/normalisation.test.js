@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseFloor,
+    parseArea,
+    parsePrice,
+    parseBedrooms,
+    normaliseUnitRecord,
+    validateUnitRecords
+} from '../src/normalisation.js';
+
+const unit = {
+    project: 'Sobha Hartland',
+    subProject: 'Creek Vista',
+    unitType: '2 Bed Type B',
+    floor: '18',
+    unitNo: 'A-1813',
+    totalUnitArea: '788.46',
+    startingPrice: '1,360,434'
+};
+
+test('parses numeric and named floors', () => {
+    assert.equal(parseFloor('18'), 18);
+    assert.equal(parseFloor('G'), 0);
+    assert.equal(parseFloor('Ground Floor'), 0);
+    assert.equal(parseFloor('Podium'), 1);
+    assert.equal(parseFloor('P2'), 2);
+    assert.equal(parseFloor('B1'), -1);
+    assert.equal(parseFloor('22nd'), 22);
+    assert.equal(parseFloor('Roof'), null);
+    assert.equal(parseFloor(''), null);
+});
+
+test('parses area in sqft and converts sqm', () => {
+    assert.deepEqual(parseArea('788.46'), { areaSqft: 788.46, areaSqm: 73.25 });
+    assert.deepEqual(parseArea('1,204.10 sq.ft'), { areaSqft: 1204.1, areaSqm: 111.86 });
+    assert.deepEqual(parseArea('73.25 sqm'), { areaSqft: 788.46, areaSqm: 73.25 });
+    assert.deepEqual(parseArea('n/a'), { areaSqft: null, areaSqm: null });
+});
+
+test('parses prices as integer AED with a currency code', () => {
+    assert.deepEqual(parsePrice('1,360,434'), { price: 1360434, currency: 'AED' });
+    assert.deepEqual(parsePrice('AED 1.36M'), { price: 1360000, currency: 'AED' });
+    assert.deepEqual(parsePrice('2.1 million'), { price: 2100000, currency: 'AED' });
+    assert.deepEqual(parsePrice('USD 950K'), { price: 950000, currency: 'USD' });
+    assert.deepEqual(parsePrice('On request'), { price: null, currency: null });
+});
+
+test('parses the bedroom count from the unit type', () => {
+    assert.equal(parseBedrooms('2 Bed Type B'), 2);
+    assert.equal(parseBedrooms('1BR'), 1);
+    assert.equal(parseBedrooms('Studio'), 0);
+    assert.equal(parseBedrooms('Type A'), null);
+});
+
+test('adds typed fields and price per sqft to a record', () => {
+    const record = normaliseUnitRecord(unit);
+
+    assert.equal(record.floorNumber, 18);
+    assert.equal(record.areaSqft, 788.46);
+    assert.equal(record.price, 1360434);
+    assert.equal(record.currency, 'AED');
+    assert.equal(record.pricePerSqft, 1725.43);
+    assert.equal(record.bedrooms, 2);
+    assert.deepEqual(record.validationIssues, []);
+    assert.equal(record.startingPrice, '1,360,434');
+});
+
+test('rejects records breaking hard rules and keeps warnings on accepted records', () => {
+    const { accepted, rejected, summary } = validateUnitRecords([
+        unit,
+        { ...unit, unitNo: '' },
+        { ...unit, unitNo: 'A-1814', startingPrice: '788.46' },
+        { ...unit, unitNo: 'A-1815', floor: 'Roof' },
+        { requestedUnit: 'X-1', found: false, status: 'not_found' }
+    ]);
+
+    assert.deepEqual(rejected.map(record => record.validationIssues[0].code), ['missing_unit_no', 'price_out_of_range']);
+    assert.deepEqual(accepted.map(record => record.unitNo || record.requestedUnit), ['A-1813', 'A-1815', 'X-1']);
+    assert.equal(accepted[1].validationIssues[0].code, 'unparsed_floor');
+    assert.deepEqual(summary, { checked: 5, accepted: 3, rejected: 2, withWarnings: 1 });
+});
@@ -0,0 +1,123 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    NotificationDispatcher,
+    buildChannelRequest,
+    filterEventsForChannel,
+    signPayload
+} from '../src/notifications.js';
+
+const originalFetch = globalThis.fetch;
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const timestamp = '2026-10-19T08:00:00.000Z';
+
+afterEach(() => {
+    globalThis.fetch = originalFetch;
+});
+
+const events = [
+    { type: 'new', unitNo: 'A-1813', project: 'Sobha Hartland', subProject: 'Creek Vista', unitType: '2 Bed Type B', price: 1360434 },
+    { type: 'removed', unitNo: 'B-2204', project: 'Sobha Hartland', price: 2450000 },
+    { type: 'price_change', unitNo: 'SSH-A4105', project: 'Sobha SeaHaven', oldPrice: 5178448, newPrice: 4972000, priceDelta: -206448, priceDeltaPercent: -3.99 },
+    { type: 'price_change', unitNo: 'SSH-B1203', project: 'Sobha SeaHaven', oldPrice: 6902000, newPrice: 6971020, priceDelta: 69020, priceDeltaPercent: 1 }
+];
+
+/**
+ * fetch double answering with the given statuses in turn ('error' rejects)
+ */
+function stubFetch(statuses) {
+    const calls = [];
+    globalThis.fetch = async (url, options) => {
+        calls.push({ url, ...options });
+        const status = statuses[Math.min(calls.length, statuses.length) - 1];
+        if (status === 'error') throw new Error('fetch failed');
+        return { ok: status >= 200 && status < 300, status };
+    };
+    return calls;
+}
+
+test('signs webhook bodies with HMAC-SHA256 over timestamp and body', () => {
+    // Reference value from `openssl dgst -sha256 -hmac webhook-secret`
+    assert.equal(
+        signPayload('webhook-secret', timestamp, '{"events":[]}'),
+        'e286a28fff49fdef70c3b94e440092e20a26a933ab32dc95def3b263ee89e113'
+    );
+});
+
+test('filters events by type, project and price change', () => {
+    const unitNos = channel => filterEventsForChannel(channel, events).map(event => event.unitNo);
+
+    assert.deepEqual(unitNos({}), ['A-1813', 'B-2204', 'SSH-A4105', 'SSH-B1203']);
+    assert.deepEqual(unitNos({ events: ['new', 'removed'] }), ['A-1813', 'B-2204']);
+    assert.deepEqual(unitNos({ projects: [' creek vista '] }), ['A-1813']);
+    assert.deepEqual(unitNos({ projects: ['Sobha SeaHaven'], minPriceChangePercent: 3 }), ['SSH-A4105']);
+    assert.deepEqual(unitNos({ priceDirection: 'increase', events: ['price_change'] }), ['SSH-B1203']);
+
+    const failure = { type: 'run_failed', message: 'Authentication failed' };
+    assert.deepEqual(filterEventsForChannel({ projects: ['Sobha One'] }, [failure]), [failure]);
+});
+
+test('builds signed webhook, Slack and Teams requests', () => {
+    const webhook = buildChannelRequest({ type: 'webhook', secret: 'webhook-secret' }, events.slice(0, 1), { sessionId: 's-1', timestamp });
+    assert.deepEqual(JSON.parse(webhook.body), { source: 'sobha-partner-portal-scraper', sessionId: 's-1', sentAt: timestamp, events: events.slice(0, 1) });
+    assert.equal(webhook.headers['X-Signature-Timestamp'], timestamp);
+    assert.equal(webhook.headers['X-Signature-256'], `sha256=${signPayload('webhook-secret', timestamp, webhook.body)}`);
+    assert.deepEqual(buildChannelRequest({ type: 'webhook' }, events, { sessionId: 's-1', timestamp }).headers, {});
+
+    const slack = JSON.parse(buildChannelRequest({ type: 'slack' }, events.slice(2, 3), { sessionId: 's-1' }).body);
+    assert.equal(slack.text, 'Sobha Partner Portal - 1 event(s) (session s-1)\n• PRICE CHANGE: SSH-A4105 (Sobha SeaHaven) AED 5,178,448 -> AED 4,972,000 (-3.99%)');
+    assert.deepEqual(slack.blocks, [{ type: 'section', text: { type: 'mrkdwn', text: slack.text } }]);
+
+    const teams = JSON.parse(buildChannelRequest({ type: 'teams' }, events.slice(0, 2), { sessionId: 's-1' }).body);
+    assert.equal(teams['@type'], 'MessageCard');
+    assert.equal(teams.summary, 'Sobha Partner Portal - 2 event(s)');
+    assert.equal(teams.text.split('<br>').length, 3);
+    assert.match(teams.text, /NEW RELEASE: A-1813 \(Sobha Hartland \/ Creek Vista \/ 2 Bed Type B\) AED 1,360,434/);
+});
+
+test('retries network errors, 429 and 5xx with exponential backoff', async () => {
+    const delays = [];
+    const logger = { ...silentLogger, warn: message => delays.push(Number(message.match(/retrying in (\d+)ms/)[1])) };
+    const dispatcher = new NotificationDispatcher(logger, [], { settings: { baseDelay: 10, maxDelay: 25, maxJitter: 0 } });
+
+    const calls = stubFetch(['error', 429, 503, 200]);
+    assert.equal(await dispatcher.sendWithRetry('https://example.com/hook', { body: '{}', headers: { 'X-Test': '1' } }), 4);
+    assert.equal(calls.length, 4);
+    assert.deepEqual(delays, [10, 20, 25]);
+    assert.equal(calls[0].method, 'POST');
+    assert.equal(calls[0].headers['X-Test'], '1');
+
+    // Client errors are not retried
+    const rejected = stubFetch([400]);
+    await assert.rejects(dispatcher.sendWithRetry('https://example.com/hook', { body: '{}', headers: {} }), /HTTP 400 after 1 attempt/);
+    assert.equal(rejected.length, 1);
+});
+
+test('records failed deliveries without throwing and sends nothing in dry-run mode', async () => {
+    const channels = [
+        { type: 'webhook', url: 'https://example.com/hook', events: ['new'] },
+        { type: 'slack', url: 'https://hooks.slack.com/services/T/B/X', projects: ['Sobha One'] }
+    ];
+
+    const calls = stubFetch([500]);
+    const dispatcher = new NotificationDispatcher(silentLogger, channels, { settings: { maxAttempts: 2, baseDelay: 1, maxJitter: 0 } });
+    const stats = await dispatcher.notifyInventoryChanges(events, { sessionId: 's-1' });
+    assert.equal(calls.length, 2);
+    assert.deepEqual([stats.sent, stats.failed, stats.skipped], [0, 1, 1]);
+    assert.match(stats.deliveries[0].error, /HTTP 500 after 2 attempt/);
+
+    const dryCalls = stubFetch([200]);
+    const dryRun = await new NotificationDispatcher(silentLogger, channels, { dryRun: true }).notifyInventoryChanges(events, { sessionId: 's-1' });
+    assert.equal(dryCalls.length, 0);
+    assert.equal(dryRun.deliveries[0].status, 'dry-run');
+    assert.deepEqual(dryRun.deliveries[0].body.events.map(event => event.unitNo), ['A-1813']);
+});
+
+test('validates channel projects and secrets up front', () => {
+    const channel = { type: 'webhook', url: 'https://example.com/hook' };
+
+    assert.deepEqual(NotificationDispatcher.validateChannels([{ ...channel, projects: ['Sobha One'], secret: 'abc' }]), []);
+    assert.match(NotificationDispatcher.validateChannels([{ ...channel, projects: ['Sobha One', 42] }])[0], /projects must be an array of project names/);
+    assert.match(NotificationDispatcher.validateChannels([{ ...channel, secret: 12345 }])[0], /secret must be a non-empty string/);
+    assert.equal(NotificationDispatcher.validateChannels([{ ...channel, type: 'email', url: 'ftp://example.com' }]).length, 2);
+});
@@ -0,0 +1,103 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { Actor } from 'apify';
+import {
+    PROJECT_RECORD_FIELDS,
+    RUN_SUMMARY_KEY,
+    UNIT_RECORD_FIELDS,
+    buildProjectRecord,
+    buildUnitRecord,
+    writeRunOutput
+} from '../src/output.js';
+
+let workDir;
+const silentLogger = { info() {}, warn() {}, debug() {} };
+
+before(async () => {
+    workDir = await mkdtemp(path.join(tmpdir(), 'sobha-output-'));
+    process.env.CRAWLEE_STORAGE_DIR = path.join(workDir, 'storage');
+});
+
+after(async () => {
+    await rm(workDir, { recursive: true, force: true });
+});
+
+const context = { sessionId: 'session-1', scrapedAt: '2026-10-19T08:00:00.000Z', scrapeMode: 'bulk' };
+const property = {
+    project: 'Sobha Hartland',
+    subProject: 'Creek Vista',
+    unitType: '2 Bed Type B',
+    unitNo: 'A-1813',
+    price: 1360434,
+    areaSqft: 1204.1,
+    currency: 'AED',
+    validationIssues: [],
+    rawData: ['Sobha Hartland', 'A-1813', 'AED 1,360,434'],
+    sessionId: 'stale-session',
+    internalState: { retries: 2 }
+};
+
+test('builds unit rows with every schema field in order', () => {
+    const record = buildUnitRecord(property, context);
+
+    assert.deepEqual(Object.keys(record), UNIT_RECORD_FIELDS);
+    assert.deepEqual(
+        [record.sessionId, record.scrapedAt, record.scrapeMode, record.unitNo, record.price, record.areaSqft],
+        ['session-1', '2026-10-19T08:00:00.000Z', 'bulk', 'A-1813', 1360434, 1204.1]
+    );
+    assert.deepEqual(record.rawData, property.rawData);
+
+    // Unknown fields are null, fields outside the schema are dropped
+    assert.equal(record.detailStatus, null);
+    assert.equal(record.documents, null);
+    assert.equal('internalState' in record, false);
+});
+
+test('builds project rows with the project schema', () => {
+    const record = buildProjectRecord({ project: 'Sobha One', location: 'Ras Al Khor, Dubai', availableUnits: 8, units: [] }, { ...context, scrapeMode: 'projects' });
+
+    assert.deepEqual(Object.keys(record), PROJECT_RECORD_FIELDS);
+    assert.deepEqual([record.project, record.location, record.availableUnits, record.subProject, record.scrapeMode], ['Sobha One', 'Ras Al Khor, Dubai', 8, null, 'projects']);
+    assert.equal('units' in record, false);
+});
+
+test('pushes one dataset row per unit and stores the summary separately', async () => {
+    const results = {
+        sessionId: 'session-1',
+        timestamp: '2026-10-19T08:00:00.000Z',
+        scrapeMode: 'bulk',
+        properties: [property, { ...property, unitNo: 'B-2204', price: 2450000 }],
+        summary: { totalProperties: 2 }
+    };
+
+    assert.equal(await writeRunOutput(results, { outputFormats: ['csv'], logger: silentLogger }), 2);
+
+    const { items } = await (await Actor.openDataset()).getData();
+    assert.deepEqual(items.map(item => [item.unitNo, item.sessionId, Object.keys(item).length]), [
+        ['A-1813', 'session-1', UNIT_RECORD_FIELDS.length],
+        ['B-2204', 'session-1', UNIT_RECORD_FIELDS.length]
+    ]);
+
+    const summary = await Actor.getValue(RUN_SUMMARY_KEY);
+    assert.deepEqual(summary, {
+        success: true,
+        sessionId: 'session-1',
+        timestamp: '2026-10-19T08:00:00.000Z',
+        scrapeMode: 'bulk',
+        summary: { totalProperties: 2 },
+        exports: { csv: 'UNITS.csv' },
+        datasetItemCount: 2
+    });
+    assert.match(await Actor.getValue('UNITS.csv'), /^sessionId,scrapedAt,scrapeMode,account,project,/);
+});
+
+test('stores a summary without dataset rows when nothing was extracted', async () => {
+    const results = { sessionId: 'session-2', timestamp: '2026-10-19T09:00:00.000Z', scrapeMode: 'projects', projects: [] };
+
+    assert.equal(await writeRunOutput(results), 0);
+    const summary = await Actor.getValue(RUN_SUMMARY_KEY);
+    assert.deepEqual([summary.sessionId, summary.datasetItemCount, 'projects' in summary, 'exports' in summary], ['session-2', 0, false, false]);
+});
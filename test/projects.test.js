@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildProjectRecords, classifyMarketingAsset, mapProjectCard, parseUnitCount } from '../src/projects.js';
+
+const hartland = {
+    name: 'Sobha Hartland',
+    parentName: null,
+    pairs: [
+        { label: 'Location', value: 'Mohammed Bin Rashid City' },
+        { label: 'Expected Handover', value: 'Q4 2026' },
+        { label: 'Status', value: 'Under Construction' },
+        { label: 'Starting From', value: 'AED 1,360,000' },
+        { label: 'Available Units', value: '42 units' },
+        { label: 'Developer', value: 'Sobha Realty' }
+    ],
+    lists: [{ label: 'Amenities', items: ['Swimming Pool', 'Gym'] }],
+    links: [
+        { label: 'Brochure', url: 'https://example.com/docs/hartland-brochure.pdf' },
+        { label: 'Watch Video', url: 'https://www.youtube.com/watch?v=hartland' },
+        { label: 'View Project', url: 'https://example.com/projects/hartland' }
+    ]
+};
+
+const creekVista = {
+    name: 'Creek Vista',
+    parentName: 'Sobha Hartland',
+    pairs: [
+        { label: 'Starting Price', value: 'AED 1,360,434' },
+        { label: 'Available Units', value: 'Sold Out' }
+    ],
+    lists: [],
+    links: [{ label: 'Floor Plans', url: 'https://example.com/docs/creek-vista.pdf' }]
+};
+
+test('classifies marketing asset links', () => {
+    assert.equal(classifyMarketingAsset({ label: 'Price List', url: 'https://example.com/prices.xlsx' }), 'price-list');
+    assert.equal(classifyMarketingAsset({ label: 'Virtual Tour', url: 'https://example.com/tour' }), 'virtual-tour');
+    assert.equal(classifyMarketingAsset({ label: 'View Project', url: 'https://example.com/projects/hartland' }), null);
+});
+
+test('parses available unit counts', () => {
+    assert.equal(parseUnitCount('1,204 units'), 1204);
+    assert.equal(parseUnitCount('Sold Out'), 0);
+    assert.equal(parseUnitCount('On request'), null);
+});
+
+test('maps a project card onto the project fields', () => {
+    const record = mapProjectCard(hartland);
+
+    assert.equal(record.project, 'Sobha Hartland');
+    assert.equal(record.subProject, null);
+    assert.equal(record.handoverDate, 'Q4 2026');
+    assert.equal(record.price, 1360000);
+    assert.equal(record.currency, 'AED');
+    assert.equal(record.availableUnits, 42);
+    assert.deepEqual(record.amenities, ['Swimming Pool', 'Gym']);
+    assert.deepEqual(record.marketingAssets.map(asset => asset.type), ['brochure', 'video']);
+    assert.equal(record.projectUrl, 'https://example.com/projects/hartland');
+    assert.deepEqual(record.additionalDetails, { Developer: 'Sobha Realty' });
+});
+
+test('sub-projects inherit general fields but not prices or unit counts', () => {
+    const records = buildProjectRecords([hartland, creekVista, hartland]);
+
+    assert.deepEqual(records.map(record => [record.project, record.subProject]), [
+        ['Sobha Hartland', null],
+        ['Sobha Hartland', 'Creek Vista']
+    ]);
+    const [, subProject] = records;
+    assert.equal(subProject.location, 'Mohammed Bin Rashid City');
+    assert.deepEqual(subProject.amenities, ['Swimming Pool', 'Gym']);
+    assert.equal(subProject.price, 1360434);
+    assert.equal(subProject.availableUnits, 0);
+    assert.equal(subProject.projectUrl, null);
+});
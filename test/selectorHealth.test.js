@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyMatch, findIssues, splitSelectorList, MATCH_STATUS } from '../src/selectorHealth.js';
+
+test('splits selector lists into fallback chains', () => {
+    assert.deepEqual(
+        splitSelectorList('tbody[lwc-774enseH4rp], tbody'),
+        ['tbody[lwc-774enseH4rp]', 'tbody']
+    );
+});
+
+test('classifies primary, fallback, last-resort and missing matches', () => {
+    assert.equal(classifyMatch(0, 3), MATCH_STATUS.PRIMARY);
+    assert.equal(classifyMatch(1, 3), MATCH_STATUS.FALLBACK);
+    assert.equal(classifyMatch(2, 3), MATCH_STATUS.LAST_RESORT);
+    assert.equal(classifyMatch(-1, 3), MATCH_STATUS.MISSING);
+    assert.equal(classifyMatch(-1, 3, { optional: true }), MATCH_STATUS.ABSENT);
+});
+
+test('flags fallbacks and selectors that stopped matching since the previous run', () => {
+    const previous = {
+        unitTable: {
+            status: MATCH_STATUS.PRIMARY,
+            selectors: [{ selector: 'tbody[lwc-774enseH4rp]', matchCount: 1 }, { selector: 'tbody', matchCount: 2 }]
+        }
+    };
+    const current = {
+        unitTable: {
+            status: MATCH_STATUS.LAST_RESORT,
+            matched: 'tbody',
+            selectors: [{ selector: 'tbody[lwc-774enseH4rp]', matchCount: 0 }, { selector: 'tbody', matchCount: 2 }]
+        },
+        loginButton: {
+            status: MATCH_STATUS.PRIMARY,
+            matched: 'input[type="submit"]',
+            selectors: [{ selector: 'input[type="submit"]', matchCount: 1 }]
+        }
+    };
+
+    assert.deepEqual(findIssues(current, previous), [
+        { chain: 'unitTable', issue: MATCH_STATUS.LAST_RESORT, matched: 'tbody' },
+        { chain: 'unitTable', issue: 'stopped_matching', selector: 'tbody[lwc-774enseH4rp]', previousMatchCount: 1 }
+    ]);
+});
@@ -0,0 +1,89 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Actor } from 'apify';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { SessionStore, decryptState, encryptState, getSessionKey } from '../src/session.js';
+
+let workDir;
+let createTestScraper;
+const silentLogger = { info() {}, warn() {}, debug() {} };
+
+before(async () => {
+    workDir = await mkdtemp(path.join(tmpdir(), 'sobha-session-'));
+    process.env.CRAWLEE_STORAGE_DIR = path.join(workDir, 'storage');
+    ({ createTestScraper } = await import('./helpers/scraper.js'));
+});
+
+after(async () => {
+    await rm(workDir, { recursive: true, force: true });
+});
+
+const storageState = {
+    cookies: [{ name: 'sid', value: '00D5g!AQ', domain: 'www.sobhapartnerportal.com', path: '/' }],
+    origins: [{ origin: 'https://www.sobhapartnerportal.com', localStorage: [{ name: 'lang', value: 'en' }] }]
+};
+
+test('encrypts storage state with AES-256-GCM and rejects a wrong key or tampered tag', () => {
+    const envelope = encryptState(storageState, 'session-secret');
+    assert.equal(envelope.algorithm, 'aes-256-gcm');
+    assert.doesNotMatch(Buffer.from(envelope.data, 'base64').toString('utf8'), /00D5g/);
+    assert.deepEqual(decryptState(envelope, 'session-secret'), storageState);
+
+    // A fresh salt and IV every time
+    assert.notEqual(encryptState(storageState, 'session-secret').data, envelope.data);
+
+    assert.throws(() => decryptState(envelope, 'other-secret'), /unable to authenticate data/);
+
+    const tag = Buffer.from(envelope.tag, 'base64');
+    tag[0] ^= 0xff;
+    assert.throws(() => decryptState({ ...envelope, tag: tag.toString('base64') }, 'session-secret'), /unable to authenticate data/);
+});
+
+test('keys sessions by account regardless of email case', () => {
+    assert.equal(getSessionKey('Broker@Example.com'), getSessionKey('broker@example.com'));
+    assert.notEqual(getSessionKey('broker@example.com'), getSessionKey('other@example.com'));
+    assert.match(getSessionKey('broker@example.com'), /^SESSION-[0-9a-f]{16}$/);
+});
+
+test('round-trips a session and discards expired or undecryptable records', async () => {
+    const options = { email: 'broker@example.com', secret: 'session-secret', storeName: 'sobha-sessions-test' };
+    const sessions = new SessionStore(silentLogger, options);
+    const store = await Actor.openKeyValueStore('sobha-sessions-test');
+
+    assert.equal(await sessions.load(), null);
+
+    await sessions.save(storageState);
+    const record = await store.getValue(sessions.key);
+    assert.equal(record.cookieCount, 1);
+    assert.equal(JSON.stringify(record).includes('00D5g'), false);
+    assert.deepEqual(await sessions.load(), storageState);
+
+    // Another secret (e.g. a changed password) cannot read it and drops it
+    assert.equal(await new SessionStore(silentLogger, { ...options, secret: 'other-secret' }).load(), null);
+    assert.equal(await store.getValue(sessions.key), null);
+
+    await sessions.save(storageState);
+    const stored = await store.getValue(sessions.key);
+    await store.setValue(sessions.key, { ...stored, savedAt: new Date(Date.now() - 13 * 60 * 60 * 1000).toISOString() });
+    assert.equal(await sessions.load(), null);
+    assert.equal(await store.getValue(sessions.key), null);
+
+    await sessions.save(storageState);
+    await sessions.clear();
+    assert.equal(await sessions.load(), null);
+});
+
+test('falls back to a full login when no stored session can be used', async () => {
+    const scraper = createTestScraper({ reuseSession: true, sessionEncryptionKey: 'new-session-secret' });
+    const [account] = scraper.accounts;
+
+    // Stored by a run that used another encryption key
+    await new SessionStore(silentLogger, { email: account.email, secret: 'old-session-secret' }).save(storageState);
+
+    const page = { context: () => ({ clearCookies: async () => {} }) };
+    assert.equal(await scraper.restoreSession(page, account), false);
+    assert.equal(account.sessionReused, false);
+    assert.equal(await account.sessionStore.load(), null);
+});
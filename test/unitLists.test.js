@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getUnitListKey, mergeUnitLists, validateFanOut } from '../src/unitLists.js';
+
+const validation = count => ({ checked: count, accepted: count, rejected: 0, withWarnings: 0 });
+
+const part = (scopeIndex, project, unitNos, pagination = { exhaustive: true, truncated: false, stopReason: 'end-of-data' }) => ({
+    account: 'primary',
+    scope: { project },
+    scopeIndex,
+    properties: unitNos.map(unitNo => ({ project, unitNo })),
+    pagination,
+    exhaustive: pagination.exhaustive,
+    validation: validation(unitNos.length)
+});
+
+test('validates the fanOut mode', () => {
+    assert.deepEqual(validateFanOut('projectBedrooms'), []);
+    assert.equal(validateFanOut('tower').length, 1);
+});
+
+test('builds stable unit list keys per account and scope', () => {
+    assert.equal(
+        getUnitListKey('primary', { project: 'Sobha One', bedrooms: '2 Bed' }),
+        getUnitListKey('primary', { bedrooms: '2 bed', project: ' sobha one ' })
+    );
+    assert.notEqual(getUnitListKey('primary', { project: 'Sobha One' }), getUnitListKey('north', { project: 'Sobha One' }));
+    assert.equal(getUnitListKey('primary'), 'unit-list-primary-all');
+});
+
+test('merges unit lists in scope order and de-duplicates units', () => {
+    const merged = mergeUnitLists([
+        part(1, 'Sobha SeaHaven', ['SSH-A4105']),
+        part(0, 'Sobha Hartland', ['A-1813', 'B-2204']),
+        part(0.001, 'Sobha Hartland', ['a 1813'])
+    ]);
+
+    assert.deepEqual(merged.properties.map(property => property.unitNo), ['A-1813', 'B-2204', 'SSH-A4105']);
+    assert.equal(merged.exhaustive, true);
+    assert.equal(merged.pagination.uniqueUnits, 3);
+    assert.deepEqual(merged.pagination.unitLists.map(list => [list.project, list.units]), [
+        ['Sobha Hartland', 2],
+        ['Sobha Hartland', 1],
+        ['Sobha SeaHaven', 1]
+    ]);
+    assert.equal(merged.validation.checked, 4);
+});
+
+test('a failed or capped unit list makes the merged result non-exhaustive', () => {
+    const failed = mergeUnitLists([part(0, 'Sobha Hartland', ['A-1813'])], { failedLists: 1 });
+    assert.equal(failed.exhaustive, false);
+    assert.equal(failed.pagination.failedLists, 1);
+
+    const capped = mergeUnitLists([
+        part(0, 'Sobha Hartland', ['A-1813', 'B-2204']),
+        part(1, 'Sobha SeaHaven', ['SSH-A4105'])
+    ], { maxResults: 2 });
+    assert.equal(capped.properties.length, 2);
+    assert.equal(capped.exhaustive, false);
+    assert.equal(capped.pagination.truncated, true);
+});
+
+test('a single unscoped list keeps its own pagination details', () => {
+    const pagination = { exhaustive: true, truncated: false, stopReason: 'end-of-data', pagesLoaded: 2 };
+    const merged = mergeUnitLists([{ ...part(0, 'Sobha Hartland', ['A-1813'], pagination), scope: null }]);
+    assert.equal(merged.pagination, pagination);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UnitLookup, normaliseUnitNumber, parseUnitNumbers } from '../src/unitLookup.js';
+
+const silentLogger = { info() {}, warn() {}, debug() {} };
+
+const rows = [
+    { unitNo: 'A-1813', project: 'Sobha Hartland', price: 1360434 },
+    { unitNo: 'SSH-A4105', project: 'Sobha SeaHaven', price: 5178448 }
+];
+
+/**
+ * Page double with an optional visible unit search input
+ */
+function createPage(searchInput) {
+    return {
+        locator: () => ({
+            first: () => searchInput || { count: async () => 0 }
+        })
+    };
+}
+
+/**
+ * FilterManager double recording the refresh waits
+ */
+function createFilterManager() {
+    const waits = [];
+    return {
+        waits,
+        getTableSignature: async () => 'signature',
+        waitForTableRefresh: async (page, previousSignature, since, step) => {
+            waits.push({ previousSignature, since, step });
+            return true;
+        }
+    };
+}
+
+test('normalises unit numbers ignoring case, spaces and separators', () => {
+    assert.equal(normaliseUnitNumber('ssh a4105'), 'SSHA4105');
+    assert.equal(normaliseUnitNumber(' SSH-A4105 '), normaliseUnitNumber('ssh_a/4105'));
+    assert.equal(normaliseUnitNumber(null), '');
+    assert.equal(normaliseUnitNumber(1813), '1813');
+});
+
+test('parses specificUnit lists without duplicates', () => {
+    assert.deepEqual(parseUnitNumbers('A-1813, ssh-a4105;\nA 1813'), ['A-1813', 'ssh-a4105']);
+    assert.deepEqual(parseUnitNumbers(['SSH-A4105', ' ', 'ssh a4105']), ['SSH-A4105']);
+    assert.deepEqual(parseUnitNumbers(''), []);
+    assert.deepEqual(parseUnitNumbers(undefined), []);
+});
+
+test('picks requested units out of a table scan and reports missing ones', async () => {
+    const lookup = new UnitLookup(silentLogger, createFilterManager());
+    let scans = 0;
+    const scanAllRows = async () => {
+        scans++;
+        return rows;
+    };
+
+    const results = await lookup.lookupUnits(createPage(null), ['ssh a4105', 'B-2204'], async () => [], scanAllRows);
+
+    assert.equal(scans, 1);
+    assert.deepEqual(
+        { requestedUnit: results[0].requestedUnit, found: results[0].found, status: results[0].status, matchedBy: results[0].matchedBy, unitNo: results[0].unitNo, price: results[0].price },
+        { requestedUnit: 'ssh a4105', found: true, status: 'available', matchedBy: 'table-scan', unitNo: 'SSH-A4105', price: 5178448 }
+    );
+    assert.deepEqual(
+        { found: results[1].found, status: results[1].status, unitNo: results[1].unitNo, rowsSearched: results[1].rowsSearched },
+        { found: false, status: 'not_found', unitNo: 'B-2204', rowsSearched: 2 }
+    );
+    assert.match(results[1].message, /sold or withdrawn/);
+    assert.ok(!Number.isNaN(Date.parse(results[1].lookedUpAt)));
+});
+
+test('searches each unit through the portal search and clears it afterwards', async () => {
+    let query = '';
+    const typed = [];
+    const searchInput = {
+        count: async () => 1,
+        isVisible: async () => true,
+        fill: async (value) => { query = value; },
+        type: async (value) => { query += value; typed.push(value); },
+        press: async () => {}
+    };
+    const filterManager = createFilterManager();
+    const lookup = new UnitLookup(silentLogger, filterManager);
+
+    // The search narrows the table to rows containing the query
+    const extractRows = async () => rows.filter(row => row.unitNo.includes(query));
+    const results = await lookup.lookupUnits(createPage(searchInput), ['A-1813', 'A-9999'], extractRows);
+
+    assert.deepEqual(typed, ['A-1813', 'A-9999']);
+    assert.deepEqual(results.map(result => [result.requestedUnit, result.found, result.matchedBy]), [
+        ['A-1813', true, 'search'],
+        ['A-9999', false, 'search']
+    ]);
+    assert.equal(results[1].rowsSearched, 0);
+
+    // Two searches and the final clear, each timed from the Enter key press
+    assert.deepEqual(filterManager.waits.map(({ step }) => step), ['unitSearch', 'unitSearch', 'unitSearch']);
+    assert.ok(filterManager.waits.every(({ since }) => Number.isFinite(since)));
+    assert.equal(query, '');
+});
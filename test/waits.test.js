@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { LightningWaits, isAuraRequest } from '../src/waits.js';
+
+const silentLogger = { info() {}, warn() {}, debug() {} };
+
+/**
+ * Records waits like MetricsCollector.recordWait
+ */
+function createMetrics() {
+    const waits = [];
+    return { waits, recordWait: (step, duration, timedOut) => waits.push({ step, duration, timedOut }) };
+}
+
+/**
+ * Page double: emits request events and answers the in-page counts from
+ * `counts(selector)`
+ */
+function createPage(counts) {
+    const page = new EventEmitter();
+    page.evaluate = async (fn, { selector }) => counts(selector);
+    return page;
+}
+
+const auraRequest = url => ({ url: () => url });
+
+test('recognises Salesforce Aura requests', () => {
+    assert.equal(isAuraRequest('https://www.sobhapartnerportal.com/partnerportal/s/sfsites/aura?r=12&aura.ApexAction.execute=1'), true);
+    assert.equal(isAuraRequest('https://www.sobhapartnerportal.com/partnerportal/s/sobha-project'), false);
+});
+
+test('waits for in-flight Aura requests and visible spinners', async () => {
+    const metrics = createMetrics();
+    const waits = new LightningWaits(silentLogger, metrics);
+    let spinners = 1;
+    const page = createPage(selector => (selector.includes('spinner') ? spinners : 0));
+    waits.attach(page);
+
+    const request = auraRequest('https://example.com/s/sfsites/aura?r=1');
+    page.emit('request', request);
+    setTimeout(() => page.emit('requestfinished', request), 200);
+    setTimeout(() => { spinners = 0; }, 900);
+
+    const { ready, duration } = await waits.waitForLightningReady(page, 'projectsPage', 5000);
+
+    assert.equal(ready, true);
+    assert.ok(duration >= 900 && duration < 2000, `resolved after ${duration}ms`);
+    assert.deepEqual(metrics.waits.map(({ step, timedOut }) => [step, timedOut]), [['projectsPage', false]]);
+});
+
+test('resolves once the row count settles and reports timeouts', async () => {
+    const metrics = createMetrics();
+    const waits = new LightningWaits(silentLogger, metrics);
+    let rows = 0;
+    const page = createPage(selector => (selector === 'tr' ? rows : 0));
+    setTimeout(() => { rows = 10; }, 150);
+    setTimeout(() => { rows = 25; }, 300);
+
+    const loaded = await waits.waitForTableData(page, 'propertyModal', { rowSelector: 'tr', timeout: 5000 });
+    assert.equal(loaded.ready, true);
+
+    rows = 0;
+    const empty = await waits.waitForTableData(page, 'propertyModal', { rowSelector: 'tr', timeout: 1000 });
+    assert.equal(empty.ready, false);
+    assert.deepEqual(metrics.waits.map(({ timedOut }) => timedOut), [false, true]);
+});
+
+test('resolves a table refresh on the Aura answer even when the rows stay the same', async () => {
+    const metrics = createMetrics();
+    const waits = new LightningWaits(silentLogger, metrics);
+    const page = createPage(selector => (selector === 'tr' ? 25 : 0));
+    waits.attach(page);
+
+    const since = Date.now();
+    const request = auraRequest('https://example.com/s/sfsites/aura?r=2');
+    setTimeout(() => page.emit('request', request), 100);
+    setTimeout(() => page.emit('requestfinished', request), 300);
+
+    const { ready, duration } = await waits.waitForTableRefresh(page, 'filterRefresh', {
+        since, changed: async () => false, rowSelector: 'tr', timeout: 10000
+    });
+    assert.equal(ready, true);
+    assert.ok(duration >= 800 && duration < 3000, `resolved after ${duration}ms`);
+
+    // Without an answer or a change the wait runs into its bound
+    const silent = await waits.waitForTableRefresh(page, 'filterRefresh', {
+        since: Date.now(), changed: async () => false, rowSelector: 'tr', timeout: 1000
+    });
+    assert.equal(silent.ready, false);
+    assert.deepEqual(metrics.waits.map(({ timedOut }) => timedOut), [false, true]);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Actor } from 'apify';
+import {
+    WatchScheduler,
+    getWatchTime,
+    isQuietTime,
+    resolveWatchOptions,
+    validateWatchOptions
+} from '../src/watch.js';
+
+const silentLogger = { info() {}, warn() {}, debug() {} };
+const overnight = { start: '22:00', end: '07:00' };
+
+// Dubai is UTC+4: 18:30Z is 22:30 in Dubai
+const at = iso => new Date(iso);
+
+test('validates the watch schedule', () => {
+    assert.deepEqual(validateWatchOptions({}), []);
+    assert.deepEqual(validateWatchOptions({ intervalMinutes: 20, quietHours: overnight, dailyBudget: 10, maxCycles: 3 }), []);
+    assert.equal(validateWatchOptions({ intervalMinutes: 2, jitterMinutes: 0 }).length, 1);
+    assert.equal(validateWatchOptions({ intervalMinutes: 10, jitterMinutes: 10 }).length, 1);
+    assert.equal(validateWatchOptions({ quietHours: { start: '10pm', end: '07:00' } }).length, 1);
+    assert.equal(validateWatchOptions({ quietHours: { start: '07:00', end: '07:00' } }).length, 1);
+    assert.equal(validateWatchOptions({ dailyBudget: 0 }).length, 1);
+    assert.equal(validateWatchOptions('hourly').length, 1);
+    assert.equal(resolveWatchOptions().intervalMinutes, 30);
+});
+
+test('reads days and quiet hours in Dubai time', () => {
+    assert.deepEqual(getWatchTime(at('2026-10-19T20:00:00Z')), { day: '2026-10-20', minutes: 0, seconds: 0 });
+
+    assert.equal(isQuietTime(at('2026-10-19T18:30:00Z'), overnight), true);
+    assert.equal(isQuietTime(at('2026-10-20T02:59:00Z'), overnight), true);
+    assert.equal(isQuietTime(at('2026-10-20T03:00:00Z'), overnight), false);
+    assert.equal(isQuietTime(at('2026-10-20T09:00:00Z'), { start: '12:00', end: '14:00' }), true);
+    assert.equal(isQuietTime(at('2026-10-20T09:00:00Z'), null), false);
+});
+
+test('adds the interval and a bounded jitter to the last cycle', () => {
+    const low = new WatchScheduler(silentLogger, { intervalMinutes: 30, jitterMinutes: 5 }, { random: () => 0 });
+    const high = new WatchScheduler(silentLogger, { intervalMinutes: 30, jitterMinutes: 5 }, { random: () => 0.999 });
+    const now = at('2026-10-20T06:00:00Z');
+
+    assert.deepEqual(low.planNextCycle(now), { at: now, reason: 'interval' });
+
+    low.startCycle(now);
+    high.startCycle(now);
+    assert.deepEqual(low.planNextCycle(now), { at: at('2026-10-20T06:30:00Z'), reason: 'interval' });
+
+    const delay = high.planNextCycle(now).at - now;
+    assert.ok(delay > 30 * 60000 && delay < 35 * 60000);
+});
+
+test('moves cycles out of the quiet hours and past a spent daily budget', () => {
+    const quiet = new WatchScheduler(silentLogger, { intervalMinutes: 30, jitterMinutes: 0, quietHours: overnight });
+    quiet.startCycle(at('2026-10-19T17:50:00Z'));
+    assert.deepEqual(quiet.planNextCycle(at('2026-10-19T17:55:00Z')), { at: at('2026-10-20T03:00:00Z'), reason: 'quiet-hours' });
+
+    const budget = new WatchScheduler(silentLogger, { intervalMinutes: 30, jitterMinutes: 0, dailyBudget: 2 });
+    budget.startCycle(at('2026-10-20T05:00:00Z'));
+    budget.startCycle(at('2026-10-20T06:00:00Z'));
+    assert.deepEqual(budget.planNextCycle(at('2026-10-20T06:05:00Z')), { at: at('2026-10-20T20:00:00Z'), reason: 'budget' });
+
+    budget.startCycle(at('2026-10-20T20:00:00Z'));
+    assert.equal(budget.cyclesToday, 1);
+
+    // The next Dubai day starts inside the quiet hours
+    const both = new WatchScheduler(silentLogger, { intervalMinutes: 30, jitterMinutes: 0, dailyBudget: 1, quietHours: overnight });
+    both.startCycle(at('2026-10-20T06:00:00Z'));
+    assert.deepEqual(both.planNextCycle(at('2026-10-20T06:05:00Z')), { at: at('2026-10-21T03:00:00Z'), reason: 'quiet-hours' });
+});
+
+test('stops waiting on an abort event and after maxCycles', async () => {
+    const scheduler = new WatchScheduler(silentLogger, { intervalMinutes: 5, jitterMinutes: 0 });
+    assert.equal(await scheduler.waitForNextCycle(), true);
+    assert.equal(scheduler.cycle, 1);
+
+    scheduler.start();
+    const waiting = scheduler.waitForNextCycle();
+    Actor.config.getEventManager().emit('aborting');
+    assert.equal(await waiting, false);
+    assert.equal(scheduler.stopReason, 'aborting');
+    scheduler.close();
+    assert.deepEqual(scheduler.listeners, []);
+
+    const limited = new WatchScheduler(silentLogger, { maxCycles: 1 });
+    assert.equal(await limited.waitForNextCycle(), true);
+    assert.equal(await limited.waitForNextCycle(), false);
+    assert.equal(limited.stopReason, 'max-cycles');
+});
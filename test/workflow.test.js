@@ -0,0 +1,275 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Actor } from 'apify';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { validateUnitRecords } from '../src/normalisation.js';
+import { extractProjectCatalogue } from '../src/projects.js';
+import { startPortalServer, TEST_CREDENTIALS } from './helpers/portalServer.js';
+import { launchBrowser, SKIP_REASON } from './helpers/browser.js';
+
+let server;
+let browser;
+let workDir;
+let originalCwd;
+let CONFIG;
+let createTestScraper;
+const originalConfig = {};
+
+before(async () => {
+    // Keep Crawlee storage and debug screenshots out of the repository
+    originalCwd = process.cwd();
+    workDir = await mkdtemp(path.join(tmpdir(), 'sobha-workflow-'));
+    process.env.CRAWLEE_STORAGE_DIR = path.join(workDir, 'storage');
+    process.chdir(workDir);
+
+    ({ CONFIG } = await import('../src/main.js'));
+    ({ createTestScraper } = await import('./helpers/scraper.js'));
+
+    server = await startPortalServer();
+    browser = await launchBrowser();
+
+    for (const key of ['LOGIN_URL', 'PROJECTS_URL']) {
+        originalConfig[key] = CONFIG[key];
+    }
+    CONFIG.LOGIN_URL = `${server.baseUrl}/partnerportal/s/`;
+    CONFIG.PROJECTS_URL = `${server.baseUrl}/partnerportal/s/sobha-project`;
+});
+
+after(async () => {
+    Object.assign(CONFIG || {}, originalConfig);
+    if (browser) await browser.close();
+    if (server) await server.close();
+    process.chdir(originalCwd);
+    await rm(workDir, { recursive: true, force: true });
+});
+
+test('logs in, dismisses the promo modal and extracts units from the projects page', { timeout: 180000 }, async (t) => {
+    if (!browser) return t.skip(SKIP_REASON);
+    const scraper = createTestScraper();
+    const page = await browser.newPage();
+
+    assert.equal(await scraper.authenticate(page), true);
+    assert.match(page.url(), /\/partnerportal\/s\/home$/);
+    assert.equal(await page.locator('#promo').count(), 0);
+
+    await scraper.navigateToProjects(page);
+    assert.match(page.url(), /\/partnerportal\/s\/sobha-project$/);
+
+    await scraper.openPropertyModal(page);
+    const { accepted: properties } = validateUnitRecords(await scraper.extractPropertyData(page));
+
+    assert.deepEqual(properties.map(property => property.unitNo), ['A-1813', 'B-2204', 'SSH-A4105']);
+    assert.deepEqual(
+        properties.map(property => property.price),
+        [1360434, 2450000, 5178448]
+    );
+
+    const { chains } = scraper.selectorHealth;
+    for (const name of ['loginEmail', 'loginPassword', 'loginButton', 'promoModalClose', 'filterPropertiesButton', 'unitTable', 'unitTableRows']) {
+        assert.equal(chains[name].status, 'primary', `${name} resolved as ${chains[name].status}`);
+    }
+    await page.close();
+});
+
+test('plans one unit list per project and extracts a project-scoped list', { timeout: 180000 }, async (t) => {
+    if (!browser) return t.skip(SKIP_REASON);
+    const scraper = createTestScraper();
+    const page = await browser.newPage();
+
+    assert.equal(await scraper.authenticate(page), true);
+    await scraper.navigateToProjects(page);
+    await scraper.openPropertyModal(page);
+
+    assert.deepEqual(await scraper.planUnitLists(page), [{ project: 'Sobha Hartland' }, { project: 'Sobha SeaHaven' }]);
+
+    await scraper.filterManager.applyFilters(page, { project: 'Sobha SeaHaven' });
+    const properties = await scraper.extractPropertyData(page);
+
+    assert.deepEqual(properties.map(property => property.unitNo), ['SSH-A4105']);
+    await page.close();
+});
+
+test('reads the units from the Aura response and falls back to the table in dom mode', { timeout: 180000 }, async (t) => {
+    if (!browser) return t.skip(SKIP_REASON);
+
+    for (const extractionMode of ['network', 'dom']) {
+        const scraper = createTestScraper({ extractionMode });
+        const page = await browser.newPage();
+
+        assert.equal(await scraper.authenticate(page), true);
+        await scraper.navigateToProjects(page);
+        await scraper.openPropertyModal(page);
+        const properties = await scraper.extractPropertyData(page);
+
+        assert.deepEqual(properties.map(property => property.extractionSource), [extractionMode, extractionMode, extractionMode]);
+        assert.equal(properties[0].unitId, 'a0X5g00000AbCdEEAZ');
+        assert.match(properties[0].detailUrl, /\/partnerportal\/s\/unit\/a0X5g00000AbCdEEAZ\/a-1813$/);
+        assert.equal(properties[2].unitId, extractionMode === 'network' ? 'a0X5g00000AbCdGEAZ' : null);
+        await page.close();
+    }
+});
+
+test('learns a unit list action in the browser and replays it after the next login', { timeout: 180000 }, async (t) => {
+    if (!browser) return t.skip(SKIP_REASON);
+    const scope = { project: 'Sobha SeaHaven' };
+
+    const learning = createTestScraper({ apiReplay: true });
+    const [account] = learning.accounts;
+    const page = await browser.newPage();
+    assert.equal(await learning.authenticate(page, account), true);
+    await learning.navigateToProjects(page);
+    await learning.openPropertyModal(page);
+    const filtersApplied = await learning.filterManager.applyFilters(page, scope);
+    await learning.scrapeUnitList(page, account, { scope, scopeIndex: 0, filtersApplied, addRequests: async () => {} });
+    learning.replayRuns.push({ account: account.label, mode: 'browser', reason: 'not-learnt' });
+    await learning.saveReplayPlans();
+    await page.close();
+
+    assert.equal(learning.replayRuns[0].learnt, true);
+
+    const replaying = createTestScraper({ apiReplay: true });
+    const loginPage = await browser.newPage();
+    replaying.replayClient.attach(loginPage);
+    assert.equal(await replaying.authenticate(loginPage, replaying.accounts[0]), true);
+    replaying.accounts[0].storageState = await loginPage.context().storageState();
+
+    assert.equal(await replaying.replayUnitLists(loginPage, replaying.accounts[0]), true);
+    assert.deepEqual(replaying.unitLists.map(part => part.scope), [scope]);
+    assert.deepEqual(replaying.unitLists[0].properties.map(property => [property.unitNo, property.extractionSource]), [['SSH-A4105', 'replay']]);
+    await loginPage.close();
+});
+
+test('re-scrapes the reused watch page every cycle and reports only the changes', { timeout: 180000 }, async (t) => {
+    if (!browser) return t.skip(SKIP_REASON);
+    const scraper = createTestScraper({ scrapeMode: 'watch', trackChanges: true, filters: { project: 'Sobha Hartland' } });
+    const [account] = scraper.accounts;
+
+    const first = await scraper.runWatchCycle(browser, 1);
+    const page = account.watchPage;
+    const second = await scraper.runWatchCycle(browser, 2);
+
+    assert.equal(account.watchPage, page);
+    assert.deepEqual(second.failedAccounts, []);
+    assert.equal(first.accounts[account.label].changes.baseline, true);
+    assert.equal(second.accounts[account.label].changes.baseline, false);
+    assert.equal(second.accounts[account.label].units, 2);
+    assert.equal(second.changes.newUnits + second.changes.removedUnits + second.changes.priceChanges, 0);
+
+    // Every cycle has its own metrics
+    assert.equal(second.metrics.totalRequests, 1);
+    assert.equal(second.metrics.propertiesScraped, 2);
+
+    await scraper.closeWatchPage(account);
+});
+
+test('extracts the project catalogue from the projects page', { timeout: 180000 }, async (t) => {
+    if (!browser) return t.skip(SKIP_REASON);
+    const scraper = createTestScraper({ scrapeMode: 'projects' });
+    const page = await browser.newPage();
+
+    assert.equal(await scraper.authenticate(page), true);
+    await scraper.navigateToProjects(page);
+    const projects = await extractProjectCatalogue(page);
+
+    assert.deepEqual(projects.map(project => [project.project, project.subProject]), [
+        ['Sobha Hartland', null],
+        ['Sobha Hartland', 'Creek Vista'],
+        ['Sobha SeaHaven', null]
+    ]);
+    assert.equal(projects[1].location, projects[0].location);
+    assert.equal(projects[1].availableUnits, 12);
+    assert.ok(projects[2].marketingAssets.some(asset => asset.type === 'virtual-tour'));
+    await page.close();
+});
+
+test('reads project cards rendered inside LWC shadow roots', { timeout: 180000 }, async (t) => {
+    if (!browser) return t.skip(SKIP_REASON);
+    const page = await browser.newPage();
+    await page.goto(`${server.baseUrl}/fixtures/project-cards-shadow.html`);
+
+    const projects = await extractProjectCatalogue(page);
+
+    assert.deepEqual(projects.map(project => [project.project, project.subProject]), [
+        ['Sobha One', null],
+        ['Sobha Siniya Island', null],
+        ['Sobha One', 'Skyscape']
+    ]);
+    assert.equal(projects[2].location, 'Ras Al Khor, Dubai');
+    assert.equal(projects[2].availableUnits, 8);
+    await page.close();
+});
+
+test('merges UNIT_DETAIL results into the extracted records', () => {
+    const scraper = createTestScraper({ enrichDetails: true });
+    const properties = [
+        { unitNo: 'A-1813', detailUrl: 'https://example.com/unit/a-1813' },
+        { unitNo: 'B-2204', detailUrl: 'https://example.com/unit/b-2204' },
+        { unitNo: 'SSH-A4105', detailUrl: null }
+    ];
+    scraper.unitDetails.set('A1813', { view: 'Creek View', detailStatus: 'enriched' });
+    scraper.unitDetails.set('B2204', { detailStatus: 'failed', detailError: 'Navigation timed out' });
+
+    scraper.applyUnitDetails(properties);
+
+    assert.deepEqual(properties.map(property => property.detailStatus), ['enriched', 'failed', 'no-detail-link']);
+    assert.equal(properties[0].view, 'Creek View');
+});
+
+test('queues UNIT_DETAIL requests beyond detailConcurrency until a slot is released', async () => {
+    const scraper = createTestScraper({ enrichDetails: true, detailConcurrency: 1 });
+    const first = { uniqueKey: 'unit-detail-A1813' };
+    const second = { uniqueKey: 'unit-detail-B2204' };
+
+    await scraper.acquireDetailSlot(first);
+    let secondStarted = false;
+    const waiting = scraper.acquireDetailSlot(second).then(() => { secondStarted = true; });
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(secondStarted, false);
+
+    // Releasing twice (handler and error handler) frees the slot once
+    scraper.releaseDetailSlot(first);
+    scraper.releaseDetailSlot(first);
+    await waiting;
+    assert.equal(secondStarted, true);
+    assert.equal(scraper.detailSlots.active, 1);
+
+    scraper.releaseDetailSlot(second);
+    assert.equal(scraper.detailSlots.active, 0);
+});
+
+test('stores masked failure artifacts for a failed step', { timeout: 180000 }, async (t) => {
+    if (!browser) return t.skip(SKIP_REASON);
+    const scraper = createTestScraper();
+    const page = await browser.newPage();
+    const request = { uniqueKey: 'login-primary', retryCount: 0, userData: { label: 'LOGIN', account: 'primary' } };
+
+    await scraper.failureArtifacts.attach(page);
+    scraper.failureArtifacts.setStep(page, 'authenticate');
+    await page.goto(CONFIG.LOGIN_URL);
+    await page.fill('#username', TEST_CREDENTIALS.email);
+    await page.evaluate(email => console.log(`Signing in ${email}`), TEST_CREDENTIALS.email);
+
+    const artifacts = await scraper.failureArtifacts.capture(page, request);
+
+    assert.equal(artifacts.screenshot, 'FAILURE-login-primary-authenticate-attempt-1.png');
+    const html = await Actor.getValue(artifacts.html);
+    const consoleLog = await Actor.getValue(artifacts.console);
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(consoleLog, /Signing in \*\*\*/);
+    assert.equal(`${html}${consoleLog}`.includes(TEST_CREDENTIALS.email), false);
+    await page.close();
+});
+
+test('redirects unauthenticated visits to the projects page to the login form', async (t) => {
+    if (!browser) return t.skip(SKIP_REASON);
+    const page = await browser.newPage();
+
+    await page.goto(CONFIG.PROJECTS_URL);
+
+    assert.match(page.url(), /\/partnerportal\/s\/login\/$/);
+    assert.equal(await page.locator('input[type="password"]').count(), 1);
+    await page.close();
+});